@@ -6,8 +6,6 @@ const morgan = require('morgan');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
-const fs = require('fs');
 
 const app = express();
 const PORT = Number(process.env.PORT || 8787);
@@ -47,7 +45,8 @@ app.options('*', cors(corsOptions)); // enable preflight for all routes
 
 // Body parsers (JSON + urlencoded)
 // Keep after CORS so preflight works fine
-app.use(express.json({ limit: '10mb' }));
+// the raw body is kept for webhook signature checks (routes/indexerCallback.js)
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting for /api/*
@@ -69,12 +68,6 @@ app.use((req, res, next) => {
 app.get('/health', (req, res) => res.json({ ok: true, env: NODE_ENV, now: new Date().toISOString() }));
 app.get('/api/admin/ping', (req, res) => res.json({ ok: true, now: new Date().toISOString() }));
 
-/* ---------- Static uploads (useful for dev) ---------- */
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-// serve files at /uploads/<filename>
-app.use('/uploads', express.static(uploadsDir));
-
 /* ---------- Mount routers (with safe fallbacks) ---------- */
 function tryMount(routePath, mountPath) {
   try {
@@ -88,13 +81,32 @@ function tryMount(routePath, mountPath) {
   }
 }
 
+// Local storage driver files; signed, expiring links instead of a user token (lib/storage/local)
+tryMount('./routes/uploads', '/uploads');
+// Indexer webhook authenticates by signature, so it must be mounted before the admin router's auth
+tryMount('./routes/indexerCallback', '/api/admin/indexer');
+// Answer feedback review queue (teachers); has its own auth + permission check
+tryMount('./routes/feedbackReview', '/api/admin/feedback');
+// Dashboard analytics (admins)
+tryMount('./routes/analytics', '/api/admin/analytics');
+// Per-user / per-role LLM quotas and usage (admins)
+tryMount('./routes/quotas', '/api/admin/quotas');
+// Versioned prompt templates and their course / subject assignments (admins)
+tryMount('./routes/prompts', '/api/admin/prompts');
+// Chat guardrail events to review, and the active rules (admins)
+tryMount('./routes/guardrails', '/api/admin/guardrails');
+
 // Try to mount the real admin router (if present)
 const adminMounted = tryMount('./routes/admin', '/api/admin');
 
 // If admin router not present, provide a helpful dev fallback (multipart-capable)
 if (!adminMounted && NODE_ENV === 'development') {
-  const multer = require('multer');
+  const { authenticate, requirePermission } = require('./middleware/checkAdmin');
+  const { createUpload } = require('./middleware/upload');
+  const { validateUpload } = require('./middleware/validateUpload');
+  const { storage, storageKey } = require('./lib/storage');
   const devAdmin = express.Router();
+  devAdmin.use(authenticate);
 
   // basic in-memory/sample store for dev
   const sampleDocs = [
@@ -102,50 +114,54 @@ if (!adminMounted && NODE_ENV === 'development') {
     { id: 2, title: 'Sample Doc B', uploadedBy: 'user', created_at: new Date().toISOString() },
   ];
 
-  devAdmin.get('/documents', (req, res) => res.json({ status: 'ok', data: sampleDocs }));
-  devAdmin.get('/documents/:id', (req, res) => {
+  devAdmin.get('/documents', requirePermission('documents:read'), (req, res) => res.json({ status: 'ok', data: sampleDocs }));
+  devAdmin.get('/documents/:id', requirePermission('documents:read'), (req, res) => {
     const id = Number(req.params.id);
     const doc = sampleDocs.find(d => d.id === id);
     if (!doc) return res.status(404).json({ status: 'error', message: 'Not found' });
     return res.json({ status: 'ok', data: doc });
   });
 
-  // Multer storage writing to uploadsDir
-  const storage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, uploadsDir),
-    filename: (req, file, cb) => cb(null, `${Date.now()}-${file.originalname.replace(/\s+/g, '_')}`)
-  });
-  const upload = multer({
-    storage,
-    limits: { fileSize: 20 * 1024 * 1024 }, // 20 MB for dev
-    fileFilter: (req, file, cb) => {
-      // accept PDF or any type if you prefer
-      if (file.mimetype === 'application/pdf' || true) return cb(null, true);
-      return cb(new Error('Only PDF allowed'));
-    }
-  });
+  // temp-file uploads handed to lib/storage, with the same content-based type check as the real admin router
+  const upload = createUpload({ fileSize: 20 * 1024 * 1024 }); // 20 MB for dev
+  async function storeFile(file) {
+    if (!file) return { key: null, url: null };
+    const key = storageKey(file.originalname);
+    await storage.putFile(key, file.path, { contentType: file.detected.mime });
+    return { key, url: await storage.url(key) };
+  }
 
   // endpoint: POST /api/admin/documents (match frontend expectation)
-  devAdmin.post('/documents', upload.single('file'), (req, res) => {
+  devAdmin.post('/documents', requirePermission('documents:upload'), upload.single('file'), validateUpload, async (req, res, next) => {
     // if frontend expects /documents (without /upload), this handles it
     const file = req.file;
     const body = req.body || {};
+    let stored;
+    try {
+      stored = await storeFile(file);
+    } catch (e) {
+      return next(e);
+    }
     const newDoc = {
       id: sampleDocs.length ? Math.max(...sampleDocs.map(d=>d.id)) + 1 : 1,
       title: body.title || (file && file.originalname) || 'untitled',
-      uploadedBy: body.uploadedBy || 'admin',
+      uploadedBy: req.currentUser.id,
       created_at: new Date().toISOString(),
-      filename: file ? file.filename : null,
-      path: file ? `/uploads/${file.filename}` : null
+      filename: stored.key,
+      path: stored.url
     };
     sampleDocs.push(newDoc);
     return res.status(201).json({ status: 'ok', data: newDoc });
   });
 
   // also keep a fallback upload route named /documents/upload for older code
-  devAdmin.post('/documents/upload', upload.single('file'), (req, res) => {
-    const file = req.file;
-    return res.json({ status: 'ok', message: 'received (dev fallback)', filename: file ? file.filename : null });
+  devAdmin.post('/documents/upload', requirePermission('documents:upload'), upload.single('file'), validateUpload, async (req, res, next) => {
+    try {
+      const stored = await storeFile(req.file);
+      return res.json({ status: 'ok', message: 'received (dev fallback)', filename: stored.key, path: stored.url });
+    } catch (e) {
+      return next(e);
+    }
   });
 
   app.use('/api/admin', devAdmin);
@@ -159,6 +175,19 @@ if (!chatMounted) {
   fallbackChat.all('*', (req, res) => res.status(500).json({ error: 'chat router failed to load', message: 'See server logs' }));
   app.use('/api/chat', fallbackChat);
 }
+// Chat history (list / rename / archive / delete own chats) shares the /api/chat prefix
+tryMount('./routes/chatHistory', '/api/chat');
+// Ratings on assistant answers
+tryMount('./routes/feedback', '/api/chat');
+
+// Practice quizzes generated from documents
+tryMount('./routes/quizzes', '/api/quizzes');
+
+// Courses: document collections + enrollments (scope chat retrieval via course_id)
+tryMount('./routes/courses', '/api/courses');
+
+// Own profile settings (answer language)
+tryMount('./routes/profile', '/api/profile');
 
 /* ---------- Centralized error handler ---------- */
 app.use((err, req, res, next) => {
@@ -192,7 +221,45 @@ app.use((err, req, res, next) => {
 });
 
 /* ---------- Start server ---------- */
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Tutor-backend listening on port ${PORT} (env=${NODE_ENV})`);
   if (allowedOrigins.length) console.log('Allowed origins:', allowedOrigins);
 });
+
+/* ---------- Graceful shutdown ---------- */
+// The local database, job store, answer cache, usage counters and metrics write to disk / the database with a
+// short delay; flush them on SIGTERM / SIGINT (nodemon restarts, Ctrl+C, container stop) so recent
+// writes survive a restart. Usage counters and metrics go first: they are written into the database.
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, flushing pending writes before exit`);
+  // open SSE streams may keep the server from closing; don't wait for it forever
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+  server.close();
+
+  const steps = [
+    ['job queue', () => require('./lib/jobs').jobQueue.stop()],
+    ['answer cache', () => require('./lib/answerCache').answerCache.flush()],
+    ['usage counters', () => require('./lib/quotas').flushUsage()],
+    ['metrics', () => require('./lib/metrics').flushMetrics()],
+    ['database', () => {
+      const { db } = require('./lib/db');
+      return db.flush ? db.flush() : null;
+    }]
+  ];
+  for (const [label, flush] of steps) {
+    try {
+      await flush();
+    } catch (e) {
+      console.error(`Flushing ${label} on shutdown failed`, e && (e.stack || e.message || e));
+    }
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
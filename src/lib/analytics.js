@@ -0,0 +1,285 @@
+// src/lib/analytics.js
+// Dashboard aggregates computed from `message_analytics` (messages with their chat owner and the
+// assistant metadata they need: chunk / citation identities, out_of_context, cache_hit), owner roles from
+// `profiles` and `service_calls` (lib/metrics). Used by routes/analytics.js.
+//
+// Rows for a date range are fetched once (paged, capped at ANALYTICS_MAX_ROWS) and kept for
+// ANALYTICS_CACHE_TTL_MS, so the dashboard's several widgets share one round of queries.
+
+const { db } = require('./db');
+const { devUser } = require('../middleware/checkAdmin');
+
+const PAGE_SIZE = 1000;
+const MAX_ROWS = Number(process.env.ANALYTICS_MAX_ROWS || 50000);
+const CACHE_TTL_MS = Number(process.env.ANALYTICS_CACHE_TTL_MS || 60 * 1000);
+const CACHE_MAX = 50;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cache = new Map(); // key -> { value (promise), ts }
+
+function cached(key, fn) {
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.ts < CACHE_TTL_MS) return entry.value;
+  if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+  const value = fn();
+  cache.set(key, { value, ts: Date.now() });
+  // don't keep failures around
+  value.catch(() => cache.delete(key));
+  return value;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function dayOf(iso) {
+  return String(iso).slice(0, 10);
+}
+
+/**
+ * parseRange({ from, to }) -> { from, to, days } with from/to as YYYY-MM-DD (UTC, inclusive).
+ * Defaults to the last 30 days; throws (status 400) on invalid or too long ranges.
+ */
+function parseRange(query = {}) {
+  const isDay = v => /^\d{4}-\d{2}-\d{2}$/.test(String(v || '')) && !Number.isNaN(Date.parse(`${v}T00:00:00Z`));
+  if (query.from && !isDay(query.from)) throw badRequest('from must be a date (YYYY-MM-DD)');
+  if (query.to && !isDay(query.to)) throw badRequest('to must be a date (YYYY-MM-DD)');
+
+  const to = query.to || dayOf(new Date().toISOString());
+  const from = query.from || dayOf(new Date(Date.parse(`${to}T00:00:00Z`) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS).toISOString());
+  const days = Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+  if (days < 1) throw badRequest('from must not be after to');
+  if (days > MAX_RANGE_DAYS) throw badRequest(`range must not exceed ${MAX_RANGE_DAYS} days`);
+  return { from, to, days };
+}
+
+function daysOf(range) {
+  const out = [];
+  const start = Date.parse(`${range.from}T00:00:00Z`);
+  for (let i = 0; i < range.days; i++) out.push(dayOf(new Date(start + i * DAY_MS).toISOString()));
+  return out;
+}
+
+async function fetchRange(table, columns, range) {
+  const rows = [];
+  let truncated = false;
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    if (offset >= MAX_ROWS) {
+      truncated = true;
+      break;
+    }
+    const { data, error } = await db
+      .from(table)
+      .select(columns)
+      .gte('created_at', `${range.from}T00:00:00.000Z`)
+      .lte('created_at', `${range.to}T23:59:59.999Z`)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (error) throw new Error(`${table} select failed: ${error.message || error}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  if (truncated) console.warn(`analytics: ${table} rows capped at ${MAX_ROWS} for ${range.from}..${range.to}`);
+  return { rows, truncated };
+}
+
+// owner id -> profiles.role (the offline DEV_AUTH_ROLE user has no profiles row)
+async function fetchOwnerRoles(ownerIds) {
+  const roles = new Map();
+  const ids = Array.from(ownerIds);
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data, error } = await db.from('profiles').select('id, role').in('id', ids.slice(i, i + 200));
+    if (error) throw new Error(`profiles select failed: ${error.message || error}`);
+    for (const p of data || []) roles.set(String(p.id), p.role);
+  }
+  const dev = devUser();
+  if (dev && ownerIds.has(dev.id)) roles.set(dev.id, dev.role);
+  return roles;
+}
+
+/**
+ * Messages of the range plus the roles of their chat owners, shared by usage and source aggregates.
+ */
+function loadMessages(range) {
+  return cached(`messages:${range.from}:${range.to}`, async () => {
+    const { rows, truncated } = await fetchRange('message_analytics', 'id, chat_id, owner_id, role, out_of_context, cache_hit, chunks, citations, created_at', range);
+    const roles = await fetchOwnerRoles(new Set(rows.filter(m => m.owner_id).map(m => String(m.owner_id))));
+    return { messages: rows, roles, truncated };
+  });
+}
+
+function chunksOf(message) {
+  return Array.isArray(message.chunks) ? message.chunks : [];
+}
+
+function involvesDocument(message, documentId) {
+  return chunksOf(message).some(c => String(c.document_id) === String(documentId));
+}
+
+/**
+ * usageOverview(range, { document_id }):
+ * questions per day, active students (chat owners with the student role; teachers and admins trying the
+ * chat are not counted), out-of-context rate, average top similarity and the share of
+ * answers served from the answer cache (lib/answerCache). With document_id only answers that retrieved that document are counted (one answer = one question).
+ */
+async function usageOverview(range, { document_id } = {}) {
+  const { messages, roles, truncated } = await loadMessages(range);
+  const daily = new Map(daysOf(range).map(d => [d, { date: d, questions: 0, students: new Set(), answers: 0, out_of_context: 0, cache_hits: 0, simSum: 0, simCount: 0 }]));
+  const allStudents = new Set();
+
+  for (const m of messages) {
+    const bucket = daily.get(dayOf(m.created_at));
+    if (!bucket) continue;
+    const student = m.owner_id && roles.get(String(m.owner_id)) === 'student' ? String(m.owner_id) : null;
+
+    if (m.role === 'user') {
+      if (document_id) continue;
+      bucket.questions++;
+      if (student) {
+        bucket.students.add(student);
+        allStudents.add(student);
+      }
+      continue;
+    }
+    if (m.role !== 'assistant') continue;
+    if (document_id) {
+      if (!involvesDocument(m, document_id)) continue;
+      bucket.questions++;
+      if (student) {
+        bucket.students.add(student);
+        allStudents.add(student);
+      }
+    }
+
+    bucket.answers++;
+    if (m.out_of_context) bucket.out_of_context++;
+    if (m.cache_hit) bucket.cache_hits++;
+    const top = Number((chunksOf(m)[0] || {}).similarity);
+    if (Number.isFinite(top)) {
+      bucket.simSum += top;
+      bucket.simCount++;
+    }
+  }
+
+  const rate = (n, d) => (d ? Number((n / d).toFixed(4)) : null);
+  const days = Array.from(daily.values());
+  const sum = key => days.reduce((s, b) => s + b[key], 0);
+
+  return {
+    range,
+    document_id: document_id || null,
+    truncated,
+    totals: {
+      questions: sum('questions'),
+      answers: sum('answers'),
+      active_students: allStudents.size,
+      out_of_context_rate: rate(sum('out_of_context'), sum('answers')),
+      avg_top_similarity: rate(sum('simSum'), sum('simCount')),
+      cache_hits: sum('cache_hits'),
+      cache_hit_rate: rate(sum('cache_hits'), sum('answers'))
+    },
+    daily: days.map(b => ({
+      date: b.date,
+      questions: b.questions,
+      active_students: b.students.size,
+      answers: b.answers,
+      out_of_context_rate: rate(b.out_of_context, b.answers),
+      avg_top_similarity: rate(b.simSum, b.simCount),
+      cache_hits: b.cache_hits,
+      cache_hit_rate: rate(b.cache_hits, b.answers)
+    }))
+  };
+}
+
+/**
+ * topSources(range, { document_id, limit }): most cited / retrieved documents and chunks.
+ * `citations` counts [n] markers that made it into answers, `retrievals` counts chunks given as context.
+ */
+async function topSources(range, { document_id, limit = 10 } = {}) {
+  const { messages, truncated } = await loadMessages(range);
+  const docs = new Map();
+  const chunks = new Map();
+
+  function bump(map, key, base, field) {
+    const entry = map.get(key) || Object.assign({ citations: 0, retrievals: 0 }, base);
+    if (entry.page === null && base.page !== undefined && base.page !== null) entry.page = base.page;
+    entry[field]++;
+    map.set(key, entry);
+  }
+
+  for (const m of messages) {
+    if (m.role !== 'assistant') continue;
+    const citations = Array.isArray(m.citations) ? m.citations : [];
+    const items = [
+      ...chunksOf(m).map(c => ({ c, field: 'retrievals' })),
+      ...citations.map(c => ({ c, field: 'citations' }))
+    ];
+    for (const { c, field } of items) {
+      if (!c || c.document_id === undefined) continue;
+      if (document_id && String(c.document_id) !== String(document_id)) continue;
+      const title = c.document_title || c.document_id;
+      bump(docs, String(c.document_id), { document_id: c.document_id, document_title: title }, field);
+      bump(chunks, `${c.document_id}:${c.chunk_index}`, { document_id: c.document_id, document_title: title, chunk_index: c.chunk_index, page: c.page ?? null }, field);
+    }
+  }
+
+  const byUse = (a, b) => (b.citations - a.citations) || (b.retrievals - a.retrievals);
+  return {
+    range,
+    document_id: document_id || null,
+    truncated,
+    documents: Array.from(docs.values()).sort(byUse).slice(0, limit),
+    chunks: Array.from(chunks.values()).sort(byUse).slice(0, limit)
+  };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarizeCalls(calls) {
+  const latencies = calls.map(c => Number(c.latency_ms) || 0).sort((a, b) => a - b);
+  const errors = calls.filter(c => !c.ok).length;
+  return {
+    calls: calls.length,
+    errors,
+    error_rate: calls.length ? Number((errors / calls.length).toFixed(4)) : null,
+    avg_ms: calls.length ? Math.round(latencies.reduce((s, v) => s + v, 0) / calls.length) : null,
+    p50_ms: percentile(latencies, 50),
+    p95_ms: percentile(latencies, 95)
+  };
+}
+
+/**
+ * serviceStats(range): latency / error rate per service (LLM provider, rag_worker, rag_service), overall and per day.
+ */
+function serviceStats(range) {
+  return cached(`services:${range.from}:${range.to}`, async () => {
+    const { rows, truncated } = await fetchRange('service_calls', 'service, operation, latency_ms, ok, created_at', range);
+    const byService = new Map();
+    for (const row of rows) {
+      if (!byService.has(row.service)) byService.set(row.service, []);
+      byService.get(row.service).push(row);
+    }
+
+    const services = Array.from(byService.entries()).map(([service, calls]) => {
+      const byDay = new Map();
+      for (const c of calls) {
+        const d = dayOf(c.created_at);
+        if (!byDay.has(d)) byDay.set(d, []);
+        byDay.get(d).push(c);
+      }
+      return Object.assign({ service }, summarizeCalls(calls), {
+        daily: Array.from(byDay.entries()).map(([date, dayCalls]) => Object.assign({ date }, summarizeCalls(dayCalls)))
+      });
+    });
+    return { range, truncated, services };
+  });
+}
+
+module.exports = { parseRange, usageOverview, topSources, serviceStats };
@@ -0,0 +1,75 @@
+// src/lib/answerCache/fileStore.js
+// Persistent answer cache store: the memory store plus one JSON file, rewritten atomically
+// (tmp file + rename) shortly after each change, like the job store. Survives restarts.
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryAnswerStore } = require('./memoryStore');
+
+const WRITE_DEBOUNCE_MS = 1000;
+
+function createFileAnswerStore(filePath, { maxEntries, ttlMs }) {
+  const memory = createMemoryAnswerStore({ maxEntries, ttlMs });
+  let writeTimer = null;
+  let writing = Promise.resolve();
+
+  // load existing state (a corrupt file is kept aside rather than silently dropped)
+  try {
+    if (fs.existsSync(filePath)) {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      memory.lru.load(Array.isArray(raw.entries) ? raw.entries : []);
+    }
+  } catch (e) {
+    const backup = `${filePath}.corrupt-${Date.now()}`;
+    console.warn(`Answer cache ${filePath} unreadable, moved to ${backup}:`, e && e.message);
+    try { fs.renameSync(filePath, backup); } catch (err) {}
+  }
+
+  function writeNow() {
+    const snapshot = JSON.stringify({ version: 1, entries: memory.lru.entries() });
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, filePath);
+    }).catch(e => console.error('Answer cache write failed:', e && (e.message || e)));
+    return writing;
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      writeNow();
+    }, WRITE_DEBOUNCE_MS);
+    if (writeTimer.unref) writeTimer.unref();
+  }
+
+  return {
+    kind: 'file',
+    get: key => memory.get(key),
+    set(key, entry) {
+      memory.set(key, entry);
+      scheduleWrite();
+    },
+    removeDocument(documentId) {
+      const removed = memory.removeDocument(documentId);
+      if (removed) scheduleWrite();
+      return removed;
+    },
+    clear() {
+      memory.clear();
+      scheduleWrite();
+    },
+    size: () => memory.size(),
+    flush() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+      }
+      return writeNow();
+    }
+  };
+}
+
+module.exports = { createFileAnswerStore };
@@ -0,0 +1,101 @@
+// src/lib/answerCache/index.js
+// Process-wide cache of final chat answers, so students asking the same question over the same course
+// material don't each cost an LLM call. An entry is keyed on:
+//   - the normalized question (case, spacing and trailing punctuation ignored)
+//   - the answer language
+//   - the identities of the retrieved chunks, in order (document id, version, chunk index), and whether
+//     they counted as context; citation markers [n] in the cached reply refer to that order
+//   - the prompt template versions used (lib/prompts), so editing a template doesn't serve old answers
+// Entries remember which documents they were built from and are dropped when one of them is deleted,
+// re-uploaded or re-processed (invalidateDocument). Follow-up questions (chats with history) are never
+// cached, since their answers depend on the conversation.
+//
+// Env:
+//   ANSWER_CACHE               'false' turns the cache off (default on)
+//   ANSWER_CACHE_STORE         memory (default) | file
+//   ANSWER_CACHE_PATH          file store location, default <repo>/data/answer-cache.json
+//   ANSWER_CACHE_MAX_ENTRIES   default 1000
+//   ANSWER_CACHE_TTL_MS        default 24 h
+
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryAnswerStore } = require('./memoryStore');
+const { createFileAnswerStore } = require('./fileStore');
+
+const ENABLED = (process.env.ANSWER_CACHE || 'true') !== 'false';
+const STORE_PATH = process.env.ANSWER_CACHE_PATH || path.join(__dirname, '..', '..', '..', 'data', 'answer-cache.json');
+const MAX_ENTRIES = Number(process.env.ANSWER_CACHE_MAX_ENTRIES || 1000);
+const TTL_MS = Number(process.env.ANSWER_CACHE_TTL_MS || 24 * 60 * 60 * 1000);
+
+function createStore(kind) {
+  if (kind === 'memory') return createMemoryAnswerStore({ maxEntries: MAX_ENTRIES, ttlMs: TTL_MS });
+  if (kind === 'file') return createFileAnswerStore(STORE_PATH, { maxEntries: MAX_ENTRIES, ttlMs: TTL_MS });
+  throw new Error(`Unknown ANSWER_CACHE_STORE "${kind}" (use memory or file)`);
+}
+
+function normalizeQuestion(question) {
+  return String(question || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s?!.。,;:]+$/, '')
+    .trim();
+}
+
+/**
+ * answerCacheKey({ question, language, chunks, has_context, prompt }) -> hex key
+ * prompt: { <kind>: template ref } from lib/prompts promptRefs
+ */
+function answerCacheKey({ question, language, chunks, has_context, prompt }) {
+  const sources = (chunks || []).map(c => `${c.document_id}:${c.document_version ?? ''}:${c.chunk_index}`);
+  const material = JSON.stringify({ q: normalizeQuestion(question), language, sources, has_context: Boolean(has_context), prompt: prompt || null });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * createAnswerCache({ store, enabled }) -> { lookup, save, invalidateDocument, stats, flush }
+ */
+function createAnswerCache({ store, enabled = true }) {
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    enabled,
+    /**
+     * lookup(params) -> { key, reply } (reply null on a miss). params as for answerCacheKey.
+     */
+    lookup(params) {
+      if (!enabled) return { key: null, reply: null };
+      const key = answerCacheKey(params);
+      const entry = store.get(key);
+      if (entry) hits++;
+      else misses++;
+      return { key, reply: entry ? entry.reply : null };
+    },
+    /**
+     * save(key, { reply, chunks }): reply is the raw model output (citations are re-extracted on a hit)
+     */
+    save(key, { reply, chunks }) {
+      if (!enabled || !key || !reply) return;
+      const documentIds = Array.from(new Set((chunks || []).map(c => String(c.document_id))));
+      store.set(key, { reply, document_ids: documentIds, created_at: new Date().toISOString() });
+    },
+    invalidateDocument(documentId) {
+      if (!enabled || !documentId) return 0;
+      return store.removeDocument(documentId);
+    },
+    stats() {
+      return { enabled, store: store.kind, entries: store.size(), hits, misses };
+    },
+    flush() {
+      return store.flush ? store.flush() : Promise.resolve();
+    }
+  };
+}
+
+const answerCache = createAnswerCache({
+  store: createStore((process.env.ANSWER_CACHE_STORE || 'memory').toLowerCase()),
+  enabled: ENABLED
+});
+
+module.exports = { answerCache, answerCacheKey, normalizeQuestion };
@@ -0,0 +1,30 @@
+// src/lib/answerCache/memoryStore.js
+// In-process answer cache store (LRU, lib/lruCache). Lost on restart; see fileStore for a persistent one.
+//
+// Stores implement:
+//   get(key) -> entry | null
+//   set(key, entry)                       entry: { reply, document_ids, created_at }
+//   removeDocument(documentId) -> number  drops every entry built from that document
+//   clear()
+//   size()
+
+const { createLruCache } = require('../lruCache');
+
+function createMemoryAnswerStore({ maxEntries, ttlMs }) {
+  const lru = createLruCache({ maxEntries, ttlMs });
+  return {
+    kind: 'memory',
+    lru,
+    get: key => lru.get(key),
+    set(key, entry) {
+      lru.set(key, entry);
+    },
+    removeDocument: documentId => lru.deleteWhere(entry => entry.document_ids.includes(String(documentId))),
+    clear() {
+      lru.clear();
+    },
+    size: () => lru.size
+  };
+}
+
+module.exports = { createMemoryAnswerStore };
@@ -0,0 +1,114 @@
+// src/lib/bulkImport.js
+// Expands a bulk upload (routes/admin.js POST /documents/bulk) into individual material files:
+// plain uploads pass through, ZIP archives are unpacked entry by entry. Folder names inside the
+// archive become the document's tags (e.g. "Kelas 10/Biologi/bab1.pdf" -> ["Kelas 10", "Biologi"]).
+
+const path = require('path');
+const { detectFileType, detectFileTypeOfFile } = require('./fileTypes');
+const { fileSource, listEntries, readEntry } = require('./zip');
+
+const MAX_ENTRIES = Number(process.env.BULK_MAX_ENTRIES || 200);
+const MAX_FILE_BYTES = Number(process.env.BULK_MAX_FILE_BYTES || 50 * 1024 * 1024);
+const MAX_TOTAL_BYTES = Number(process.env.BULK_MAX_TOTAL_BYTES || 500 * 1024 * 1024);
+
+// OS / editor clutter that ends up in archives made on macOS or Windows
+function isJunk(name) {
+  const base = path.posix.basename(name);
+  return name.startsWith('__MACOSX/') || base.startsWith('.') || base.startsWith('~$') || /^(thumbs\.db|desktop\.ini)$/i.test(base);
+}
+
+function tagsOf(name) {
+  return path.posix.dirname(name).split('/').map(s => s.trim()).filter(s => s && s !== '.');
+}
+
+/**
+ * expandUploads(uploads) -> generator of items, one per material file:
+ *   { name, filename, tags, path | buffer, size, detected }   ready to store
+ *   { name, skipped: reason }                                 ignored entry (folders, OS files)
+ *   { name, error }                                           unsupported / oversized / unreadable
+ * - uploads: multer disk files ({ originalname, path, size }); plain uploads pass on their path,
+ *   archive entries come as buffers
+ * Archives are read from disk and entries lazily, so only one unpacked file is held in memory at a time.
+ */
+function* expandUploads(uploads) {
+  let entryCount = 0;
+  let totalBytes = 0;
+
+  for (const upload of uploads) {
+    const options = { filename: upload.originalname, allowArchive: true };
+    let detected;
+    try {
+      detected = upload.path ? detectFileTypeOfFile(upload.path, options) : detectFileType(upload.buffer, options);
+    } catch (e) {
+      detected = { error: e.message || String(e) };
+    }
+    if (detected.error) {
+      yield { name: upload.originalname, error: detected.error };
+      continue;
+    }
+    if (detected.type !== 'zip') {
+      yield { name: upload.originalname, filename: upload.originalname, tags: [], path: upload.path, buffer: upload.buffer, size: upload.size, detected };
+      continue;
+    }
+
+    let archive;
+    let entries;
+    try {
+      archive = upload.path ? fileSource(upload.path) : upload.buffer;
+      entries = listEntries(archive);
+    } catch (e) {
+      if (archive && archive.close) archive.close();
+      yield { name: upload.originalname, error: e.message };
+      continue;
+    }
+
+    try {
+      yield* expandArchive(upload.originalname, archive, entries);
+    } finally {
+      if (archive.close) archive.close();
+    }
+  }
+
+  function* expandArchive(archiveName, archive, entries) {
+    for (const entry of entries) {
+      // archives are shown as "archive.zip/inner/path.pdf" in the report
+      const name = `${archiveName}/${entry.name}`;
+      if (entry.directory) continue;
+      if (isJunk(entry.name)) {
+        yield { name, skipped: 'system file' };
+        continue;
+      }
+      if (++entryCount > MAX_ENTRIES) {
+        yield { name, error: `Too many files in archives (max ${MAX_ENTRIES})` };
+        continue;
+      }
+      if (entry.size > MAX_FILE_BYTES) {
+        yield { name, error: `File too large (${entry.size} bytes, max ${MAX_FILE_BYTES})` };
+        continue;
+      }
+      if (totalBytes + entry.size > MAX_TOTAL_BYTES) {
+        yield { name, error: `Archive content exceeds ${MAX_TOTAL_BYTES} bytes` };
+        continue;
+      }
+
+      const filename = path.posix.basename(entry.name);
+      let buffer;
+      try {
+        // readEntry enforces the declared size, so a crafted entry can't inflate past the caps
+        buffer = readEntry(archive, entry, { maxBytes: MAX_FILE_BYTES });
+      } catch (e) {
+        yield { name, error: e.message };
+        continue;
+      }
+      totalBytes += buffer.length;
+      const type = detectFileType(buffer, { filename });
+      if (type.error) {
+        yield { name, error: type.error };
+        continue;
+      }
+      yield { name, filename, tags: tagsOf(entry.name), buffer, size: buffer.length, detected: type };
+    }
+  }
+}
+
+module.exports = { expandUploads };
@@ -0,0 +1,85 @@
+// src/lib/citations.js
+// Numbered context + citation markers for the answer pipeline (routes/chat.js):
+// - context chunks are rendered as [1], [2], ... in the prompt
+// - the model cites them with the same markers
+// - markers in the reply are parsed back into structured citations; markers that don't point
+//   at a retrieved chunk are stripped from the reply
+
+// [1] or [1, 3]; not preceded by a word character so code like arr[0] is left alone
+const MARKER_RE = /(?<!\w)\[(\d{1,3}(?:\s*,\s*\d{1,3})*)\]/g;
+const REMOVED = '\u0000';
+
+// version pins the link to the file the answer was based on, even after a newer upload
+function viewerUrl(documentId, page, version) {
+  const base = `/api/admin/documents/${encodeURIComponent(documentId)}/view`;
+  const params = [];
+  if (Number.isFinite(version)) params.push(`version=${version}`);
+  if (Number.isFinite(page)) params.push(`page=${page}`);
+  return params.length ? `${base}?${params.join('&')}` : base;
+}
+
+const LOCATION_LABELS = { page: 'hal.', slide: 'slide', section: 'bagian' };
+
+function locationLabel(c) {
+  if (Number.isFinite(c.page)) return `hal. ${c.page}`;
+  if (Number.isFinite(c.location) && LOCATION_LABELS[c.location_type]) return `${LOCATION_LABELS[c.location_type]} ${c.location}`;
+  return null;
+}
+
+/**
+ * Render chunks as a numbered context block: "[n] (dok: <title>, hal. <page> | slide <n> | bagian <n>)\n<text>".
+ */
+function formatNumberedContext(chunks) {
+  return chunks
+    .map((c, i) => {
+      const label = locationLabel(c);
+      const where = label ? `, ${label}` : '';
+      return `[${i + 1}] (dok: ${c.document_title || c.document_id}${where})\n${c.text}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * extractCitations(reply, chunks) -> { reply, citations }
+ * - reply: the text with invalid markers removed (and "[1, 9]" reduced to the valid part "[1]")
+ * - citations: one entry per cited chunk, ordered by marker:
+ *   { marker, document_id, document_title, document_version, chunk_index, page, location_type, location, url }
+ *   (page is set for PDFs; location_type / location give the slide or section of other formats)
+ */
+function extractCitations(reply, chunks) {
+  const text = typeof reply === 'string' ? reply : String(reply || '');
+  const list = Array.isArray(chunks) ? chunks : [];
+  const cited = new Set();
+
+  const cleaned = text.replace(MARKER_RE, (match, inner) => {
+    const valid = Array.from(new Set(inner.split(',').map(n => parseInt(n, 10))))
+      .filter(n => n >= 1 && n <= list.length);
+    valid.forEach(n => cited.add(n));
+    return valid.length ? `[${valid.join(', ')}]` : REMOVED;
+  })
+    // drop removed markers together with the space before them ("teks [9]." -> "teks.")
+    .replace(/[ \t]*\u0000/g, '');
+
+  const citations = Array.from(cited)
+    .sort((a, b) => a - b)
+    .map(marker => {
+      const c = list[marker - 1];
+      const page = Number.isFinite(c.page) ? c.page : null;
+      const version = Number.isFinite(c.document_version) ? c.document_version : null;
+      return {
+        marker,
+        document_id: c.document_id,
+        document_title: c.document_title || c.document_id,
+        document_version: version,
+        chunk_index: c.chunk_index,
+        page,
+        location_type: c.location_type || (page !== null ? 'page' : null),
+        location: Number.isFinite(c.location) ? c.location : page,
+        url: viewerUrl(c.document_id, page, version)
+      };
+    });
+
+  return { reply: cleaned, citations };
+}
+
+module.exports = { formatNumberedContext, extractCitations, viewerUrl };
@@ -0,0 +1,105 @@
+// src/lib/contentHash.js
+// Content hashes for uploaded files (documents.content_hash), used by routes/admin.js to reject
+// uploading the same file twice and by the maintenance endpoint that backfills older rows.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+const DUPLICATE_COLUMNS = 'id, title, filename, status, current_version, created_at';
+
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * uploadContentHash(file) -> Promise<hex sha256> of an upload: file.buffer, or file.path streamed from disk.
+ */
+async function uploadContentHash(file) {
+  if (file.buffer) return contentHash(file.buffer);
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file.path), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * findDuplicate(db, hash, { excludeId }) -> the oldest documents row with this hash, or null.
+ */
+async function findDuplicate(db, hash, { excludeId } = {}) {
+  let q = db.from('documents').select(DUPLICATE_COLUMNS).eq('content_hash', hash);
+  if (excludeId) q = q.neq('id', excludeId);
+  const { data, error } = await q.order('created_at', { ascending: true }).limit(1);
+  if (error) throw new Error(`documents select failed: ${error.message || error}`);
+  return data && data[0] ? data[0] : null;
+}
+
+/**
+ * backfillContentHashes(db, { limit, offset, download }) -> { processed, updated, failed, remaining, next_offset, duplicates }
+ * Hashes up to `limit` documents without content_hash (oldest first). download(row) -> Buffer.
+ * The current version row gets the same hash. `duplicates` lists hashes now shared by several documents.
+ * Rows that fail keep a null hash; pass next_offset on the following call to skip them.
+ */
+async function backfillContentHashes(db, { limit = 50, offset = 0, download }) {
+  const { data: rows, error } = await db
+    .from('documents')
+    .select('*')
+    .is('content_hash', null)
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+  if (error) throw new Error(`documents select failed: ${error.message || error}`);
+
+  const failed = [];
+  const hashes = new Set();
+  let updated = 0;
+  for (const row of rows || []) {
+    try {
+      const hash = contentHash(await download(row));
+      const { error: upErr } = await db.from('documents').update({ content_hash: hash }).eq('id', row.id);
+      if (upErr) throw new Error(upErr.message || String(upErr));
+      await db
+        .from('document_versions')
+        .update({ content_hash: hash })
+        .eq('document_id', row.id)
+        .eq('version', row.current_version || 1);
+      hashes.add(hash);
+      updated++;
+    } catch (e) {
+      failed.push({ id: row.id, title: row.title || row.filename || null, error: e.message || String(e) });
+    }
+  }
+
+  const { count, error: countErr } = await db
+    .from('documents')
+    .select('id', { head: true, count: 'exact' })
+    .is('content_hash', null);
+  if (countErr) console.warn('content hash backfill: count error', countErr);
+
+  const duplicates = [];
+  if (hashes.size) {
+    const { data: same, error: dupErr } = await db
+      .from('documents')
+      .select(`${DUPLICATE_COLUMNS}, content_hash`)
+      .in('content_hash', Array.from(hashes));
+    if (dupErr) throw new Error(`documents select failed: ${dupErr.message || dupErr}`);
+    const groups = new Map();
+    for (const d of same || []) {
+      if (!groups.has(d.content_hash)) groups.set(d.content_hash, []);
+      groups.get(d.content_hash).push(d);
+    }
+    for (const [hash, documents] of groups) {
+      if (documents.length > 1) duplicates.push({ content_hash: hash, documents: documents.map(({ content_hash, ...d }) => d) });
+    }
+  }
+
+  return {
+    processed: (rows || []).length,
+    updated,
+    failed,
+    // includes rows that failed (now or in earlier calls)
+    remaining: typeof count === 'number' ? count : null,
+    next_offset: offset + failed.length,
+    duplicates
+  };
+}
+
+module.exports = { contentHash, uploadContentHash, findDuplicate, backfillContentHashes };
@@ -0,0 +1,179 @@
+// src/lib/conversation.js
+// Multi-turn memory for the chat pipeline:
+// - load recent turns of a chat from the messages table
+// - fit them into a token budget (older turns are summarized with generateText)
+// - rewrite follow-up questions into standalone queries for retrieval
+// - chat ownership checks and auto-generated chat titles
+
+const { db } = require('./db');
+const { generateText } = require('./llm');
+const { estimateTokens } = require('./tokens');
+
+const HISTORY_MAX_MESSAGES = Number(process.env.CHAT_HISTORY_MAX_MESSAGES || 20);
+const HISTORY_TOKEN_BUDGET = Number(process.env.CHAT_HISTORY_TOKEN_BUDGET || 1500);
+const SUMMARY_MAX_TOKENS = 256;
+
+/**
+ * Simple bounded in-memory summary cache (keyed by chat + newest summarized message).
+ * Avoids re-summarizing the same older turns on every follow-up.
+ */
+const summaryCache = new Map();
+const SUMMARY_CACHE_MAX = 500;
+
+function cacheSetSummary(key, value) {
+  if (summaryCache.size >= SUMMARY_CACHE_MAX) {
+    const oldestKey = summaryCache.keys().next().value;
+    summaryCache.delete(oldestKey);
+  }
+  summaryCache.set(key, value);
+}
+
+/**
+ * findOwnedChat(chatId, userId): the chats row when it exists and belongs to userId, else null.
+ */
+async function findOwnedChat(chatId, userId) {
+  if (!chatId || !userId) return null;
+  const { data: chat, error } = await db
+    .from('chats')
+    .select('*')
+    .eq('id', chatId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) {
+    console.warn('findOwnedChat error:', error);
+    return null;
+  }
+  return chat || null;
+}
+
+/**
+ * loadHistory(chatId, userId):
+ * - Returns the most recent messages of a chat (oldest first), or [] when unavailable.
+ * - Only loads chats owned by userId so one student cannot read another's conversation.
+ */
+async function loadHistory(chatId, userId) {
+  if (!chatId || !userId) return [];
+  try {
+    const chat = await findOwnedChat(chatId, userId);
+    if (!chat) return [];
+
+    const { data, error } = await db
+      .from('messages')
+      .select('id, role, content, created_at')
+      .eq('chat_id', chatId)
+      .order('created_at', { ascending: false })
+      .limit(HISTORY_MAX_MESSAGES);
+    if (error) {
+      console.warn('loadHistory select error:', error);
+      return [];
+    }
+    return (data || []).reverse();
+  } catch (e) {
+    console.warn('loadHistory failed:', e && e.message ? e.message : e);
+    return [];
+  }
+}
+
+function formatTurns(messages) {
+  return messages
+    .map(m => `${m.role === 'assistant' ? 'Tutor' : 'Siswa'}: ${m.content}`)
+    .join('\n');
+}
+
+async function summarizeTurns(chatId, messages) {
+  const last = messages[messages.length - 1];
+  const cacheKey = `${chatId}:${last && last.id}`;
+  if (summaryCache.has(cacheKey)) return summaryCache.get(cacheKey);
+
+  const prompt = `Ringkas percakapan antara siswa dan tutor berikut dalam maksimal 5 kalimat. ` +
+    `Pertahankan topik, istilah penting, dan pertanyaan yang sudah dijawab. Berikan hanya ringkasannya.\n\n` +
+    `${formatTurns(messages)}\n\nRingkasan:`;
+  try {
+    const summary = String(await generateText(prompt, { temperature: 0.0, maxTokens: SUMMARY_MAX_TOKENS }) || '').trim();
+    if (summary) cacheSetSummary(cacheKey, summary);
+    return summary;
+  } catch (e) {
+    console.warn('summarizeTurns failed:', e && e.message ? e.message : e);
+    return '';
+  }
+}
+
+/**
+ * fitHistory(chatId, messages, budget):
+ * - Keeps the newest turns verbatim while they fit the token budget.
+ * - Older turns that don't fit are collapsed into one summary (if summarization fails they are dropped).
+ * Returns { summary, turns } where turns are oldest first.
+ */
+async function fitHistory(chatId, messages, budget = HISTORY_TOKEN_BUDGET) {
+  if (!Array.isArray(messages) || messages.length === 0) return { summary: '', turns: [] };
+
+  const turns = [];
+  let used = 0;
+  let i = messages.length - 1;
+  for (; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content) + 4;
+    if (used + cost > budget) break;
+    used += cost;
+    turns.unshift(messages[i]);
+  }
+
+  const older = messages.slice(0, i + 1);
+  const summary = older.length ? await summarizeTurns(chatId, older) : '';
+  return { summary, turns };
+}
+
+/**
+ * Render history for inclusion in the answer prompt ('' when there is none).
+ */
+function formatHistory(history) {
+  if (!history) return '';
+  const parts = [];
+  if (history.summary) parts.push(`Ringkasan percakapan sebelumnya:\n${history.summary}`);
+  if (history.turns && history.turns.length) parts.push(formatTurns(history.turns));
+  return parts.join('\n\n');
+}
+
+/**
+ * rewriteStandaloneQuery(history, question):
+ * - Turns a follow-up ("what about the second one?") into a self-contained question for retrieval.
+ * - Returns the original question when there is no history or the rewrite fails.
+ */
+async function rewriteStandaloneQuery(history, question) {
+  const historyText = formatHistory(history);
+  if (!historyText) return question;
+
+  const prompt = `Berdasarkan riwayat percakapan berikut, tulis ulang pertanyaan terakhir siswa menjadi satu pertanyaan ` +
+    `yang berdiri sendiri (bisa dipahami tanpa riwayat). Gunakan bahasa yang sama dengan pertanyaan asli. ` +
+    `Jika pertanyaan sudah berdiri sendiri, kembalikan apa adanya. Berikan hanya pertanyaannya.\n\n` +
+    `Riwayat:\n${historyText}\n\nPertanyaan terakhir:\n${question}\n\nPertanyaan mandiri:`;
+  try {
+    const rewritten = String(await generateText(prompt, { temperature: 0.0, maxTokens: 128 }) || '').trim();
+    return rewritten || question;
+  } catch (e) {
+    console.warn('rewriteStandaloneQuery failed:', e && e.message ? e.message : e);
+    return question;
+  }
+}
+
+/**
+ * generateChatTitle(question): short title (max ~6 words) for a new chat, derived from its first question.
+ * Falls back to a truncated question when generation fails.
+ */
+async function generateChatTitle(question) {
+  const fallback = String(question || '').trim().replace(/\s+/g, ' ').slice(0, 60) || 'Chat';
+  const prompt = `Buat judul singkat (maksimal 6 kata) untuk percakapan belajar yang diawali pertanyaan berikut. ` +
+    `Gunakan bahasa yang sama dengan pertanyaan. Berikan hanya judulnya tanpa tanda kutip.\n\nPertanyaan:\n${question}\n\nJudul:`;
+  try {
+    const title = String(await generateText(prompt, { temperature: 0.2, maxTokens: 32 }) || '')
+      .trim()
+      .replace(/^["'\s]+|["'\s]+$/g, '')
+      .split('\n')[0]
+      .slice(0, 80);
+    return title || fallback;
+  } catch (e) {
+    console.warn('generateChatTitle failed:', e && e.message ? e.message : e);
+    return fallback;
+  }
+}
+
+module.exports = { findOwnedChat, generateChatTitle, loadHistory, fitHistory, formatHistory, rewriteStandaloneQuery };
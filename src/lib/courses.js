@@ -0,0 +1,97 @@
+// src/lib/courses.js
+// Course membership and the retrieval scope derived from it (routes/chat.js, routes/courses.js, and the
+// document view and quiz routes, which apply the same rule to students).
+//
+// Rules:
+// - a document in no course is available to everyone
+// - a document in one or more courses is only retrievable by users enrolled in one of them
+// - roles with courses:manage (teachers, admins) see every document
+// - chat with course_id retrieves only that course's documents (enrollment required for students)
+
+const { db } = require('./db');
+const { hasPermission } = require('./permissions');
+const { devUser } = require('../middleware/checkAdmin');
+
+function scopeError(status, message) {
+  return { scope: null, error: { status, message } };
+}
+
+async function userRole(userId) {
+  if (!userId) return null;
+  // offline the DEV_AUTH_ROLE user has no profiles row
+  const dev = devUser();
+  if (dev && dev.id === userId) return dev.role;
+  const { data, error } = await db.from('profiles').select('role').eq('id', userId).maybeSingle();
+  if (error) console.warn('userRole select error', error);
+  return data ? data.role : null;
+}
+
+async function enrolledCourseIds(userId) {
+  const { data, error } = await db.from('course_enrollments').select('course_id').eq('user_id', userId);
+  if (error) throw new Error(error.message || String(error));
+  return (data || []).map(r => String(r.course_id));
+}
+
+async function isEnrolled(courseId, userId) {
+  if (!courseId || !userId) return false;
+  const { data, error } = await db
+    .from('course_enrollments')
+    .select('course_id')
+    .eq('course_id', courseId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw new Error(error.message || String(error));
+  return Boolean(data);
+}
+
+async function courseDocumentIds(courseId) {
+  const { data, error } = await db.from('course_documents').select('document_id').eq('course_id', courseId);
+  if (error) throw new Error(error.message || String(error));
+  return (data || []).map(r => String(r.document_id));
+}
+
+/**
+ * resolveRetrievalScope({ userId, course_id, filter_document })
+ * Returns { scope } where scope is null (no restriction) or { include?: Set, exclude?: Set } of document ids,
+ * or { error: { status, message } } when the caller may not use the requested course.
+ */
+async function resolveRetrievalScope({ userId, course_id, filter_document } = {}) {
+  const role = await userRole(userId);
+  const manager = hasPermission(role, 'courses:manage');
+
+  if (course_id) {
+    if (!userId) return scopeError(401, 'login required to chat within a course');
+    const { data: course, error } = await db.from('courses').select('id').eq('id', course_id).maybeSingle();
+    if (error) throw new Error(error.message || String(error));
+    if (!course) return scopeError(404, 'course not found');
+    if (!manager && !(await isEnrolled(course.id, userId))) return scopeError(403, 'not enrolled in this course');
+
+    let include = await courseDocumentIds(course.id);
+    if (filter_document) include = include.filter(id => id === String(filter_document));
+    return { scope: { include: new Set(include) } };
+  }
+
+  if (manager) return { scope: null };
+
+  // everything that belongs to a course the caller isn't enrolled in is off limits
+  const enrolled = new Set(userId ? await enrolledCourseIds(userId) : []);
+  const { data: rows, error } = await db.from('course_documents').select('course_id, document_id');
+  if (error) throw new Error(error.message || String(error));
+  const allowed = new Set();
+  const restricted = new Set();
+  for (const r of rows || []) {
+    (enrolled.has(String(r.course_id)) ? allowed : restricted).add(String(r.document_id));
+  }
+  for (const id of allowed) restricted.delete(id);
+  return { scope: restricted.size ? { exclude: restricted } : null };
+}
+
+function documentInScope(scope, documentId) {
+  if (!scope) return true;
+  const id = String(documentId);
+  if (scope.include && !scope.include.has(id)) return false;
+  if (scope.exclude && scope.exclude.has(id)) return false;
+  return true;
+}
+
+module.exports = { resolveRetrievalScope, documentInScope, courseDocumentIds, isEnrolled, enrolledCourseIds, userRole };
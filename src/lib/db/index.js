@@ -0,0 +1,29 @@
+// src/lib/db/index.js
+// Process-wide database handle for documents, chunks, chats, messages and the other tables. Routes and
+// libs query `db` with the supabase-js builder API; the backend is picked with DB_DRIVER:
+//   supabase  the Supabase project (SUPABASE_URL + SUPABASE_SERVICE_KEY, see lib/supabaseClient)
+//   local     embedded JSON-file store (lib/db/localStore), LOCAL_DB_PATH default <repo>/data/db.json,
+//             so upload, processing and chat history work fully offline (dev / demos)
+// Default: supabase when configured, otherwise local. Sign-in still needs Supabase Auth; offline the
+// DEV_AUTH_ROLE user from middleware/checkAdmin is used.
+
+const path = require('path');
+const { supabaseAdmin } = require('../supabaseClient');
+const { createLocalDb } = require('./localStore');
+
+const LOCAL_DB_PATH = process.env.LOCAL_DB_PATH || path.join(__dirname, '..', '..', '..', 'data', 'db.json');
+
+function createDb(driver) {
+  if (driver === 'supabase') {
+    if (!supabaseAdmin) throw new Error('DB_DRIVER=supabase needs SUPABASE_URL and SUPABASE_SERVICE_KEY');
+    return supabaseAdmin;
+  }
+  if (driver === 'local') return createLocalDb(LOCAL_DB_PATH);
+  throw new Error(`Unknown DB_DRIVER "${driver}" (use supabase or local)`);
+}
+
+const dbDriver = (process.env.DB_DRIVER || (supabaseAdmin ? 'supabase' : 'local')).toLowerCase();
+const db = createDb(dbDriver);
+if (dbDriver === 'local') console.log(`Using local database at ${LOCAL_DB_PATH}`);
+
+module.exports = { db, dbDriver };
@@ -0,0 +1,363 @@
+// src/lib/db/localStore.js
+// Embedded database for running without Supabase: every table lives in memory and is persisted to one
+// JSON file, rewritten atomically (tmp file + rename) shortly after each change, like the job store.
+//
+// It answers the same query-builder calls as supabase-js (the subset this backend uses), so routes and
+// libs work unchanged against either:
+//   from(table).select(columns, { count, head }) | insert(rows) | update(values) | upsert(rows, { onConflict }) | delete()
+//   filters: eq, neq, gt, gte, lt, lte, in, is, not(column, 'is' | 'eq' | 'in', value), contains
+//   modifiers: order(column, { ascending }), range(from, to), limit(n), single(), maybeSingle()
+//   select() after a mutation returns the affected rows
+//   views (schema `view`) can be selected from like tables but not changed
+// Results resolve to { data, error, count } with Postgres-like error codes (23505 unique violation,
+// PGRST116 for single() without exactly one row). Schema rules come from lib/db/schema.js.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA, tableSchema } = require('./schema');
+
+const WRITE_DEBOUNCE_MS = 200;
+
+function dbError(message, code) {
+  return { message, code, details: null, hint: null };
+}
+
+function clone(value) {
+  return value === undefined ? null : structuredClone(value);
+}
+
+/* ---------- value comparison (Postgres-ish: NULL never equals anything) ---------- */
+
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+function same(a, b) {
+  if (isNull(a) || isNull(b)) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return String(a) === String(b);
+}
+
+// numbers numerically, everything else (ISO timestamps, text) as strings
+function compare(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+const OPERATORS = {
+  eq: (v, x) => same(v, x),
+  neq: (v, x) => !isNull(v) && !isNull(x) && !same(v, x),
+  gt: (v, x) => !isNull(v) && compare(v, x) > 0,
+  gte: (v, x) => !isNull(v) && compare(v, x) >= 0,
+  lt: (v, x) => !isNull(v) && compare(v, x) < 0,
+  lte: (v, x) => !isNull(v) && compare(v, x) <= 0,
+  in: (v, list) => (list || []).some(x => same(v, x)),
+  is: (v, x) => (x === null ? isNull(v) : v === x),
+  contains: (v, list) => Array.isArray(v) && [].concat(list).every(x => v.some(y => same(y, x)))
+};
+
+function parseColumns(columns) {
+  const list = String(columns || '*').split(',').map(c => c.trim()).filter(Boolean);
+  return list.includes('*') ? null : list;
+}
+
+function project(row, columns) {
+  if (!columns) return clone(row);
+  const out = {};
+  for (const c of columns) out[c] = clone(row[c]);
+  return out;
+}
+
+/**
+ * createLocalDb(filePath) -> client with from(table) (see header) and flush()
+ */
+function createLocalDb(filePath) {
+  let tables = {};
+  let identities = {};
+  let writeTimer = null;
+  let writing = Promise.resolve();
+
+  // load existing state (a corrupt file is kept aside rather than silently dropped)
+  try {
+    if (fs.existsSync(filePath)) {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      tables = raw.tables || {};
+      identities = raw.identities || {};
+    }
+  } catch (e) {
+    const backup = `${filePath}.corrupt-${Date.now()}`;
+    console.warn(`Local database ${filePath} unreadable, moved to ${backup}:`, e && e.message);
+    try { fs.renameSync(filePath, backup); } catch (err) {}
+  }
+
+  function writeNow() {
+    const snapshot = JSON.stringify({ version: 1, tables, identities });
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, filePath);
+    }).catch(e => console.error('Local database write failed:', e && (e.message || e)));
+    return writing;
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      writeNow();
+    }, WRITE_DEBOUNCE_MS);
+    if (writeTimer.unref) writeTimer.unref();
+  }
+
+  function rowsOf(table) {
+    const { view } = tableSchema(table);
+    if (view) return view(rowsOf);
+    if (!tables[table]) tables[table] = [];
+    return tables[table];
+  }
+
+  /* ---------- schema rules ---------- */
+
+  function keysOf(table) {
+    const schema = tableSchema(table);
+    return [schema.primaryKey || ['id']].concat(schema.unique || []);
+  }
+
+  function conflictWith(table, row, ignore) {
+    for (const key of keysOf(table)) {
+      if (key.some(c => isNull(row[c]))) continue;
+      const other = rowsOf(table).find(r => r !== ignore && key.every(c => same(r[c], row[c])));
+      if (other) return dbError(`duplicate key value violates unique constraint "${table}_${key.join('_')}_key"`, '23505');
+    }
+    return null;
+  }
+
+  function newRow(table, values) {
+    const schema = tableSchema(table);
+    const row = {};
+    if (!schema.primaryKey) {
+      if (schema.identity) {
+        identities[table] = (identities[table] || 0) + 1;
+        row.id = identities[table];
+      } else {
+        row.id = crypto.randomUUID();
+      }
+    }
+    row.created_at = new Date().toISOString();
+    for (const [column, value] of Object.entries(schema.defaults || {})) {
+      row[column] = typeof value === 'function' ? value() : clone(value);
+    }
+    for (const [column, value] of Object.entries(values)) {
+      if (value !== undefined) row[column] = clone(value);
+    }
+    return row;
+  }
+
+  // on delete cascade, following lib/db/schema references
+  function cascadeDelete(table, removed) {
+    for (const [child, schema] of Object.entries(SCHEMA)) {
+      for (const [column, parent] of Object.entries(schema.references || {})) {
+        if (parent !== table || !tables[child]) continue;
+        const ids = new Set(removed.map(r => String(r.id)));
+        const gone = tables[child].filter(r => !isNull(r[column]) && ids.has(String(r[column])));
+        if (!gone.length) continue;
+        tables[child] = tables[child].filter(r => !gone.includes(r));
+        cascadeDelete(child, gone);
+      }
+    }
+  }
+
+  /* ---------- query execution ---------- */
+
+  function matches(row, filters) {
+    return filters.every(({ column, op, value, negate }) => {
+      const result = OPERATORS[op](row[column], value);
+      return negate ? !result : result;
+    });
+  }
+
+  function select(state) {
+    let rows = rowsOf(state.table).filter(r => matches(r, state.filters));
+    for (const { column, ascending } of state.orders.slice().reverse()) {
+      // stable sorts applied last-key-first give multi-column ordering; NULLS LAST asc / FIRST desc like Postgres
+      rows = rows.slice().sort((a, b) => {
+        if (isNull(a[column]) || isNull(b[column])) {
+          if (isNull(a[column]) && isNull(b[column])) return 0;
+          return isNull(a[column]) === ascending ? 1 : -1;
+        }
+        const c = compare(a[column], b[column]);
+        return ascending ? c : -c;
+      });
+    }
+    const count = rows.length;
+    const offset = state.offset || 0;
+    if (offset || state.limit !== null) rows = rows.slice(offset, state.limit === null ? undefined : offset + state.limit);
+    return { rows, count };
+  }
+
+  // a statement is all-or-nothing: on a constraint error every change it made is undone
+  function mutate(state) {
+    if (tableSchema(state.table).view) return { error: dbError(`cannot change view "${state.table}"`, '55000') };
+    const list = rowsOf(state.table);
+    const before = list.slice();
+    const originals = new Map();
+    const assign = (row, values) => {
+      if (!originals.has(row)) originals.set(row, Object.assign({}, row));
+      Object.assign(row, clone(values));
+    };
+    const fail = error => {
+      tables[state.table] = before;
+      for (const [row, original] of originals) {
+        for (const column of Object.keys(row)) delete row[column];
+        Object.assign(row, original);
+      }
+      return { error };
+    };
+
+    if (state.op === 'insert' || state.op === 'upsert') {
+      const conflictColumns = state.onConflict ? state.onConflict.split(',').map(c => c.trim()) : (tableSchema(state.table).primaryKey || ['id']);
+      const rows = [];
+      for (const values of [].concat(state.values)) {
+        const existing = state.op === 'upsert' && list.find(r => conflictColumns.every(c => same(r[c], values[c])));
+        if (existing) {
+          assign(existing, values);
+          const conflict = conflictWith(state.table, existing, existing);
+          if (conflict) return fail(conflict);
+          rows.push(existing);
+          continue;
+        }
+        const row = newRow(state.table, values);
+        const conflict = conflictWith(state.table, row);
+        if (conflict) return fail(conflict);
+        list.push(row);
+        rows.push(row);
+      }
+      return { rows };
+    }
+
+    const { rows } = select(state);
+    if (state.op === 'update') {
+      for (const row of rows) {
+        assign(row, state.values);
+        const conflict = conflictWith(state.table, row, row);
+        if (conflict) return fail(conflict);
+      }
+      return { rows };
+    }
+
+    // delete
+    tables[state.table] = list.filter(r => !rows.includes(r));
+    cascadeDelete(state.table, rows);
+    return { rows };
+  }
+
+  function execute(state) {
+    let rows;
+    let count = null;
+    if (state.op === 'select') {
+      const result = select(state);
+      rows = result.rows;
+      if (state.count) count = result.count;
+    } else {
+      const result = mutate(state);
+      if (result.error) return { data: null, error: result.error, count: null };
+      scheduleWrite();
+      rows = result.rows;
+      if (!state.returning) return { data: null, error: null, count: null };
+    }
+
+    const columns = parseColumns(state.op === 'select' ? state.columns : state.returning);
+    const data = state.head ? null : rows.map(r => project(r, columns));
+    if (state.single) {
+      if (data.length === 1) return { data: data[0], error: null, count };
+      if (!data.length && state.single === 'maybe') return { data: null, error: null, count };
+      return { data: null, error: dbError('JSON object requested, multiple (or no) rows returned', 'PGRST116'), count };
+    }
+    return { data, error: null, count };
+  }
+
+  /* ---------- supabase-js style builder ---------- */
+
+  function builder(table) {
+    const state = { table, op: 'select', columns: '*', values: null, onConflict: null, returning: null, count: null, head: false, filters: [], orders: [], offset: 0, limit: null, single: null };
+    const q = {
+      select(columns = '*', { count = null, head = false } = {}) {
+        if (state.op === 'select') Object.assign(state, { columns, count, head });
+        else state.returning = columns;
+        return q;
+      },
+      insert(values) {
+        Object.assign(state, { op: 'insert', values });
+        return q;
+      },
+      upsert(values, { onConflict = null } = {}) {
+        Object.assign(state, { op: 'upsert', values, onConflict });
+        return q;
+      },
+      update(values) {
+        Object.assign(state, { op: 'update', values });
+        return q;
+      },
+      delete() {
+        state.op = 'delete';
+        return q;
+      },
+      not(column, op, value) {
+        state.filters.push({ column, op, value, negate: true });
+        return q;
+      },
+      order(column, { ascending = true } = {}) {
+        state.orders.push({ column, ascending });
+        return q;
+      },
+      range(from, to) {
+        Object.assign(state, { offset: from, limit: to - from + 1 });
+        return q;
+      },
+      limit(n) {
+        state.limit = n;
+        return q;
+      },
+      single() {
+        state.single = 'one';
+        return q;
+      },
+      maybeSingle() {
+        state.single = 'maybe';
+        return q;
+      },
+      then(resolve, reject) {
+        let result;
+        try {
+          result = execute(state);
+        } catch (e) {
+          result = { data: null, error: dbError(e.message || String(e), 'LOCAL'), count: null };
+        }
+        return Promise.resolve(result).then(resolve, reject);
+      }
+    };
+    for (const op of Object.keys(OPERATORS)) {
+      q[op] = (column, value) => {
+        state.filters.push({ column, op, value });
+        return q;
+      };
+    }
+    return q;
+  }
+
+  return {
+    driver: 'local',
+    from: builder,
+    flush() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+      }
+      return writeNow();
+    }
+  };
+}
+
+module.exports = { createLocalDb };
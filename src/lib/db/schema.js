@@ -0,0 +1,122 @@
+// src/lib/db/schema.js
+// Table rules the local store (lib/db/localStore) enforces in place of Postgres, mirroring the Supabase
+// schema (supabase/migrations): column defaults, primary / unique keys and `on delete cascade` references.
+//   primaryKey   columns of a composite key (the table has no `id`); default ['id'] with a generated uuid
+//   identity     `id` is a bigint identity (1, 2, ...) instead of a uuid
+//   unique       extra unique column sets
+//   defaults     column -> value, or a function returning it; created_at defaults to now() everywhere
+//   references   column -> parent table; child rows are deleted with the parent
+//   view         rowsOf => rows: a read-only view computed from other tables on every select
+
+const now = () => new Date().toISOString();
+
+// the chunk / citation fields lib/analytics aggregates on (the stored chunks also carry their text)
+const SOURCE_FIELDS = ['document_id', 'document_title', 'chunk_index', 'page', 'similarity'];
+
+function sourcesOf(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map(item => Object.fromEntries(SOURCE_FIELDS.filter(f => item && item[f] !== undefined).map(f => [f, item[f]])));
+}
+
+const SCHEMA = {
+  profiles: {},
+  documents: {
+    defaults: { status: 'uploaded', current_version: 1, tags: () => [] }
+  },
+  document_versions: {
+    unique: [['document_id', 'version']],
+    references: { document_id: 'documents' }
+  },
+  chunks: {
+    defaults: { document_version: 1 },
+    references: { document_id: 'documents' }
+  },
+  chats: {
+    defaults: { title: 'Chat', archived_at: null }
+  },
+  messages: {
+    defaults: { metadata: null },
+    references: { chat_id: 'chats' }
+  },
+  message_feedback: {
+    unique: [['message_id', 'user_id']],
+    defaults: { updated_at: now, reviewed_at: null },
+    references: { message_id: 'messages' }
+  },
+  service_calls: {
+    identity: true
+  },
+  quizzes: {
+    defaults: { status: 'draft', updated_at: now },
+    references: { document_id: 'documents' }
+  },
+  quiz_questions: {
+    defaults: { position: 0, sources: () => [], points: 1, updated_at: now },
+    references: { quiz_id: 'quizzes' }
+  },
+  quiz_attempts: {
+    defaults: { status: 'in_progress', started_at: now, submitted_at: null },
+    references: { quiz_id: 'quizzes' }
+  },
+  courses: {
+    unique: [['code']],
+    defaults: { subject: null, updated_at: now }
+  },
+  course_documents: {
+    primaryKey: ['course_id', 'document_id'],
+    references: { course_id: 'courses', document_id: 'documents' }
+  },
+  course_enrollments: {
+    primaryKey: ['course_id', 'user_id'],
+    references: { course_id: 'courses' }
+  },
+  quota_overrides: {
+    primaryKey: ['scope', 'subject'],
+    defaults: { limits: () => ({}), updated_by: null, updated_at: now }
+  },
+  usage_counters: {
+    primaryKey: ['subject', 'period'],
+    defaults: { requests: 0, tokens: 0, updated_at: now }
+  },
+  prompt_templates: {
+    defaults: { description: null, current_version: 1, updated_at: now }
+  },
+  prompt_template_versions: {
+    unique: [['template_id', 'version']],
+    defaults: { note: null },
+    references: { template_id: 'prompt_templates' }
+  },
+  prompt_assignments: {
+    primaryKey: ['kind', 'scope', 'target'],
+    references: { template_id: 'prompt_templates' }
+  },
+  guardrail_events: {
+    defaults: { source: null, user_id: null, document_id: null, chunk_index: null, excerpt: null, metadata: null, reviewed_at: null, reviewed_by: null, review_note: null }
+  },
+  // messages with their chat's owner and only the metadata analytics needs (migration 20261019001500)
+  message_analytics: {
+    view: rowsOf => {
+      const owners = new Map(rowsOf('chats').map(c => [String(c.id), c.user_id]));
+      return rowsOf('messages').map(m => {
+        const meta = m.metadata || {};
+        return {
+          id: m.id,
+          chat_id: m.chat_id,
+          owner_id: owners.get(String(m.chat_id)) ?? null,
+          role: m.role,
+          created_at: m.created_at,
+          out_of_context: meta.out_of_context ?? null,
+          cache_hit: meta.cache_hit ?? null,
+          chunks: sourcesOf(meta.chunks),
+          citations: sourcesOf(meta.citations)
+        };
+      });
+    }
+  }
+};
+
+function tableSchema(table) {
+  return SCHEMA[table] || {};
+}
+
+module.exports = { SCHEMA, tableSchema };
@@ -0,0 +1,57 @@
+// src/lib/documentStatus.js
+// documents.status lifecycle. The backend owns every transition; the indexer reports through the
+// signed callback (routes/indexerCallback.js) instead of writing to the database itself.
+//
+//   uploaded -> processing -> embedded | chunked | error
+//   processing -> uploaded           (processing cancelled)
+//   chunked -> embedded              (indexer embeds chunks written by local ingestion)
+//   embedded | chunked | error -> processing   (re-process)
+
+const TRANSITIONS = {
+  uploaded: ['processing'],
+  processing: ['processing', 'embedded', 'chunked', 'error', 'uploaded'],
+  chunked: ['processing', 'embedded'],
+  embedded: ['processing'],
+  error: ['processing']
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+function canTransition(from, to) {
+  // rows written before this lifecycle existed (null / unknown status) behave like 'uploaded'
+  const current = TRANSITIONS[from] ? from : 'uploaded';
+  return Array.isArray(TRANSITIONS[current]) && TRANSITIONS[current].includes(to);
+}
+
+/**
+ * transitionDocumentStatus(db, documentId, to, extra)
+ * Reads the current status, validates the transition and updates the row.
+ * Returns { ok, from, to } or { ok: false, from, to, error } (error.code = 'illegal_transition' | 'not_found' |
+ * 'conflict' when the status changed between the read and the update).
+ */
+async function transitionDocumentStatus(db, documentId, to, extra = {}) {
+  const { data: row, error: readErr } = await db
+    .from('documents')
+    .select('id, status')
+    .eq('id', documentId)
+    .maybeSingle();
+  if (readErr) return { ok: false, from: null, to, error: { code: 'db_error', message: readErr.message || String(readErr) } };
+  if (!row) return { ok: false, from: null, to, error: { code: 'not_found', message: 'Document not found' } };
+
+  const from = row.status || 'uploaded';
+  if (!canTransition(from, to)) {
+    return { ok: false, from, to, error: { code: 'illegal_transition', message: `Illegal status transition ${from} -> ${to}` } };
+  }
+
+  // guard on the status we read so concurrent updates can't skip a step
+  let q = db.from('documents').update(Object.assign({}, extra, { status: to })).eq('id', documentId);
+  q = row.status ? q.eq('status', row.status) : q.is('status', null);
+  const { data: updated, error } = await q.select('id');
+  if (error) return { ok: false, from, to, error: { code: 'db_error', message: error.message || String(error) } };
+  if (!updated || !updated.length) {
+    return { ok: false, from, to, error: { code: 'conflict', message: `Document status changed from ${from} concurrently; ${to} not applied` } };
+  }
+  return { ok: true, from, to };
+}
+
+module.exports = { STATUSES, TRANSITIONS, canTransition, transitionDocumentStatus };
@@ -0,0 +1,148 @@
+// src/lib/documentVersions.js
+// File versions of a document (routes/admin.js). The documents row always describes the current
+// version (filename, storage_path, path, file_size, pages, current_version); document_versions keeps
+// one row per version, including the current one, so earlier files stay viewable and can be restored.
+// Chunks record the version they were extracted from (chunks.document_version), which chat citations keep.
+
+const VERSION_COLUMNS = 'id, document_id, version, filename, storage_path, path, file_size, pages, content_hash, uploaded_by, created_at';
+
+function dbError(label, error) {
+  return new Error(`${label}: ${error.message || error}`);
+}
+
+function currentVersionOf(row) {
+  const v = Number(row && row.current_version);
+  return Number.isInteger(v) && v > 0 ? v : 1;
+}
+
+/**
+ * listVersions(db, documentId) -> version rows, newest first.
+ */
+async function listVersions(db, documentId) {
+  const { data, error } = await db
+    .from('document_versions')
+    .select(VERSION_COLUMNS)
+    .eq('document_id', documentId)
+    .order('version', { ascending: false });
+  if (error) throw dbError('document_versions select failed', error);
+  return data || [];
+}
+
+async function getVersion(db, documentId, version) {
+  const { data, error } = await db
+    .from('document_versions')
+    .select(VERSION_COLUMNS)
+    .eq('document_id', documentId)
+    .eq('version', version)
+    .maybeSingle();
+  if (error) throw dbError('document_versions select failed', error);
+  return data || null;
+}
+
+/**
+ * Documents uploaded before versioning may have no document_versions row yet;
+ * record the current file as its version so it survives the next upload.
+ */
+async function ensureCurrentVersion(db, row) {
+  const version = currentVersionOf(row);
+  const existing = await getVersion(db, row.id, version);
+  if (existing) return existing;
+  const { data, error } = await db
+    .from('document_versions')
+    .insert({
+      document_id: row.id,
+      version,
+      filename: row.filename || null,
+      storage_path: row.storage_path || null,
+      path: row.path || null,
+      file_size: row.file_size || null,
+      pages: row.pages || null,
+      content_hash: row.content_hash || null,
+      uploaded_by: row.uploaded_by || null,
+      created_at: row.created_at || new Date().toISOString()
+    })
+    .select(VERSION_COLUMNS)
+    .single();
+  if (error) throw dbError('document_versions insert failed', error);
+  return data;
+}
+
+/**
+ * Point the documents row at a version (copies its file columns and sets current_version).
+ * includePath: whether documents has the optional `path` column (SUPABASE_INCLUDE_PATH).
+ */
+async function setCurrentVersion(db, documentId, version, { includePath = true } = {}) {
+  const update = {
+    current_version: version.version,
+    filename: version.filename,
+    storage_path: version.storage_path,
+    file_size: version.file_size,
+    pages: version.pages,
+    content_hash: version.content_hash
+  };
+  if (includePath) update.path = version.path;
+  const { error } = await db.from('documents').update(update).eq('id', documentId);
+  if (error) throw dbError('documents update failed', error);
+}
+
+/**
+ * addVersion(db, row, file, { uploadedBy, includePath }) -> the new version row (now current).
+ * - row: the documents row
+ * - file: { filename, storage_path, path, file_size, content_hash }
+ * Throws with status 409 when another upload took the same version number first.
+ */
+async function addVersion(db, row, file, { uploadedBy = null, includePath } = {}) {
+  await ensureCurrentVersion(db, row);
+  const versions = await listVersions(db, row.id);
+  const next = (versions.length ? Math.max(...versions.map(v => v.version)) : 0) + 1;
+
+  const { data, error } = await db
+    .from('document_versions')
+    .insert({
+      document_id: row.id,
+      version: next,
+      filename: file.filename || null,
+      storage_path: file.storage_path || null,
+      path: file.path || null,
+      file_size: file.file_size || null,
+      pages: null,
+      content_hash: file.content_hash || null,
+      uploaded_by: uploadedBy,
+      created_at: new Date().toISOString()
+    })
+    .select(VERSION_COLUMNS)
+    .single();
+  if (error) {
+    const err = dbError('document_versions insert failed', error);
+    // unique (document_id, version): a concurrent upload won
+    if (error.code === '23505') err.status = 409;
+    throw err;
+  }
+
+  await setCurrentVersion(db, row.id, data, { includePath });
+  return data;
+}
+
+/**
+ * Fill in what processing learned about a version's file (e.g. { pages }).
+ */
+async function updateVersion(db, documentId, version, fields) {
+  const { error } = await db.from('document_versions').update(fields).eq('document_id', documentId).eq('version', version);
+  if (error) throw dbError('document_versions update failed', error);
+}
+
+/**
+ * currentVersions(db, documentIds) -> Map(document_id -> current_version).
+ * Used to stamp retrieved chunks that don't carry their version (e.g. from the RAG worker).
+ */
+async function currentVersions(db, documentIds) {
+  const versions = new Map();
+  const ids = Array.from(new Set(documentIds.map(String)));
+  if (!ids.length) return versions;
+  const { data, error } = await db.from('documents').select('id, current_version').in('id', ids);
+  if (error) throw dbError('documents select failed', error);
+  for (const d of data || []) versions.set(String(d.id), currentVersionOf(d));
+  return versions;
+}
+
+module.exports = { currentVersionOf, listVersions, getVersion, ensureCurrentVersion, setCurrentVersion, addVersion, updateVersion, currentVersions };
@@ -0,0 +1,31 @@
+// src/lib/feedback.js
+// Shared vocabulary for answer feedback (routes/feedback.js) and its review queue (routes/feedbackReview.js).
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+
+// stored as slugs; "tidak relevan" from a client is accepted as tidak_relevan
+const FEEDBACK_CATEGORIES = ['salah', 'tidak_relevan', 'terlalu_panjang', 'tidak_lengkap', 'lainnya'];
+
+// what a reviewer concluded went wrong
+const REVIEW_FAULTS = ['retrieval', 'generation', 'content', 'none'];
+
+const MAX_COMMENT_LENGTH = 2000;
+
+function normalizeCategory(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const slug = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return FEEDBACK_CATEGORIES.includes(slug) ? slug : undefined;
+}
+
+/**
+ * Heuristic shown next to each queued answer so reviewers know where to look first:
+ * no usable context -> retrieval, otherwise the answer was generated from retrieved context.
+ */
+function suspectedFault(metadata) {
+  const meta = metadata || {};
+  const chunks = Array.isArray(meta.chunks) ? meta.chunks : [];
+  if (meta.out_of_context || chunks.length === 0) return 'retrieval';
+  return 'generation';
+}
+
+module.exports = { FEEDBACK_RATINGS, FEEDBACK_CATEGORIES, REVIEW_FAULTS, MAX_COMMENT_LENGTH, normalizeCategory, suspectedFault };
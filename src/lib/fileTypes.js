@@ -0,0 +1,121 @@
+// src/lib/fileTypes.js
+// Upload type detection by content (magic bytes / ZIP layout / text heuristics), shared by every
+// upload route (middleware/validateUpload.js) and by ingestion to pick an extractor.
+// The client's Content-Type is never trusted; the file extension only decides between text formats
+// (Markdown vs plain text) and must not contradict the detected content.
+
+const fs = require('fs');
+const path = require('path');
+const { isZip, openZip, openZipFile } = require('./zip');
+
+const FILE_TYPES = {
+  pdf: { mime: 'application/pdf', extensions: ['.pdf'] },
+  docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'] },
+  pptx: { mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['.pptx'] },
+  html: { mime: 'text/html', extensions: ['.html', '.htm'] },
+  md: { mime: 'text/markdown', extensions: ['.md', '.markdown'] },
+  txt: { mime: 'text/plain', extensions: ['.txt', '.text'] }
+};
+
+const TEXT_TYPES = ['html', 'md', 'txt'];
+const SNIFF_BYTES = 8192;
+
+// for <input accept="..."> and error messages
+const ACCEPTED_EXTENSIONS = Array.from(new Set(Object.values(FILE_TYPES).flatMap(t => t.extensions)));
+
+// a file without an extension claims no type; its content decides
+function typeForExtension(ext) {
+  if (!ext) return null;
+  return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].extensions.includes(ext)) || null;
+}
+
+function sniffZip(open) {
+  let zip;
+  try {
+    zip = open();
+  } catch (e) {
+    return null;
+  }
+  try {
+    if (zip.has('word/document.xml')) return 'docx';
+    if (zip.has('ppt/presentation.xml')) return 'pptx';
+    return null;
+  } finally {
+    zip.close();
+  }
+}
+
+/**
+ * Text if the head has no NUL / control bytes (UTF-8 or a legacy single-byte encoding such as Windows-1252).
+ */
+function looksLikeText(buffer) {
+  const head = buffer.slice(0, SNIFF_BYTES);
+  for (const byte of head) {
+    if (byte === 0 || (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte))) return false;
+  }
+  return head.length > 0;
+}
+
+function looksLikeHtml(buffer) {
+  const head = buffer.slice(0, SNIFF_BYTES).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  return /^<!doctype html|^<html[\s>]|^<head[\s>]|^<body[\s>]/.test(head) || /<html[\s>][\s\S]*<\/(head|body)>/.test(head);
+}
+
+function detect(head, openArchive, { filename, allowArchive = false } = {}) {
+  const ext = path.extname(filename || '').toLowerCase();
+  const claimed = typeForExtension(ext);
+  const name = filename || 'file';
+
+  if (!head || !head.length) return { error: `${name} is empty` };
+
+  let type = null;
+  if (head.slice(0, 5).toString('latin1') === '%PDF-') type = 'pdf';
+  else if (isZip(head)) {
+    type = sniffZip(openArchive);
+    if (!type && allowArchive && (!ext || ext === '.zip')) return { type: 'zip', mime: 'application/zip', ext: '.zip' };
+    if (!type) return { error: `${name} is a ZIP archive but not a Word (.docx) or PowerPoint (.pptx) file` };
+  } else if (looksLikeText(head)) {
+    if (looksLikeHtml(head)) type = 'html';
+    // Markdown can't be told apart from plain text by content; trust the extension between the two
+    else type = claimed === 'md' || claimed === 'html' ? claimed : 'txt';
+  }
+
+  if (!type) {
+    return { error: `Unsupported file type for ${name}. Accepted: ${ACCEPTED_EXTENSIONS.join(', ')}` };
+  }
+  // e.g. an executable renamed to .pdf, or a PDF renamed to .docx
+  if (ext && !claimed) {
+    return { error: `Unsupported file extension ${ext}. Accepted: ${ACCEPTED_EXTENSIONS.join(', ')}` };
+  }
+  if (claimed && claimed !== type && !(TEXT_TYPES.includes(claimed) && TEXT_TYPES.includes(type))) {
+    return { error: `${name} does not match its extension (content looks like ${type})` };
+  }
+  return { type, mime: FILE_TYPES[type].mime, ext: ext || FILE_TYPES[type].extensions[0] };
+}
+
+/**
+ * detectFileType(buffer, { filename, allowArchive }) -> { type, mime, ext } or { error } when the file is not an accepted material.
+ * type: 'pdf' | 'docx' | 'pptx' | 'html' | 'md' | 'txt', or 'zip' for other ZIP archives when allowArchive
+ * (bulk import expands those; they are never stored as a document).
+ */
+function detectFileType(buffer, options) {
+  return detect(buffer && buffer.slice(0, SNIFF_BYTES), () => openZip(buffer), options);
+}
+
+/**
+ * detectFileTypeOfFile(filePath, options) -> same as detectFileType for a file on disk. Only the head and,
+ * for ZIP-based formats, the central directory are read.
+ */
+function detectFileTypeOfFile(filePath, options) {
+  const head = Buffer.alloc(SNIFF_BYTES);
+  const fd = fs.openSync(filePath, 'r');
+  let n;
+  try {
+    n = fs.readSync(fd, head, 0, SNIFF_BYTES, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return detect(head.slice(0, n), () => openZipFile(filePath), options);
+}
+
+module.exports = { FILE_TYPES, ACCEPTED_EXTENSIONS, detectFileType, detectFileTypeOfFile };
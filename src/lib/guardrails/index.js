@@ -0,0 +1,200 @@
+// src/lib/guardrails/index.js
+// Safety checks around the chat pipeline (routes/chat.js):
+//   1. input   the question, before anything is sent to the LLM: self-harm -> a supportive reply with
+//              where to get help; abuse -> a polite refusal
+//   2. context retrieved chunks, before they go into the prompt: sentences that address the assistant
+//              (prompt injection hidden in uploaded material) are removed, or the chunk dropped
+//   3. output  the reply, before it is returned or saved: self-harm methods, abuse, or verbatim pieces
+//              of the prompt template (prompt leak) -> replaced with a neutral message
+// Checks use the pattern rules (rules.js), plus the LLM classifier (llmClassifier.js) when enabled.
+// Every finding is written to `guardrail_events` for admins to review (routes/guardrails.js).
+//
+// Env:
+//   GUARDRAILS               'false' turns every check off (default on)
+//   GUARDRAIL_RULES_PATH     JSON file replacing built-in rule categories (see rules.js)
+//   GUARDRAIL_CLASSIFIER     rules (default) | llm (rules first, then an LLM check of questions, chunks and replies)
+//   GUARDRAIL_CHUNK_ACTION   redact (default) | drop
+//   GUARDRAIL_SUPPORT_CONTACT  contact line of the self-harm reply (see messages.js)
+
+const { db } = require('../db');
+const { getProvider } = require('../llm');
+const { loadRules, matchRules, normalizeText } = require('./rules');
+const { createLlmClassifier } = require('./llmClassifier');
+const { guardrailMessage } = require('./messages');
+
+const REDACTED = '[instruksi dihapus]';
+const EXCERPT_LENGTH = 1000;
+// a verbatim run of template text this long in a reply counts as a prompt leak
+const MIN_LEAK_LENGTH = 40;
+
+const INPUT_ACTIONS = { self_harm: 'supported', abuse: 'blocked' };
+
+/**
+ * createGuardrails({ rules, classifier, chunkAction, enabled, recordEvent, skipLeakCheck })
+ * -> { enabled, classifier, chunkAction, rules, checkQuestion, screenChunks, checkReply, checkInstructions }
+ * (classifier: 'rules' | 'llm'; rules: the rule spec in use)
+ * skipLeakCheck() -> true turns the prompt-leak check of replies off (evaluated per reply).
+ */
+function createGuardrails({ rules, classifier = null, chunkAction = 'redact', enabled = true, recordEvent, skipLeakCheck = () => false }) {
+  // context findings are logged once per chunk and process, not on every question that retrieves it
+  const loggedChunks = new Set();
+
+  async function classify(stage, text, { rulesOnly } = {}) {
+    const hit = matchRules(rules.compiled, stage, text);
+    if (hit) return hit;
+    if (!classifier || rulesOnly) return null;
+    return classifier.classify(stage, text);
+  }
+
+  function log(event) {
+    recordEvent(Object.assign({}, event, { excerpt: event.excerpt ? String(event.excerpt).slice(0, EXCERPT_LENGTH) : null }));
+  }
+
+  /**
+   * checkQuestion(question, { userId, language }) -> null, or
+   * { stage: 'input', category, action: 'supported' | 'blocked', source, reply }
+   */
+  async function checkQuestion(question, { userId, language } = {}) {
+    if (!enabled) return null;
+    const hit = await classify('input', question);
+    if (!hit) return null;
+    const action = INPUT_ACTIONS[hit.category] || 'blocked';
+    log({ stage: 'input', category: hit.category, action, source: hit.source, user_id: userId || null, excerpt: question, match: hit.match || null });
+    return { stage: 'input', category: hit.category, action, source: hit.source, reply: guardrailMessage(hit.category === 'self_harm' ? 'self_harm' : 'abuse', language) };
+  }
+
+  // replaces the sentences of a chunk that match an injection rule (the whole line when the match
+  // spans sentences)
+  function redact(text) {
+    return String(text || '').split('\n').map(line => {
+      if (!matchRules(rules.compiled, 'context', line)) return line;
+      const sentences = line.split(/(?<=[.!?])\s+/);
+      const flagged = sentences.map(s => Boolean(matchRules(rules.compiled, 'context', s)));
+      if (!flagged.some(Boolean)) return REDACTED;
+      return sentences.map((s, i) => (flagged[i] ? REDACTED : s)).join(' ');
+    }).join('\n');
+  }
+
+  /**
+   * screenChunks(chunks, { userId }) -> { chunks, findings: [{ stage: 'context', category, action, document_id, chunk_index }] }
+   */
+  async function screenChunks(chunks, { userId } = {}) {
+    if (!enabled || !chunks.length) return { chunks, findings: [] };
+    const kept = [];
+    const findings = [];
+    for (const chunk of chunks) {
+      const hit = await classify('context', chunk.text);
+      if (!hit) {
+        kept.push(chunk);
+        continue;
+      }
+      // an LLM finding can't be located within the text, so that chunk is always dropped
+      const action = chunkAction === 'drop' || hit.source === 'llm' ? 'dropped' : 'redacted';
+      if (action === 'redacted') kept.push(Object.assign({}, chunk, { text: redact(chunk.text), redacted: true }));
+      const finding = { stage: 'context', category: hit.category, action, document_id: chunk.document_id, chunk_index: chunk.chunk_index };
+      findings.push(finding);
+
+      const key = `${chunk.document_id}:${chunk.document_version ?? ''}:${chunk.chunk_index}`;
+      if (!loggedChunks.has(key)) {
+        loggedChunks.add(key);
+        log(Object.assign({}, finding, { source: hit.source, user_id: userId || null, excerpt: chunk.text, match: hit.match || null }));
+      }
+    }
+    return { chunks: kept, findings };
+  }
+
+  function leakedFragment(reply, fragments) {
+    const text = normalizeText(reply).replace(/\s+/g, ' ');
+    return (fragments || []).find(f => f.length >= MIN_LEAK_LENGTH && text.includes(normalizeText(f).replace(/\s+/g, ' ')));
+  }
+
+  /**
+   * checkReply(reply, { userId, language, question, fragments, rulesOnly }) -> null, or
+   * { stage: 'output', category, action: 'replaced', source, reply }
+   * fragments: static text of the prompt templates (lib/prompts promptFragments) for leak detection.
+   * rulesOnly skips the LLM classifier (used on every streamed delta and for cached answers).
+   */
+  async function checkReply(reply, { userId, language, question, fragments, rulesOnly } = {}) {
+    if (!enabled || !reply) return null;
+    let hit = null;
+    const leaked = skipLeakCheck() ? null : leakedFragment(reply, fragments);
+    if (leaked) hit = { category: 'prompt_leak', source: 'prompt_fragment', match: leaked };
+    else hit = await classify('output', reply, { rulesOnly });
+    if (!hit) return null;
+    log({ stage: 'output', category: hit.category, action: 'replaced', source: hit.source, user_id: userId || null, excerpt: reply, match: hit.match || null, question: question || null });
+    return { stage: 'output', category: hit.category, action: 'replaced', source: hit.source, reply: guardrailMessage('output', language) };
+  }
+
+  /**
+   * checkInstructions(text, { userId, action }) -> null, or { category, source } when student text that
+   * goes into another prompt (e.g. a quiz answer being graded) contains instructions for the model
+   * (the context rules). action: what the caller does about it, for the event log.
+   */
+  async function checkInstructions(text, { userId, action = 'flagged' } = {}) {
+    if (!enabled || !text) return null;
+    const hit = await classify('context', text);
+    if (!hit) return null;
+    log({ stage: 'input', category: hit.category, action, source: hit.source, user_id: userId || null, excerpt: text, match: hit.match || null });
+    return { category: hit.category, source: hit.source };
+  }
+
+  return { enabled, classifier: classifier ? classifier.name : 'rules', chunkAction, rules: rules.spec, checkQuestion, screenChunks, checkReply, checkInstructions };
+}
+
+let warned = false;
+
+function isUuid(val) {
+  return typeof val === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(val);
+}
+
+/**
+ * recordGuardrailEvent(event): insert into guardrail_events without delaying the answer.
+ * event: { stage, category, action, source, user_id, document_id?, chunk_index?, excerpt, match, question? }
+ * document_id references documents (uuid); other chunk ids (e.g. the keyword fallback's doc_0) are kept
+ * in metadata.document_ref instead of failing the insert.
+ */
+function recordGuardrailEvent(event) {
+  const documentId = event.document_id !== undefined && event.document_id !== null ? String(event.document_id) : null;
+  const row = {
+    stage: event.stage,
+    category: event.category,
+    action: event.action,
+    source: event.source ? String(event.source).slice(0, 500) : null,
+    user_id: event.user_id || null,
+    document_id: isUuid(documentId) ? documentId : null,
+    chunk_index: Number.isInteger(event.chunk_index) ? event.chunk_index : null,
+    excerpt: event.excerpt || null,
+    metadata: { match: event.match || null, question: event.question ? String(event.question).slice(0, EXCERPT_LENGTH) : null }
+  };
+  if (documentId && !row.document_id) row.metadata.document_ref = documentId;
+  db.from('guardrail_events').insert(row)
+    .then(({ error }) => {
+      if (error && !warned) {
+        // most likely the migration hasn't been applied; say so once instead of on every event
+        warned = true;
+        console.warn('guardrails: could not write guardrail_events:', error.message || error);
+      }
+    })
+    .catch(e => console.warn('guardrail event insert failed', e && e.message ? e.message : e));
+}
+
+const CLASSIFIER = (process.env.GUARDRAIL_CLASSIFIER || 'rules').toLowerCase();
+if (!['rules', 'llm'].includes(CLASSIFIER)) {
+  throw new Error(`Unknown GUARDRAIL_CLASSIFIER "${CLASSIFIER}" (use rules or llm)`);
+}
+const CHUNK_ACTION = (process.env.GUARDRAIL_CHUNK_ACTION || 'redact').toLowerCase();
+if (!['redact', 'drop'].includes(CHUNK_ACTION)) {
+  throw new Error(`Unknown GUARDRAIL_CHUNK_ACTION "${CHUNK_ACTION}" (use redact or drop)`);
+}
+
+const guardrails = createGuardrails({
+  rules: loadRules(process.env.GUARDRAIL_RULES_PATH),
+  classifier: CLASSIFIER === 'llm' ? createLlmClassifier() : null,
+  chunkAction: CHUNK_ACTION,
+  enabled: (process.env.GUARDRAILS || 'true') !== 'false',
+  recordEvent: recordGuardrailEvent,
+  // the mock provider (lib/llm/mock) answers with the end of its prompt, which is always template text
+  skipLeakCheck: () => getProvider().name === 'mock'
+});
+
+module.exports = { guardrails, createGuardrails, recordGuardrailEvent };
@@ -0,0 +1,43 @@
+// src/lib/guardrails/messages.js
+// Replies the guardrails send instead of a model answer, per answer language (lib/language codes).
+// Javanese and Sundanese use the Indonesian text, which every student can read.
+//
+// Support contacts (Indonesia): Layanan SEJIWA 119 ext. 8 (Kemenkes), and the school counselor (guru BK).
+// GUARDRAIL_SUPPORT_CONTACT replaces the contact line, e.g. with the school's own counselor.
+
+const SUPPORT_CONTACT = process.env.GUARDRAIL_SUPPORT_CONTACT || '';
+
+const MESSAGES = {
+  id: {
+    self_harm: () =>
+      'Terima kasih sudah mau bercerita. Kedengarannya kamu sedang mengalami masa yang sangat berat, dan kamu tidak harus menghadapinya sendirian. ' +
+      'Cobalah bicara dengan orang yang kamu percaya, misalnya orang tua, teman dekat, atau guru BK di sekolahmu. ' +
+      (SUPPORT_CONTACT || 'Kamu juga bisa menghubungi Layanan SEJIWA di 119 ext. 8 untuk berbicara dengan konselor.') +
+      ' Jika kamu dalam bahaya sekarang, segera hubungi 112 atau minta bantuan orang di dekatmu.',
+    abuse: () =>
+      'Maaf, aku tidak bisa menanggapi pesan dengan kata-kata kasar. Yuk, tuliskan pertanyaanmu tentang materi pelajaran dengan bahasa yang sopan, aku siap membantu.',
+    output: () =>
+      'Maaf, aku tidak bisa memberikan jawaban untuk pertanyaan ini. Coba ajukan pertanyaan lain tentang materi pelajaran, atau tanyakan langsung kepada gurumu.'
+  },
+  en: {
+    self_harm: () =>
+      'Thank you for sharing this. It sounds like you are going through something really hard, and you do not have to face it alone. ' +
+      'Please talk to someone you trust, such as a parent, a close friend, or your school counselor. ' +
+      (SUPPORT_CONTACT || 'You can also call the SEJIWA service at 119 ext. 8 to talk to a counselor.') +
+      ' If you are in danger right now, call 112 or ask someone near you for help.',
+    abuse: () =>
+      'Sorry, I cannot respond to messages with abusive language. Please ask your question about the course material politely and I will be glad to help.',
+    output: () =>
+      'Sorry, I cannot give an answer to this question. Please ask another question about the course material, or ask your teacher directly.'
+  }
+};
+
+/**
+ * guardrailMessage(kind, language) -> text. kind: 'self_harm' | 'abuse' | 'output'
+ */
+function guardrailMessage(kind, language) {
+  const messages = MESSAGES[language] || MESSAGES.id;
+  return (messages[kind] || messages.output)();
+}
+
+module.exports = { guardrailMessage };
@@ -0,0 +1,131 @@
+// src/lib/guardrails/rules.js
+// Pattern rules for the chat guardrails (lib/guardrails), per stage and category:
+//   input   the student's question   self_harm -> supportive reply, abuse -> polite refusal
+//   context retrieved chunk text     prompt_injection -> instructions removed from the chunk
+//   output  the model's reply        self_harm_method, abuse -> reply replaced
+// Patterns are case-insensitive regular expressions matched against normalized text (lowercase,
+// accents and repeated spaces removed). Self-harm rules are first-person or method-seeking on purpose:
+// a question *about* suicide in a history or psychology lesson must still get an answer.
+//
+// GUARDRAIL_RULES_PATH may point at a JSON file of the same shape ({ "input": { "abuse": ["..."] } });
+// its categories replace the built-in ones of the same name, an empty list turns a category off.
+
+const fs = require('fs');
+
+const FIRST_PERSON = '(?:aku|saya|gue|gw|gua|ak|sy|i)';
+const WANT = '(?:ingin|mau|pengen|pingin|ingin sekali|kepikiran|berniat|want to|wanna|going to|gonna)';
+
+const DEFAULT_RULES = {
+  input: {
+    self_harm: [
+      `\\b${FIRST_PERSON}\\s+(?:sudah\\s+|udah\\s+)?${WANT}\\s+(?:bunuh diri|mati|mengakhiri hidup|ngakhirin hidup|menyakiti diri|melukai diri)`,
+      `\\b${FIRST_PERSON}\\s+(?:sering\\s+)?(?:menyakiti|melukai|nyakitin|self[- ]?harm)\\s+diri`,
+      '\\bcara\\s+(?:cepat\\s+|mudah\\s+)?(?:bunuh diri|mengakhiri hidup|menyakiti diri)',
+      '\\b(?:kill|hurt|cut) myself\\b',
+      '\\bend(?:ing)? my (?:own )?life\\b',
+      '\\bhow (?:can i|do i|to) (?:commit suicide|kill myself)\\b',
+      '\\btidak ada gunanya (?:aku|saya) hidup\\b',
+      '\\b(?:aku|saya) (?:lebih baik|mending) mati\\b'
+    ],
+    abuse: [
+      '\\b(?:bangsat|bajingan|keparat|kontol|memek|ngentot|jancok|jancuk|asu(?:mu)?|kampret)\\b',
+      '\\b(?:dasar|kamu|lu|lo|elo|kau|dia)\\s+(?:anjing|babi|monyet|goblok|tolol|bego|idiot|bodoh)\\b',
+      '\\b(?:fuck(?:ing)?|motherfucker|bitch|asshole|cunt)\\b',
+      '\\bbot (?:goblok|tolol|bego|bodoh)\\b'
+    ]
+  },
+  context: {
+    prompt_injection: [
+      '\\b(?:ignore|disregard|forget)\\s+(?:all\\s+|any\\s+)?(?:the\\s+)?(?:previous|prior|above|earlier|preceding)\\s+(?:instructions?|prompts?|rules?)',
+      '\\b(?:abaikan|lupakan|jangan ikuti)\\s+(?:semua\\s+|seluruh\\s+)?(?:instruksi|perintah|aturan)\\s*(?:sebelumnya|di atas)?',
+      // role changes only: "You are now ready to ..." in a textbook must not match
+      '\\byou are now (?:an? |the |my )?(?:(?:new|different|unrestricted|unfiltered|evil) )?(?:ai|assistant|chatbot|bot|language model|dan)\\b',
+      '\\byou are now in (?:developer|god|jailbreak|unrestricted) mode\\b',
+      '\\b(?:kamu|anda) sekarang adalah (?:sebuah )?(?:ai|asisten|chatbot|bot|model bahasa)\\b',
+      '\\b(?:new|updated) (?:system )?instructions?:',
+      // orders about the system prompt / developer message, not lessons that explain them ("a system prompt is ...")
+      '\\b(?:ignore|override|bypass|disregard|forget)\\s+(?:all\\s+|any\\s+)?(?:your|the|previous|prior)\\s+(?:system prompts?|developer messages?)\\b',
+      '\\b(?:abaikan|lupakan|langgar)\\s+(?:semua\\s+)?(?:system prompt|developer message|prompt sistem)\\b',
+      // not "developer mode": enabling it on a phone is an ordinary ICT lesson
+      '\\b(?:enable|activate|enter|switch to)\\s+(?:the\\s+)?(?:jailbreak|dan)\\s+mode\\b',
+      '\\b(?:aktifkan|masuk ke)\\s+mode\\s+jailbreak\\b',
+      '\\b(?:reveal|print|show) (?:your|the) (?:system )?(?:prompt|instructions)',
+      '<\\|?(?:im_start|im_end|system)\\|?>',
+      // a heading that opens a block of instructions for the model ("## Systems of equations" is fine)
+      '^\\s*#{2,}\\s*(?:system (?:prompt|message)|new instructions?|instructions? for the (?:ai|assistant|model))\\b'
+    ]
+  },
+  output: {
+    self_harm_method: [
+      '\\bcara\\s+(?:melakukan\\s+)?bunuh diri\\s+(?:adalah|yaitu|dengan)',
+      '\\b(?:here is|here\'s) how to (?:kill yourself|commit suicide)\\b',
+      '\\bdosis (?:mematikan|yang mematikan) untuk bunuh diri\\b'
+    ],
+    abuse: [
+      '\\b(?:bangsat|bajingan|keparat|kontol|memek|ngentot|jancok|jancuk)\\b',
+      '\\b(?:fuck(?:ing)?|motherfucker|bitch|asshole|cunt)\\b',
+      '\\b(?:kamu|anda)\\s+(?:memang\\s+)?(?:goblok|tolol|bego|idiot)\\b'
+    ]
+  }
+};
+
+const STAGES = Object.keys(DEFAULT_RULES);
+
+/**
+ * normalizeText(text): lowercase, no accents, single spaces (what rules are matched against)
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[ \t]+/g, ' ');
+}
+
+function compile(spec) {
+  const compiled = {};
+  for (const stage of STAGES) {
+    compiled[stage] = [];
+    for (const [category, patterns] of Object.entries(spec[stage] || {})) {
+      for (const source of patterns || []) {
+        try {
+          compiled[stage].push({ category, source, re: new RegExp(source, 'im') });
+        } catch (e) {
+          console.warn(`guardrails: invalid ${stage}/${category} pattern skipped: ${source}`, e && e.message);
+        }
+      }
+    }
+  }
+  return compiled;
+}
+
+/**
+ * loadRules(filePath?) -> { spec, compiled } built-in rules, with the file's categories replacing the
+ * built-in ones when given. An unreadable file is reported and ignored.
+ */
+function loadRules(filePath) {
+  const spec = JSON.parse(JSON.stringify(DEFAULT_RULES));
+  if (filePath) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const stage of STAGES) Object.assign(spec[stage], (custom && custom[stage]) || {});
+    } catch (e) {
+      console.warn(`guardrails: could not read ${filePath}, using built-in rules:`, e && e.message);
+    }
+  }
+  return { spec, compiled: compile(spec) };
+}
+
+/**
+ * matchRules(compiled, stage, text) -> { category, source, match } of the first matching rule, or null
+ */
+function matchRules(compiled, stage, text) {
+  const normalized = normalizeText(text);
+  for (const rule of compiled[stage] || []) {
+    const m = normalized.match(rule.re);
+    if (m) return { category: rule.category, source: rule.source, match: m[0] };
+  }
+  return null;
+}
+
+module.exports = { DEFAULT_RULES, STAGES, normalizeText, loadRules, matchRules };
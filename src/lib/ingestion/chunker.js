@@ -0,0 +1,98 @@
+// src/lib/ingestion/chunker.js
+// Splits located text (pages, later slides/sections) into overlapping chunks with token counts.
+
+const { estimateTokens } = require('../tokens');
+
+const DEFAULT_CHUNK_TOKENS = Number(process.env.CHUNK_TOKENS || 400);
+const DEFAULT_OVERLAP_TOKENS = Number(process.env.CHUNK_OVERLAP_TOKENS || 60);
+
+function normalizeWhitespace(text) {
+  return String(text || '')
+    .replace(/\u00AD/g, '')             // soft hyphens
+    .replace(/-\n(?=\p{Ll})/gu, '')      // words hyphenated across line breaks
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Break text into sentence-ish units; very long units are hard-split so no unit exceeds maxTokens.
+ */
+function splitUnits(text, maxTokens) {
+  const units = [];
+  const paragraphs = normalizeWhitespace(text).split(/\n{2,}/);
+  for (const para of paragraphs) {
+    const sentences = para.replace(/\n/g, ' ').match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [];
+    for (let s of sentences) {
+      s = s.trim();
+      if (!s) continue;
+      const maxChars = maxTokens * 4;
+      while (s.length > maxChars) {
+        const cut = s.lastIndexOf(' ', maxChars) > maxChars / 2 ? s.lastIndexOf(' ', maxChars) : maxChars;
+        units.push(s.slice(0, cut).trim());
+        s = s.slice(cut).trim();
+      }
+      if (s) units.push(s);
+    }
+  }
+  return units;
+}
+
+/**
+ * chunkSections(sections, { chunkTokens, overlapTokens })
+ * - sections: [{ location, text }] in reading order (location = page / slide / section number)
+ * - returns [{ chunk_index, text, tokens, location_start, location_end }]
+ * Consecutive chunks share roughly `overlapTokens` of trailing sentences so context isn't cut mid-thought.
+ */
+function chunkSections(sections, { chunkTokens = DEFAULT_CHUNK_TOKENS, overlapTokens = DEFAULT_OVERLAP_TOKENS } = {}) {
+  const units = [];
+  for (const section of sections || []) {
+    for (const text of splitUnits(section.text, chunkTokens)) {
+      units.push({ text, tokens: estimateTokens(text), location: section.location });
+    }
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (!current.length) return;
+    const text = current.map(u => u.text).join(' ');
+    chunks.push({
+      chunk_index: chunks.length,
+      text,
+      tokens: estimateTokens(text),
+      location_start: current[0].location,
+      location_end: current[current.length - 1].location
+    });
+    // carry trailing units forward as overlap
+    const carried = [];
+    let carriedTokens = 0;
+    for (let i = current.length - 1; i > 0 && carriedTokens + current[i].tokens <= overlapTokens; i--) {
+      carried.unshift(current[i]);
+      carriedTokens += current[i].tokens;
+    }
+    current = carried;
+    currentTokens = carriedTokens;
+  };
+
+  for (const unit of units) {
+    if (currentTokens > 0 && currentTokens + unit.tokens > chunkTokens) {
+      flush();
+      // the overlap alone leaves no room for this unit: start fresh instead
+      if (currentTokens + unit.tokens > chunkTokens) {
+        current = [];
+        currentTokens = 0;
+      }
+    }
+    current.push(unit);
+    currentTokens += unit.tokens;
+  }
+  flush();
+
+  return chunks;
+}
+
+module.exports = { chunkSections, normalizeWhitespace };
@@ -0,0 +1,126 @@
+// src/lib/ingestion/index.js
+// Node-native ingestion: extract located text from an uploaded file (PDF pages, PPTX slides,
+// DOCX / HTML / Markdown / text sections), chunk it and write rows to the `chunks` table
+// (document_id, chunk_index, text, tokens, location_type, location_start, location_end, page_start,
+// page_end, document_version). Embeddings are left to the external indexer; chunks written here are
+// immediately searchable by the keyword retriever.
+
+const { detectFileType } = require('../fileTypes');
+const { extractPdfPages } = require('./pdfText');
+const { extractDocxSections, extractPptxSlides } = require('./officeText');
+const { extractHtmlSections, extractMarkdownSections, extractPlainTextSections } = require('./markupText');
+const { chunkSections } = require('./chunker');
+
+const INSERT_BATCH_SIZE = 200;
+
+/**
+ * INGESTION_MODE selects how /documents/:id/process works for this deployment:
+ * - 'local'    -> this module (default when RAG_SERVICE_URL is not set)
+ * - 'external' -> forward to the RAG_SERVICE_URL python service
+ */
+function ingestionMode() {
+  const mode = String(process.env.INGESTION_MODE || '').toLowerCase();
+  if (mode === 'local' || mode === 'external') return mode;
+  return process.env.RAG_SERVICE_URL ? 'external' : 'local';
+}
+
+/**
+ * extractSections(buffer, { filename }) -> { sections: [{ location, text }], location_type, pages, file_type }
+ * The format is detected from the content (lib/fileTypes); location_type is 'page' (PDF), 'slide' (PPTX)
+ * or 'section' (DOCX / HTML / Markdown headings, text form feeds). pages is the page / slide count when known.
+ */
+async function extractSections(buffer, meta = {}) {
+  const detected = detectFileType(buffer, { filename: meta.filename });
+  if (detected.error) {
+    const err = new Error(`Unsupported file type for local ingestion: ${detected.error}`);
+    err.status = 415;
+    throw err;
+  }
+
+  switch (detected.type) {
+    case 'pdf': {
+      const { pages, numpages } = await extractPdfPages(buffer);
+      return { sections: pages.map(p => ({ location: p.page, text: p.text })), location_type: 'page', pages: numpages, file_type: 'pdf' };
+    }
+    case 'pptx': {
+      const { slides, numslides } = extractPptxSlides(buffer);
+      return { sections: slides.map(s => ({ location: s.slide, text: s.text })), location_type: 'slide', pages: numslides, file_type: 'pptx' };
+    }
+    case 'docx':
+      return { sections: extractDocxSections(buffer).sections, location_type: 'section', pages: null, file_type: 'docx' };
+    case 'html':
+      return { sections: extractHtmlSections(buffer).sections, location_type: 'section', pages: null, file_type: 'html' };
+    case 'md':
+      return { sections: extractMarkdownSections(buffer).sections, location_type: 'section', pages: null, file_type: 'md' };
+    default:
+      return { sections: extractPlainTextSections(buffer).sections, location_type: 'section', pages: null, file_type: 'txt' };
+  }
+}
+
+async function replaceChunks(db, documentId, chunks, locationType, version) {
+  // page numbers are only meaningful for paged formats; they back citation links in chat answers.
+  // Slides / sections are kept as generic locations.
+  const paged = locationType === 'page';
+  const { error: delErr } = await db.from('chunks').delete().eq('document_id', documentId);
+  if (delErr) throw new Error(`Failed to clear old chunks: ${delErr.message || delErr}`);
+
+  for (let i = 0; i < chunks.length; i += INSERT_BATCH_SIZE) {
+    const rows = chunks.slice(i, i + INSERT_BATCH_SIZE).map(c => {
+      const row = {
+        document_id: documentId,
+        chunk_index: c.chunk_index,
+        text: c.text,
+        tokens: c.tokens,
+        location_type: locationType,
+        location_start: c.location_start,
+        location_end: c.location_end,
+        page_start: paged ? c.location_start : null,
+        page_end: paged ? c.location_end : null
+      };
+      if (Number.isInteger(version)) row.document_version = version;
+      return row;
+    });
+    const { error } = await db.from('chunks').insert(rows);
+    if (error) throw new Error(`Failed to insert chunks: ${error.message || error}`);
+  }
+}
+
+/**
+ * ingestDocument({ db, documentId, version, buffer, mimetype, filename, onProgress })
+ * - db: lib/db handle (Supabase or the local store)
+ * - version: documents.current_version the file belongs to (stored on every chunk), optional
+ * - replaces any existing chunks of the document
+ * - onProgress(percent, stage) is optional
+ * Returns { chunk_count, pages, location_type, file_type, tokens, chunks } where chunks carry location_start/location_end.
+ */
+async function ingestDocument({ db, documentId, version, buffer, mimetype, filename, onProgress }) {
+  if (!db) throw new Error('No database configured: cannot write chunks');
+  if (!documentId) throw new Error('documentId required');
+  const progress = typeof onProgress === 'function' ? onProgress : () => {};
+
+  progress(10, 'extracting');
+  const { sections, location_type, pages, file_type } = await extractSections(buffer, { mimetype, filename });
+  if (!sections.some(s => s.text && s.text.trim())) {
+    const err = new Error(file_type === 'pdf' ? 'No extractable text found (scanned document?)' : 'No extractable text found');
+    err.status = 422;
+    throw err;
+  }
+
+  progress(50, 'chunking');
+  const chunks = chunkSections(sections);
+
+  progress(70, 'writing');
+  await replaceChunks(db, documentId, chunks, location_type, version);
+
+  progress(100, 'done');
+  return {
+    chunk_count: chunks.length,
+    pages,
+    location_type,
+    file_type,
+    tokens: chunks.reduce((sum, c) => sum + c.tokens, 0),
+    chunks
+  };
+}
+
+module.exports = { ingestionMode, extractSections, ingestDocument };
@@ -0,0 +1,103 @@
+// src/lib/ingestion/markupText.js
+// HTML / Markdown / plain text -> located text. Sections start at level 1-3 headings (<h1>-<h3>, #-###);
+// plain text is split only at form feeds (page breaks in exported text).
+
+const { decodeXml } = require('./officeText');
+
+const HTML_ENTITIES = {
+  nbsp: ' ', ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', laquo: '\u00AB', raquo: '\u00BB',
+  copy: '\u00A9', reg: '\u00AE', deg: '\u00B0', times: '\u00D7', middot: '\u00B7', bull: '\u2022'
+};
+
+/**
+ * Buffer -> string: UTF-8 when it decodes cleanly, otherwise Windows-1252/latin1 (older Indonesian text exports).
+ */
+function decodeText(buffer) {
+  let text = buffer.toString('utf8');
+  if (text.includes('\uFFFD')) text = buffer.toString('latin1');
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+function toSections(parts) {
+  return parts
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map((text, i) => ({ location: i + 1, text }));
+}
+
+/* ---------- HTML ---------- */
+
+function decodeHtml(text) {
+  return decodeXml(text.replace(/&(\w+);/g, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match));
+}
+
+function htmlToText(html) {
+  return decodeHtml(html
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|ul|ol|h[1-6]|tr|table|section|article|blockquote|pre|header|footer|figure|figcaption|dd|dt)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+\n/g, '\n');
+}
+
+/**
+ * extractHtmlSections(buffer) -> { sections: [{ location, text }], numsections }
+ */
+function extractHtmlSections(buffer) {
+  const html = decodeText(buffer)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '');
+  const sections = toSections(html.split(/(?=<h[1-3]\b)/i).map(htmlToText));
+  return { sections, numsections: sections.length };
+}
+
+/* ---------- Markdown ---------- */
+
+function markdownToText(md) {
+  return md
+    .replace(/^ {0,3}(```|~~~).*$/gm, '')                  // code fence lines (content is kept)
+    .replace(/^ {0,3}\[[^\]]+\]:\s+\S+.*$/gm, '')          // link reference definitions
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')               // images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')                // links -> label
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+    .replace(/^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/gm, '$1')      // heading markers
+    .replace(/^ {0,3}>\s?/gm, '')                           // blockquotes
+    .replace(/^ {0,3}([-*_])( *\1){2,} *$/gm, '')           // horizontal rules
+    .replace(/^\s*\|?(\s*:?-{3,}:?\s*\|)+\s*:?-*:?\s*$/gm, '') // table separator rows
+    .replace(/\|/g, ' ')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')       // bold
+    .replace(/(^|[^\w*])([*_])(?=\S)([^*_\n]*?\S)\2(?!\w)/g, '$1$3') // italics
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<[^>]+>/g, '');
+}
+
+/**
+ * extractMarkdownSections(buffer) -> { sections: [{ location, text }], numsections }
+ * Headings inside fenced code blocks don't start sections.
+ */
+function extractMarkdownSections(buffer) {
+  const parts = [];
+  let current = [];
+  let fenced = false;
+  for (const line of decodeText(buffer).split('\n')) {
+    if (/^ {0,3}(```|~~~)/.test(line)) fenced = !fenced;
+    if (!fenced && /^ {0,3}#{1,3}\s/.test(line) && current.some(l => l.trim())) {
+      parts.push(current.join('\n'));
+      current = [];
+    }
+    current.push(line);
+  }
+  parts.push(current.join('\n'));
+  const sections = toSections(parts.map(markdownToText));
+  return { sections, numsections: sections.length };
+}
+
+/* ---------- Plain text ---------- */
+
+function extractPlainTextSections(buffer) {
+  const sections = toSections(decodeText(buffer).split('\f'));
+  return { sections, numsections: sections.length };
+}
+
+module.exports = { extractHtmlSections, extractMarkdownSections, extractPlainTextSections, decodeText };
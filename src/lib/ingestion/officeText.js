@@ -0,0 +1,123 @@
+// src/lib/ingestion/officeText.js
+// DOCX / PPTX -> located text by reading the Office Open XML parts directly (lib/zip, no extra deps).
+// - DOCX: sections start at each heading paragraph (Heading 1-3 / Title); Word files carry no reliable page numbers
+// - PPTX: one section per slide, in presentation order
+
+const path = require('path');
+const { openZip } = require('../zip');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // fromCodePoint throws past U+10FFFF; a malformed reference stays as written
+      return Number.isFinite(n) && n <= 0x10ffff ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function formatError(message) {
+  const err = new Error(message);
+  err.status = 422;
+  return err;
+}
+
+/* ---------- DOCX ---------- */
+
+const DOCX_PARAGRAPH_RE = /<w:p\b[^>]*\/>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g;
+const DOCX_RUN_RE = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>|<w:cr\/>/g;
+
+function docxParagraphText(xml) {
+  let text = '';
+  for (const m of xml.matchAll(DOCX_RUN_RE)) {
+    if (m[1] !== undefined) text += decodeXml(m[1]);
+    else text += m[0].startsWith('<w:tab') ? '\t' : '\n';
+  }
+  return text;
+}
+
+function isDocxHeading(xml) {
+  const style = (xml.match(/<w:pStyle w:val="([^"]+)"/) || [])[1] || '';
+  // built-in style ids are language independent (Heading1, Title); localized Word may use Judul1
+  if (/^(heading|judul)[1-3]$|^title$/i.test(style)) return true;
+  const outline = (xml.match(/<w:outlineLvl w:val="(\d+)"/) || [])[1];
+  return outline !== undefined && Number(outline) <= 2;
+}
+
+/**
+ * extractDocxSections(buffer) -> { sections: [{ location, text }], numsections }
+ */
+function extractDocxSections(buffer) {
+  const xml = openZip(buffer).readText('word/document.xml');
+  if (xml === null) throw formatError('DOCX has no word/document.xml');
+
+  const sections = [];
+  let current = [];
+  const flush = () => {
+    const text = current.join('\n\n').trim();
+    if (text) sections.push({ location: sections.length + 1, text });
+    current = [];
+  };
+
+  for (const [paragraph] of xml.matchAll(DOCX_PARAGRAPH_RE)) {
+    const text = docxParagraphText(paragraph).trim();
+    if (!text) continue;
+    if (isDocxHeading(paragraph)) flush();
+    current.push(text);
+  }
+  flush();
+  return { sections, numsections: sections.length };
+}
+
+/* ---------- PPTX ---------- */
+
+function slideOrder(zip) {
+  const presentation = zip.readText('ppt/presentation.xml') || '';
+  const rels = zip.readText('ppt/_rels/presentation.xml.rels') || '';
+  const targets = new Map();
+  for (const m of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = (m[0].match(/\bId="([^"]+)"/) || [])[1];
+    const target = (m[0].match(/\bTarget="([^"]+)"/) || [])[1];
+    if (id && target) targets.set(id, target.startsWith('/') ? target.slice(1) : path.posix.join('ppt', target));
+  }
+  const ordered = [];
+  for (const m of presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)) {
+    const target = targets.get(m[1]);
+    if (target && zip.has(target)) ordered.push(target);
+  }
+  if (ordered.length) return ordered;
+
+  // no usable relationships: fall back to slideN.xml numbering
+  return zip.entries
+    .map(e => e.name)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+}
+
+function slideText(xml) {
+  const paragraphs = [];
+  for (const [p] of xml.matchAll(/<a:p\b[^>]*>[\s\S]*?<\/a:p>/g)) {
+    let text = '';
+    for (const m of p.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>|<a:br\b[^>]*\/>/g)) {
+      text += m[1] !== undefined ? decodeXml(m[1]) : '\n';
+    }
+    if (text.trim()) paragraphs.push(text.trim());
+  }
+  return paragraphs.join('\n');
+}
+
+/**
+ * extractPptxSlides(buffer) -> { slides: [{ slide, text }], numslides }
+ * Slide numbers are 1-based in presentation order; slides without text come back with text ''.
+ */
+function extractPptxSlides(buffer) {
+  const zip = openZip(buffer);
+  const slides = slideOrder(zip).map((name, i) => ({ slide: i + 1, text: slideText(zip.readText(name) || '') }));
+  if (!slides.length) throw formatError('PPTX contains no slides');
+  return { slides, numslides: slides.length };
+}
+
+module.exports = { extractDocxSections, extractPptxSlides, decodeXml };
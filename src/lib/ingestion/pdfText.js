@@ -0,0 +1,42 @@
+// src/lib/ingestion/pdfText.js
+// PDF -> per-page text using pdf-parse (bundled pdf.js, no native deps).
+
+const pdfParse = require('pdf-parse');
+
+/**
+ * Join pdf.js text items into lines: items sharing a baseline (same y) stay on one line.
+ */
+function renderPageText(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        if (lastY === item.transform[5] || lastY === undefined) text += item.str;
+        else text += '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+/**
+ * extractPdfPages(buffer) -> { pages: [{ page, text }], numpages, info }
+ * Page numbers are 1-based. Pages without extractable text (scans) come back with text ''.
+ */
+async function extractPdfPages(buffer) {
+  const pages = [];
+  // the bundled pdf.js expects plain Uint8Array semantics (Buffer#slice shares memory and breaks xref parsing)
+  const data = new Uint8Array(buffer);
+  const result = await pdfParse(data, {
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pages.push({ page: pageData.pageIndex + 1, text });
+      return text;
+    }
+  });
+  pages.sort((a, b) => a.page - b.page);
+  return { pages, numpages: result.numpages, info: result.info || null };
+}
+
+module.exports = { extractPdfPages };
@@ -0,0 +1,74 @@
+// src/lib/jobs/fileStore.js
+// Local persistent job store: one JSON file, rewritten atomically (tmp file + rename).
+// Good enough for a single backend process; no external queue/database needed.
+
+const fs = require('fs');
+const path = require('path');
+
+const WRITE_DEBOUNCE_MS = 200;
+
+function createFileJobStore(filePath) {
+  const jobs = new Map();
+  let writeTimer = null;
+  let writing = Promise.resolve();
+
+  // load existing state (a corrupt file is kept aside rather than silently dropped)
+  try {
+    if (fs.existsSync(filePath)) {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const job of (Array.isArray(raw.jobs) ? raw.jobs : [])) jobs.set(job.id, job);
+    }
+  } catch (e) {
+    const backup = `${filePath}.corrupt-${Date.now()}`;
+    console.warn(`Job store ${filePath} unreadable, moved to ${backup}:`, e && e.message);
+    try { fs.renameSync(filePath, backup); } catch (err) {}
+  }
+
+  function writeNow() {
+    const snapshot = JSON.stringify({ version: 1, jobs: Array.from(jobs.values()) });
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, filePath);
+    }).catch(e => console.error('Job store write failed:', e && (e.message || e)));
+    return writing;
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      writeNow();
+    }, WRITE_DEBOUNCE_MS);
+    if (writeTimer.unref) writeTimer.unref();
+  }
+
+  return {
+    get(id) {
+      const job = jobs.get(id);
+      return job ? Object.assign({}, job) : null;
+    },
+    list() {
+      return Array.from(jobs.values()).map(j => Object.assign({}, j));
+    },
+    save(job) {
+      jobs.set(job.id, Object.assign({}, job));
+      scheduleWrite();
+      return Object.assign({}, job);
+    },
+    remove(id) {
+      jobs.delete(id);
+      scheduleWrite();
+    },
+    flush() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+      }
+      return writeNow();
+    }
+  };
+}
+
+module.exports = { createFileJobStore };
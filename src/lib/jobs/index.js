@@ -0,0 +1,25 @@
+// src/lib/jobs/index.js
+// Process-wide job queue backed by a local JSON file (no external queue needed).
+//
+// Env:
+//   JOBS_STORE_PATH   default <repo>/data/jobs.json
+//   JOB_CONCURRENCY   default 1
+//   JOB_MAX_ATTEMPTS  default 3
+//   JOB_BACKOFF_MS    first retry delay, doubled per attempt (default 5000)
+//   JOB_STALE_MS      running jobs without progress for this long are retried (default 10 min)
+
+const path = require('path');
+const { createFileJobStore } = require('./fileStore');
+const { createJobQueue, ACTIVE_STATUSES, FINISHED_STATUSES } = require('./queue');
+
+const STORE_PATH = process.env.JOBS_STORE_PATH || path.join(__dirname, '..', '..', '..', 'data', 'jobs.json');
+
+const jobQueue = createJobQueue({
+  store: createFileJobStore(STORE_PATH),
+  concurrency: Number(process.env.JOB_CONCURRENCY || 1),
+  maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS || 3),
+  backoffMs: Number(process.env.JOB_BACKOFF_MS || 5000),
+  staleMs: Number(process.env.JOB_STALE_MS || 10 * 60 * 1000)
+});
+
+module.exports = { jobQueue, ACTIVE_STATUSES, FINISHED_STATUSES };
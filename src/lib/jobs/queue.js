@@ -0,0 +1,306 @@
+// src/lib/jobs/queue.js
+// Small durable job queue: persisted state, retries with exponential backoff, stale-job detection,
+// progress reporting, cancel and re-run.
+//
+// Job shape:
+//   { id, type, document_id, payload, status, attempts, max_attempts, progress, stage, error, result,
+//     created_at, updated_at, started_at, finished_at, run_after, heartbeat_at, rerun_of }
+// status: queued -> running -> succeeded | failed | cancelled (running -> queued again on retry)
+//
+// A handler may hand the work to an external service and return ctx.detach(): the job stays
+// 'running' (awaiting_external) until report()/complete()/failJob() are called for it, e.g. from a webhook.
+
+const crypto = require('crypto');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+const DETACHED = Symbol('detached');
+
+function cancelledError() {
+  const err = new Error('Job cancelled');
+  err.name = 'JobCancelled';
+  return err;
+}
+
+/**
+ * createJobQueue({ store, concurrency, maxAttempts, backoffMs, maxBackoffMs, staleMs, pollMs, historyLimit })
+ * Handlers are registered per job type: registerHandler(type, { run, onFailed, onCancelled }).
+ *   run(job, ctx) -> result           ctx = { signal, progress(percent, stage), attempt, detach(stage) }
+ *                                     throw an error with retryable = false to skip remaining retries
+ *   onFailed(job, error)              called once retries are exhausted
+ *   onCancelled(job)                  called when a job is cancelled
+ */
+function createJobQueue(options = {}) {
+  const store = options.store;
+  const concurrency = options.concurrency || 1;
+  const defaultMaxAttempts = options.maxAttempts || 3;
+  const backoffMs = options.backoffMs || 5000;
+  const maxBackoffMs = options.maxBackoffMs || 5 * 60 * 1000;
+  const staleMs = options.staleMs || 10 * 60 * 1000;
+  const pollMs = options.pollMs || 1000;
+  const historyLimit = options.historyLimit || 1000;
+
+  const handlers = new Map();
+  const running = new Map(); // job id -> AbortController
+  let timer = null;
+  let ticking = false;
+
+  function update(id, patch) {
+    const job = store.get(id);
+    if (!job) return null;
+    return store.save(Object.assign(job, patch, { updated_at: nowIso() }));
+  }
+
+  function backoffFor(attempts) {
+    return Math.min(maxBackoffMs, backoffMs * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  function registerHandler(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  function enqueue(type, payload = {}, opts = {}) {
+    const ts = nowIso();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      document_id: opts.document_id || payload.document_id || null,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: opts.max_attempts || defaultMaxAttempts,
+      progress: 0,
+      stage: 'queued',
+      error: null,
+      result: null,
+      created_by: opts.created_by || null,
+      rerun_of: opts.rerun_of || null,
+      created_at: ts,
+      updated_at: ts,
+      started_at: null,
+      finished_at: null,
+      run_after: ts,
+      heartbeat_at: null
+    };
+    store.save(job);
+    if (timer) setImmediate(tick);
+    return job;
+  }
+
+  function get(id) {
+    return store.get(id);
+  }
+
+  /**
+   * list({ status, type, document_id, limit }) -> newest first
+   */
+  function list(filter = {}) {
+    let jobs = store.list();
+    if (filter.status) jobs = jobs.filter(j => j.status === filter.status);
+    if (filter.type) jobs = jobs.filter(j => j.type === filter.type);
+    if (filter.document_id) jobs = jobs.filter(j => String(j.document_id) === String(filter.document_id));
+    jobs.sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0));
+    return filter.limit ? jobs.slice(0, filter.limit) : jobs;
+  }
+
+  function findActive(type, documentId) {
+    return store.list().find(j => j.type === type && String(j.document_id) === String(documentId) && ACTIVE_STATUSES.includes(j.status)) || null;
+  }
+
+  async function cancel(id) {
+    const job = store.get(id);
+    if (!job) return null;
+    if (!ACTIVE_STATUSES.includes(job.status)) return job;
+
+    const controller = running.get(id);
+    if (controller) controller.abort();
+    const cancelled = update(id, { status: 'cancelled', stage: 'cancelled', finished_at: nowIso() });
+    const handler = handlers.get(job.type);
+    if (handler && typeof handler.onCancelled === 'function') {
+      try { await handler.onCancelled(cancelled); } catch (e) { console.warn('onCancelled hook failed', e && e.message); }
+    }
+    return cancelled;
+  }
+
+  /**
+   * rerun(id): new job with the same type/payload (the old one stays in history).
+   */
+  function rerun(id, opts = {}) {
+    const job = store.get(id);
+    if (!job) return null;
+    return enqueue(job.type, job.payload, { document_id: job.document_id, rerun_of: job.id, created_by: opts.created_by || null, max_attempts: job.max_attempts });
+  }
+
+  async function fail(job, err) {
+    const message = (err && err.message) || String(err);
+    job = update(job.id, { awaiting_external: false }) || job;
+    // handlers mark errors that can't succeed on retry (bad input) with err.retryable = false
+    if (job.attempts < job.max_attempts && !(err && err.retryable === false)) {
+      const delay = backoffFor(job.attempts);
+      console.warn(`Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${delay}ms:`, message);
+      update(job.id, { status: 'queued', stage: 'retry_wait', error: message, run_after: new Date(Date.now() + delay).toISOString() });
+      return;
+    }
+    console.error(`Job ${job.id} (${job.type}) failed permanently:`, message);
+    const failed = update(job.id, { status: 'failed', stage: 'failed', error: message, finished_at: nowIso() });
+    const handler = handlers.get(job.type);
+    if (handler && typeof handler.onFailed === 'function') {
+      try { await handler.onFailed(failed, err); } catch (e) { console.warn('onFailed hook failed', e && e.message); }
+    }
+  }
+
+  async function execute(job) {
+    const handler = handlers.get(job.type);
+    const controller = new AbortController();
+    running.set(job.id, controller);
+    const attempt = job.attempts + 1;
+    let current = update(job.id, {
+      status: 'running',
+      stage: 'started',
+      attempts: attempt,
+      started_at: job.started_at || nowIso(),
+      heartbeat_at: nowIso()
+    });
+
+    const ctx = {
+      signal: controller.signal,
+      attempt,
+      progress(percent, stage) {
+        if (controller.signal.aborted) return;
+        const patch = { heartbeat_at: nowIso() };
+        if (Number.isFinite(percent)) patch.progress = Math.max(0, Math.min(100, Math.round(percent)));
+        if (stage) patch.stage = stage;
+        current = update(job.id, patch) || current;
+      },
+      detach(stage) {
+        // the external service may already have reported back while run() was still returning
+        if ((store.get(job.id) || {}).status === 'running') {
+          update(job.id, { awaiting_external: true, stage: stage || 'awaiting_external', heartbeat_at: nowIso() });
+        }
+        return DETACHED;
+      }
+    };
+
+    try {
+      if (!handler) throw new Error(`No handler registered for job type '${job.type}'`);
+      const result = await handler.run(current, ctx);
+      if (controller.signal.aborted) throw cancelledError();
+      if (result === DETACHED) return;
+      update(job.id, { status: 'succeeded', stage: 'done', progress: 100, error: null, result: result === undefined ? null : result, finished_at: nowIso() });
+    } catch (err) {
+      // cancel() (or an external callback) already recorded the final state
+      if (controller.signal.aborted || !ACTIVE_STATUSES.includes((store.get(job.id) || {}).status)) return;
+      await fail(store.get(job.id) || current, err);
+    } finally {
+      running.delete(job.id);
+      if (timer) setImmediate(tick);
+    }
+  }
+
+  /**
+   * Running jobs whose heartbeat is older than staleMs (or that were running when the process died)
+   * count as a failed attempt and go through the normal retry path.
+   */
+  async function recoverStale() {
+    const cutoff = Date.now() - staleMs;
+    for (const job of store.list()) {
+      if (job.status !== 'running' || running.has(job.id)) continue;
+      // detached jobs are alive as long as the external service keeps reporting
+      if (job.awaiting_external && Date.parse(job.heartbeat_at || job.updated_at) >= cutoff) continue;
+      // otherwise 'running' in the store but not in this process: left over from a crash/restart
+      await fail(job, new Error(`Job stale: no progress since ${job.heartbeat_at || job.updated_at}`));
+    }
+    // also abort in-process jobs that stopped reporting progress
+    for (const [id, controller] of running.entries()) {
+      const job = store.get(id);
+      if (job && Date.parse(job.heartbeat_at || job.updated_at) < cutoff) {
+        controller.abort();
+        running.delete(id);
+        await fail(job, new Error(`Job stale: no progress since ${job.heartbeat_at}`));
+      }
+    }
+  }
+
+  /* ---------- detached (externally completed) jobs ---------- */
+
+  function findDetached(id) {
+    const job = store.get(id);
+    return job && job.status === 'running' ? job : null;
+  }
+
+  /**
+   * report(id, { progress, stage }): progress from the external service (also refreshes the heartbeat).
+   */
+  function report(id, { progress, stage } = {}) {
+    if (!findDetached(id)) return null;
+    const patch = { heartbeat_at: nowIso() };
+    if (Number.isFinite(progress)) patch.progress = Math.max(0, Math.min(100, Math.round(progress)));
+    if (stage) patch.stage = stage;
+    return update(id, patch);
+  }
+
+  function complete(id, result = null) {
+    if (!findDetached(id)) return null;
+    return update(id, { status: 'succeeded', stage: 'done', progress: 100, error: null, awaiting_external: false, result, finished_at: nowIso() });
+  }
+
+  /**
+   * failJob(id, error): external failure; goes through the normal retry path.
+   * Returns the job afterwards (status 'queued' when a retry is scheduled, 'failed' otherwise).
+   */
+  async function failJob(id, err) {
+    const job = findDetached(id);
+    if (!job) return null;
+    await fail(job, err);
+    return store.get(id);
+  }
+
+  function pruneHistory() {
+    const finished = store.list()
+      .filter(j => FINISHED_STATUSES.includes(j.status))
+      .sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1));
+    for (const job of finished.slice(historyLimit)) store.remove(job.id);
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await recoverStale();
+      const now = Date.now();
+      const runnable = store.list()
+        .filter(j => j.status === 'queued' && Date.parse(j.run_after || j.created_at) <= now && handlers.has(j.type))
+        .sort((a, b) => (a.created_at < b.created_at ? -1 : 1));
+      while (running.size < concurrency && runnable.length) {
+        execute(runnable.shift());
+      }
+    } catch (e) {
+      console.error('Job queue tick failed', e && (e.stack || e.message || e));
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    pruneHistory();
+    timer = setInterval(tick, pollMs);
+    if (timer.unref) timer.unref();
+    setImmediate(tick);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    return store.flush();
+  }
+
+  return { registerHandler, enqueue, get, list, findActive, cancel, rerun, report, complete, failJob, start, stop, tick };
+}
+
+module.exports = { createJobQueue, ACTIVE_STATUSES, FINISHED_STATUSES };
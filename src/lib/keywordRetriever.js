@@ -0,0 +1,191 @@
+// src/lib/keywordRetriever.js
+// In-process BM25 keyword retriever over the `chunks` table (lib/db: Supabase or the local store).
+// Used by routes/chat.js when the RAG worker is not configured or its /search call fails.
+//
+// The index is built lazily on first search and rebuilt when:
+// - invalidateKeywordIndex() was called (document processed / deleted), or
+// - it is older than KEYWORD_INDEX_TTL_MS (chunks are written asynchronously by the indexer).
+
+const { db } = require('./db');
+
+const INDEX_TTL_MS = Number(process.env.KEYWORD_INDEX_TTL_MS || 5 * 60 * 1000);
+const MAX_CHUNKS = Number(process.env.KEYWORD_INDEX_MAX_CHUNKS || 20000);
+const PAGE_SIZE = 1000;
+
+// BM25 parameters (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Small Indonesian + English stopword list; enough to keep function words from dominating scores.
+const STOPWORDS = new Set([
+  'dan', 'yang', 'untuk', 'apa', 'siapa', 'kapan', 'mengapa', 'kenapa', 'bagaimana', 'ini', 'itu', 'apakah',
+  'di', 'ke', 'dari', 'pada', 'dengan', 'adalah', 'ialah', 'atau', 'juga', 'dalam', 'akan', 'oleh', 'sebagai',
+  'tidak', 'bisa', 'dapat', 'ada', 'saya', 'kamu', 'anda', 'kita', 'kami', 'mereka', 'nya', 'jelaskan', 'tolong',
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'are', 'was', 'were', 'be', 'what', 'which',
+  'who', 'when', 'why', 'how', 'this', 'that', 'it', 'with', 'as', 'by', 'at', 'from', 'do', 'does', 'can', 'explain'
+]);
+
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length >= 2 && !STOPWORDS.has(t));
+}
+
+let index = null;      // { docs, df, avgdl, builtAt }
+let building = null;   // in-flight build promise
+let stale = true;
+
+/**
+ * Mark the index stale; the next search rebuilds it.
+ * Call after a document is processed, re-processed or deleted.
+ */
+function invalidateKeywordIndex() {
+  stale = true;
+}
+
+async function fetchDocumentTitles() {
+  const titles = new Map();
+  const { data, error } = await db.from('documents').select('id, title, filename');
+  if (error) {
+    console.warn('keyword index: documents select error', error);
+    return titles;
+  }
+  for (const d of data || []) titles.set(String(d.id), d.title || d.filename || String(d.id));
+  return titles;
+}
+
+async function fetchAllChunks() {
+  const rows = [];
+  for (let from = 0; from < MAX_CHUNKS; from += PAGE_SIZE) {
+    const to = Math.min(from + PAGE_SIZE, MAX_CHUNKS) - 1;
+    const { data, error } = await db
+      .from('chunks')
+      .select('id, document_id, document_version, chunk_index, page_start, location_type, location_start, text')
+      .order('id', { ascending: true })
+      .range(from, to);
+    if (error) throw new Error(error.message || String(error));
+    rows.push(...(data || []));
+    if (!data || data.length < to - from + 1) break;
+  }
+  return rows;
+}
+
+async function buildIndex() {
+  const [titles, rows] = await Promise.all([fetchDocumentTitles(), fetchAllChunks()]);
+
+  const docs = [];
+  const df = new Map();
+  let totalLen = 0;
+
+  for (const row of rows) {
+    const terms = tokenize(row.text);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    totalLen += terms.length;
+    docs.push({
+      id: row.id,
+      document_id: row.document_id,
+      document_title: titles.get(String(row.document_id)) || row.document_id,
+      document_version: row.document_version ?? null,
+      chunk_index: row.chunk_index,
+      page_start: row.page_start ?? null,
+      location_type: row.location_type || null,
+      location_start: row.location_start ?? null,
+      text: row.text || '',
+      len: terms.length,
+      tf
+    });
+  }
+
+  return { docs, df, avgdl: docs.length ? totalLen / docs.length : 0, builtAt: Date.now() };
+}
+
+async function ensureIndex() {
+  const expired = index && Date.now() - index.builtAt > INDEX_TTL_MS;
+  if (index && !stale && !expired) return index;
+  if (!building) {
+    // clear the flag before building so invalidations during the build trigger another rebuild
+    stale = false;
+    building = buildIndex()
+      .then(built => {
+        index = built;
+        console.log(`keyword index built: ${built.docs.length} chunks`);
+        return built;
+      })
+      .catch(e => {
+        stale = true;
+        throw e;
+      })
+      .finally(() => { building = null; });
+  }
+  // while rebuilding, keep serving the previous index if we have one
+  if (index) {
+    building.catch(e => console.warn('keyword index rebuild failed:', e && e.message ? e.message : e));
+    return index;
+  }
+  return building;
+}
+
+function idf(idx, term) {
+  const n = idx.df.get(term) || 0;
+  return Math.log(1 + (idx.docs.length - n + 0.5) / (n + 0.5));
+}
+
+/**
+ * keywordSearch(queries, { k, filter_document, allow })
+ * - queries: a string or several phrasings of the same question (e.g. original + translated).
+ * - allow(document_id) -> boolean: optional predicate restricting which documents may be returned.
+ * Returns chunks in the same shape as the RAG worker items:
+ *   { document_id, document_title, document_version, chunk_index, page_start, location_type, location_start, similarity, score, text }
+ * `similarity` is the idf-weighted share of query terms found in the chunk (0..1, best phrasing wins),
+ * so it can be compared against SIMILARITY_THRESHOLD like embedding similarity; `score` is the raw
+ * BM25 score over all query terms.
+ */
+async function keywordSearch(queries, { k = 2, filter_document, allow } = {}) {
+  const variants = (Array.isArray(queries) ? queries : [queries])
+    .map(q => Array.from(new Set(tokenize(q))))
+    .filter(terms => terms.length);
+  const queryTerms = Array.from(new Set(variants.flat()));
+  if (!queryTerms.length) return [];
+
+  const idx = await ensureIndex();
+  if (!idx.docs.length) return [];
+
+  const termIdf = new Map(queryTerms.map(t => [t, idf(idx, t)]));
+  const variantIdf = variants.map(terms => terms.reduce((sum, t) => sum + termIdf.get(t), 0) || 1);
+
+  const scored = [];
+  for (const doc of idx.docs) {
+    if (filter_document && String(doc.document_id) !== String(filter_document)) continue;
+    if (allow && !allow(doc.document_id)) continue;
+    let score = 0;
+    for (const term of queryTerms) {
+      const f = doc.tf.get(term);
+      if (!f) continue;
+      score += termIdf.get(term) * (f * (K1 + 1)) / (f + K1 * (1 - B + B * (doc.len / (idx.avgdl || 1))));
+    }
+    if (score <= 0) continue;
+    const similarity = Math.max(...variants.map((terms, i) =>
+      terms.reduce((sum, t) => sum + (doc.tf.has(t) ? termIdf.get(t) : 0), 0) / variantIdf[i]));
+    scored.push({ doc, score, similarity });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, k).map(({ doc, score, similarity }) => ({
+    document_id: doc.document_id,
+    document_title: doc.document_title,
+    document_version: doc.document_version,
+    chunk_index: doc.chunk_index,
+    page_start: doc.page_start,
+    location_type: doc.location_type,
+    location_start: doc.location_start,
+    similarity,
+    score,
+    text: doc.text
+  }));
+}
+
+module.exports = { keywordSearch, invalidateKeywordIndex, tokenize };
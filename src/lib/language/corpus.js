@@ -0,0 +1,103 @@
+// src/lib/language/corpus.js
+// Training text for the n-gram language identifier (lib/language/detect). Each sample mixes the kind of
+// text the tutor sees: students' questions, explanations from course material and everyday phrasing.
+// Adding a language = adding a sample here (a few paragraphs) plus an entry in lib/language LANGUAGES.
+
+module.exports = {
+  id: `
+Apa itu fotosintesis? Bagaimana cara kerja sel tumbuhan dan mengapa daun berwarna hijau?
+Fotosintesis adalah proses yang dilakukan tumbuhan untuk mengubah cahaya matahari, air dan karbon dioksida
+menjadi glukosa dan oksigen. Proses ini terjadi di dalam kloroplas yang mengandung klorofil.
+Tolong jelaskan perbedaan antara mitosis dan meiosis, serta berikan contohnya dalam kehidupan sehari-hari.
+Siapa yang menemukan hukum gravitasi? Kapan Indonesia merdeka dan apa makna proklamasi bagi bangsa?
+Saya tidak mengerti materi ini, bisakah kamu memberikan penjelasan yang lebih sederhana?
+Langkah-langkah menyelesaikan persamaan kuadrat adalah memfaktorkan, melengkapkan kuadrat sempurna,
+atau menggunakan rumus abc. Jika diskriminan bernilai negatif, persamaan tidak memiliki akar real.
+Menurut buku pelajaran, sistem pencernaan manusia terdiri dari mulut, kerongkongan, lambung, usus halus
+dan usus besar. Setiap organ memiliki fungsi yang berbeda dalam mencerna makanan.
+Bagaimana pengaruh revolusi industri terhadap masyarakat? Mengapa harga barang naik ketika permintaan
+meningkat sedangkan penawaran tetap? Apakah ada contoh soal tentang hukum Newton yang kedua?
+Guru meminta siswa membaca bab tiga sebelum pertemuan berikutnya dan mengerjakan latihan di halaman akhir.
+Kita harus memahami konsep dasar terlebih dahulu, kemudian mencoba mengerjakan soal yang lebih sulit.
+Jelaskan dengan singkat, saya sedang belajar untuk ujian besok pagi. Terima kasih atas bantuannya.
+Yang dimaksud dengan ekosistem adalah hubungan timbal balik antara makhluk hidup dengan lingkungannya.
+Mengapa bulan tidak memancarkan cahaya sendiri? Bagaimana terjadinya gerhana matahari dan gerhana bulan?
+Dalam pemrograman, variabel digunakan untuk menyimpan data, sedangkan fungsi dipakai untuk mengelompokkan
+perintah agar bisa dijalankan berulang kali. Tidak boleh, sudah, belum, juga, karena, sehingga, namun.
+Kenapa langit berwarna biru? Kenapa air laut asin? Apa itu atom dan apa itu molekul? Apa itu energi kinetik?
+Itu maksudnya apa ya? Gimana cara menghitung luas lingkaran kalau yang diketahui hanya kelilingnya?
+Kak, saya masih bingung dengan soal nomor lima, bisa dijelaskan lagi pelan-pelan? Contohnya seperti apa?
+Apa fungsi mitokondria? Apa saja jenis-jenis batuan? Apa arti kata demokrasi? Sebutkan ciri-ciri makhluk hidup.
+Jelaskan pengertian energi, usaha dan daya beserta satuannya. Buatkan ringkasan bab ini dalam lima poin.
+Kenapa hasil perhitungan saya berbeda dengan kunci jawaban? Apakah rumus yang saya pakai itu sudah benar?
+Di sekolah kami sedang mempelajari sejarah kerajaan Majapahit dan pengaruhnya terhadap nusantara.
+Hasil percobaan menunjukkan bahwa tanaman yang mendapat cahaya lebih banyak tumbuh lebih cepat.
+Bisa tidak kamu memberikan soal latihan tentang pecahan? Saya ingin mencoba sendiri dulu sebelum melihat jawabannya.
+`,
+
+  en: `
+What is photosynthesis? How does a plant cell work and why are leaves green?
+Photosynthesis is the process plants use to turn sunlight, water and carbon dioxide into glucose and oxygen.
+It takes place inside the chloroplasts, which contain chlorophyll.
+Please explain the difference between mitosis and meiosis, and give an example from everyday life.
+Who discovered the law of gravity? When did the industrial revolution start and what did it change?
+I don't understand this topic, could you give me a simpler explanation with a few examples?
+The steps to solve a quadratic equation are factoring, completing the square, or using the quadratic formula.
+If the discriminant is negative, the equation has no real roots.
+According to the textbook, the human digestive system consists of the mouth, the esophagus, the stomach,
+the small intestine and the large intestine. Each organ has a different role in digesting food.
+How did the printing press affect society? Why do prices rise when demand grows while supply stays the same?
+Is there a worked example about Newton's second law of motion? What should I read before the next class?
+The teacher asked the students to read chapter three before the next meeting and to finish the exercises.
+We should understand the basic concepts first, then try the harder problems at the end of the chapter.
+Keep it short, I am studying for an exam tomorrow morning. Thank you for your help with this question.
+An ecosystem is the relationship between living things and the environment they live in.
+Why doesn't the moon produce its own light? How do solar and lunar eclipses happen?
+In programming, variables are used to store data, while functions group instructions so that they can be
+run again and again. This, that, which, where, would, should, there, their, with, from, about, through.
+`,
+
+  jv: `
+Fotosintesis iku apa? Piye carane sel tetuwuhan nyambut gawe lan kenapa godhong warnane ijo?
+Fotosintesis yaiku proses sing ditindakake tetuwuhan kanggo ngowahi sorote srengenge, banyu lan karbon
+dioksida dadi glukosa lan oksigen. Proses iki dumadi ing njero kloroplas sing ngemot klorofil.
+Tulung jlentrehna bedane mitosis karo meiosis, lan wenehana tuladhane ing urip saben dina.
+Sapa sing nemokake hukum gravitasi? Kapan Indonesia merdika lan apa tegese proklamasi kanggo bangsa?
+Aku ora mudheng materi iki, apa kowe bisa menehi katrangan sing luwih gampang?
+Carane ngrampungake persamaan kuadrat yaiku kanthi mfaktorake, nggenepi kuadrat sampurna, utawa nganggo
+rumus abc. Yen diskriminane negatif, persamaan kasebut ora duwe oyod nyata.
+Miturut buku pelajaran, sistem pencernaan manungsa kadadeyan saka cangkem, gorokan, weteng, usus cilik lan
+usus gedhe. Saben organ duwe gunane dhewe-dhewe nalika ngolah panganan.
+Kepriye pengaruhe revolusi industri marang masyarakat? Geneya regane barang mundhak nalika panjaluk
+saya akeh nanging sing didol tetep? Apa ana tuladha soal bab hukum Newton sing kapindho?
+Gurune ngongkon para siswa maca bab telu sadurunge ketemu maneh lan nggarap latihan ing kaca pungkasan.
+Awake dhewe kudu ngerti konsep dhasar dhisik, banjur nyoba nggarap soal sing luwih angel.
+Jlentrehna kanthi cekak wae, aku lagi sinau kanggo ujian sesuk esuk. Matur nuwun sanget pitulungane.
+Sing diarani ekosistem yaiku sesambungan antarane makhluk urip karo lingkungane.
+Kenapa rembulan ora bisa madhangi dhewe? Piye dumadine grahana srengenge lan grahana rembulan?
+Ing pemrograman, variabel dienggo nyimpen data, dene fungsi dienggo nglumpukake prentah supaya bisa
+dilakokake bola-bali. Ora entuk, wis, durung, uga, amarga, mula, nanging, ngono, kuwi, iki, saka, karo.
+`,
+
+  su: `
+Naon ari fotosintesis teh? Kumaha cara sél tutuwuhan digawé sarta naha daun warnana héjo?
+Fotosintesis nyaéta prosés anu dilakukeun ku tutuwuhan pikeun ngarobah cahaya panonpoé, cai jeung karbon
+dioksida jadi glukosa jeung oksigén. Prosés ieu lumangsung di jero kloroplas anu ngandung klorofil.
+Punten jelaskeun bédana mitosis jeung meiosis, sarta pasihan contona dina kahirupan sapopoé.
+Saha anu mendakan hukum gravitasi? Iraha Indonésia merdéka sarta naon hartina proklamasi pikeun bangsa?
+Abdi teu ngartos kana matéri ieu, naha anjeun tiasa masihan katerangan anu langkung basajan?
+Léngkah-léngkah pikeun ngaréngsékeun persamaan kuadrat nyaéta ku cara mémfaktorkeun, ngalengkepan kuadrat
+sampurna, atawa maké rumus abc. Lamun diskriminanna négatif, persamaan éta henteu boga akar réal.
+Numutkeun buku pangajaran, sistem pencernaan manusa diwangun ku sungut, tikoro, burih, peujit leutik jeung
+peujit gedé. Unggal organ boga fungsi anu béda dina ngolah kadaharan.
+Kumaha pangaruh révolusi industri ka masarakat? Naha harga barang naék lamun paménta beuki loba tapi
+barang anu dijual angger? Aya teu conto soal ngeunaan hukum Newton anu kadua?
+Guru miwarang murid-murid maca bab tilu saméméh pasamoan saterusna sarta ngerjakeun latihan di kaca pamungkas.
+Urang kudu ngarti heula kana konsép dasar, tuluy nyobaan ngerjakeun soal anu leuwih hésé.
+Jelaskeun sacara singget waé, abdi nuju diajar kanggo ujian isukan énjing. Hatur nuhun pisan kana bantuanana.
+Anu disebut ékosistem nyaéta hubungan silih pangaruhan antara mahluk hirup jeung lingkunganana.
+Naha bulan henteu bisa nyaangan sorangan? Kumaha lumangsungna samagaha panonpoé jeung samagaha bulan?
+Dina pamrograman, variabel dipaké pikeun nyimpen data, sedengkeun fungsi dipaké pikeun ngumpulkeun paréntah
+sangkan bisa dijalankeun sababaraha kali. Teu kénging, geus, can, ogé, sabab, ku kituna, tapi, kitu, éta, ieu.
+`
+};
@@ -0,0 +1,102 @@
+// src/lib/language/detect.js
+// Offline language identification with character n-grams (1-3 letters, word-padded) plus whole words,
+// scored per language with naive Bayes. Profiles are built once from lib/language/corpus when the module
+// loads. Text is lowercased and stripped of diacritics first, so "é" (Sundanese) and plain "e" count the same.
+
+const CORPUS = require('./corpus');
+
+const MAX_N = 3;
+// prior share of each language among questions (most students write Indonesian); tips close calls
+// between related languages such as Indonesian and Javanese, where short questions share most n-grams
+const PRIORS = { id: 0.55, en: 0.25, jv: 0.1, su: 0.1 };
+// below this many letters there is not enough signal to tell related languages apart
+const MIN_LETTERS = 4;
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]+/g, ' ');
+}
+
+function ngramsOf(text) {
+  const grams = [];
+  for (const word of normalize(text).split(/\s+/)) {
+    if (!word) continue;
+    const padded = ` ${word} `;
+    // the whole word (marked so it can't collide with an n-gram); function words are the strongest cue
+    grams.push(`<${word}>`);
+    for (let n = 1; n <= MAX_N; n++) {
+      for (let i = 0; i + n <= padded.length; i++) {
+        const gram = padded.slice(i, i + n);
+        if (gram.trim()) grams.push(gram);
+      }
+    }
+  }
+  return grams;
+}
+
+function buildProfiles(corpus) {
+  const vocabulary = new Set();
+  const profiles = {};
+  for (const [language, text] of Object.entries(corpus)) {
+    const counts = new Map();
+    const grams = ngramsOf(text);
+    for (const gram of grams) {
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+      vocabulary.add(gram);
+    }
+    profiles[language] = { counts, total: grams.length };
+  }
+  // add-one smoothing over the shared vocabulary (+1 slot for grams no sample contains)
+  const size = vocabulary.size + 1;
+  for (const profile of Object.values(profiles)) {
+    profile.unseen = Math.log(1 / (profile.total + size));
+    profile.logProb = gram => {
+      const count = profile.counts.get(gram);
+      return count ? Math.log((count + 1) / (profile.total + size)) : profile.unseen;
+    };
+  }
+  return profiles;
+}
+
+const PROFILES = buildProfiles(CORPUS);
+
+/**
+ * detectLanguage(text) -> { language, confidence, scores }
+ * language: best matching code from lib/language/corpus, or 'und' when the text is too short to tell.
+ * confidence: posterior probability of that language (0..1); scores: every language's posterior.
+ */
+function detectLanguage(text) {
+  const grams = ngramsOf(text);
+  const letters = normalize(text).replace(/\s+/g, '').length;
+  if (letters < MIN_LETTERS) return { language: 'und', confidence: 0, scores: {} };
+
+  const logLikelihood = {};
+  for (const [language, profile] of Object.entries(PROFILES)) {
+    let sum = Math.log(PRIORS[language] || 0.05);
+    for (const gram of grams) sum += profile.logProb(gram);
+    logLikelihood[language] = sum;
+  }
+
+  const best = Math.max(...Object.values(logLikelihood));
+  let total = 0;
+  const scores = {};
+  for (const [language, ll] of Object.entries(logLikelihood)) {
+    scores[language] = Math.exp(ll - best);
+    total += scores[language];
+  }
+  let language = 'und';
+  let confidence = 0;
+  for (const [code, score] of Object.entries(scores)) {
+    scores[code] = score / total;
+    if (scores[code] > confidence) {
+      language = code;
+      confidence = scores[code];
+    }
+  }
+  return { language, confidence, scores };
+}
+
+module.exports = { detectLanguage };
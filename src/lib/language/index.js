@@ -0,0 +1,114 @@
+// src/lib/language/index.js
+// Languages the tutor understands and answers in, and the rules that pick them:
+//   - detection: lib/language/detect (offline n-gram model); results below LANGUAGE_MIN_CONFIDENCE
+//     (default 0.8) count as unknown
+//   - retrieval: queries are translated to RETRIEVAL_LANGUAGE (default 'en', the language the RAG
+//     worker's embeddings work best in) only when they are confidently in another language
+//   - answers: the student's profiles.preferred_language, else the language of the question,
+//     else DEFAULT_ANSWER_LANGUAGE (default 'id')
+
+const { db } = require('../db');
+const { detectLanguage } = require('./detect');
+
+/**
+ * name: English name (translation prompts); label: name inside the Indonesian system prompt;
+ * outOfScopeNote: prefix for answers without matching course material, in that language.
+ */
+const LANGUAGES = {
+  id: {
+    name: 'Indonesian',
+    label: 'Bahasa Indonesia',
+    outOfScopeNote: 'Catatan: pertanyaan ini berada di luar cakupan materi. Jawaban berikut dibuat menggunakan model generatif.'
+  },
+  en: {
+    name: 'English',
+    label: 'bahasa Inggris',
+    outOfScopeNote: 'Note: this question is outside the scope of the course material. The following answer was generated by a generative model.'
+  },
+  jv: {
+    name: 'Javanese',
+    label: 'bahasa Jawa',
+    outOfScopeNote: 'Cathetan: pitakon iki ana ing njaba cakupan materi. Wangsulan ing ngisor iki digawe nganggo model generatif.'
+  },
+  su: {
+    name: 'Sundanese',
+    label: 'bahasa Sunda',
+    outOfScopeNote: 'Catetan: patarosan ieu aya di luar cakupan materi. Jawaban di handap ieu dijieun ngagunakeun model generatif.'
+  }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+function isSupportedLanguage(code) {
+  return SUPPORTED_LANGUAGES.includes(code);
+}
+
+function configuredLanguage(envName, fallback) {
+  const code = String(process.env[envName] || '').toLowerCase();
+  if (!code) return fallback;
+  if (!isSupportedLanguage(code)) {
+    console.warn(`${envName}="${code}" is not supported (use ${SUPPORTED_LANGUAGES.join(', ')}); using ${fallback}`);
+    return fallback;
+  }
+  return code;
+}
+
+const MIN_CONFIDENCE = parseFloat(process.env.LANGUAGE_MIN_CONFIDENCE || '0.8');
+const RETRIEVAL_LANGUAGE = configuredLanguage('RETRIEVAL_LANGUAGE', 'en');
+const DEFAULT_ANSWER_LANGUAGE = configuredLanguage('DEFAULT_ANSWER_LANGUAGE', 'id');
+
+/**
+ * identifyLanguage(text) -> { language, confidence }
+ * language is 'und' (undetermined) when the text is too short or the best guess is below MIN_CONFIDENCE.
+ */
+function identifyLanguage(text) {
+  const { language, confidence } = detectLanguage(text);
+  if (language === 'und' || confidence < MIN_CONFIDENCE) return { language: 'und', confidence };
+  return { language, confidence };
+}
+
+/**
+ * Whether a question in `detected` language has to be translated before retrieval.
+ * Undetermined text is searched as-is (short phrases, names, formulas).
+ */
+function needsTranslation(detected) {
+  return detected.language !== 'und' && detected.language !== RETRIEVAL_LANGUAGE;
+}
+
+/**
+ * answerLanguage({ preferred, detected }) -> language code the answer is written in
+ */
+function answerLanguage({ preferred, detected } = {}) {
+  if (isSupportedLanguage(preferred)) return preferred;
+  if (detected && isSupportedLanguage(detected.language)) return detected.language;
+  return DEFAULT_ANSWER_LANGUAGE;
+}
+
+/**
+ * preferredLanguage(userId) -> profiles.preferred_language, or null (not set / no profile / lookup failed)
+ */
+async function preferredLanguage(userId) {
+  if (!userId) return null;
+  try {
+    const { data, error } = await db.from('profiles').select('preferred_language').eq('id', userId).maybeSingle();
+    if (error) {
+      console.warn('preferred language lookup failed:', error.message || error);
+      return null;
+    }
+    return data && isSupportedLanguage(data.preferred_language) ? data.preferred_language : null;
+  } catch (e) {
+    console.warn('preferred language lookup failed:', (e && e.message) || e);
+    return null;
+  }
+}
+
+module.exports = {
+  LANGUAGES,
+  SUPPORTED_LANGUAGES,
+  RETRIEVAL_LANGUAGE,
+  isSupportedLanguage,
+  identifyLanguage,
+  needsTranslation,
+  answerLanguage,
+  preferredLanguage
+};
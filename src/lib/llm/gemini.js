@@ -0,0 +1,255 @@
+// src/lib/llm/gemini.js
+// Gemini provider: handles model id normalization, endpoint differences (generateText vs generateContent),
+// Bearer vs API key, fallback models and SSE streaming (streamGenerateContent?alt=sse).
+
+const { fetch } = require('../fetcher');
+const { abortError, readSseJson } = require('./sse');
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1';
+const DEFAULT_MODEL = 'models/gemini-2.0-flash-lite';
+const DEFAULT_FALLBACK_MODELS = [
+  'models/gemini-2.5-flash',
+  'models/gemini-2.5-pro',
+  'models/gemini-2.0-flash-001',
+  'models/gemini-2.0-flash',
+  'models/text-bison-001',
+  'text-bison-001'
+];
+
+function normalizeModelId(model) {
+  if (!model) return model;
+  return String(model).replace(/^models\//i, '');
+}
+
+function isLikelyBearer(token) {
+  return typeof token === 'string' && token.startsWith('ya29');
+}
+
+function usesGenerateContent(modelId) {
+  // every gemini-* model uses generateContent / streamGenerateContent; only the legacy PaLM models
+  // (text-bison etc.) still need generateText
+  return /^gemini-/i.test(modelId);
+}
+
+async function fetchWithTimeout(url, opts = {}, timeoutMs = 30000) {
+  // minimal timeout wrapper
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const signal = controller ? controller.signal : undefined;
+  const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  try {
+    const res = await fetch(url, Object.assign({}, opts, signal ? { signal } : {}));
+    return res;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+function buildRequestBodyForModel(contentApi, promptText, opts = {}) {
+  if (contentApi) {
+    // generateContent format
+    return {
+      contents: [
+        {
+          role: "user",
+          parts: [{ text: promptText }]
+        }
+      ],
+      generationConfig: {
+        temperature: opts.temperature ?? 0.2,
+        maxOutputTokens: opts.maxTokens ?? (opts.maxTokens === 0 ? 0 : 512),
+        topP: opts.topP,
+        topK: opts.topK
+      }
+    };
+  } else {
+    // generateText format
+    return {
+      prompt: { text: promptText },
+      temperature: opts.temperature ?? 0.2,
+      maxOutputTokens: opts.maxTokens ?? 512
+    };
+  }
+}
+
+function extractTextFromResponse(contentApi, respJson, respText) {
+  if (!respJson && respText) return respText;
+  try {
+    if (contentApi) {
+      // expected: { candidates: [ { content: { parts: [ { text: "..." } ] } } ] }
+      const t = respJson?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (t) return t;
+      // fallback: sometimes content.parts is array of strings or other shape
+      const alt = respJson?.candidates?.[0]?.content?.parts;
+      if (Array.isArray(alt)) {
+        // join any text parts
+        return alt.map(p => (typeof p === 'string' ? p : p?.text)).filter(Boolean).join("\n");
+      }
+    } else {
+      // expected older shape: { candidates: [ { output: "..." } ] } or { output: { text: "..." } }
+      const c1 = respJson?.candidates?.[0]?.output;
+      if (typeof c1 === 'string' && c1.length) return c1;
+      if (typeof c1 === 'object' && c1?.text) return c1.text;
+      const out = respJson?.output;
+      if (typeof out === 'string' && out.length) return out;
+      if (typeof out === 'object' && out?.text) return out.text;
+    }
+  } catch (e) {
+    // ignore and fallback to raw
+  }
+  // final fallback: stringify JSON or raw text
+  try { return JSON.stringify(respJson || respText); } catch (e) { return String(respText || ''); }
+}
+
+/**
+ * createGeminiProvider({ apiKey, model, fallbackModels, baseUrl })
+ * Implements the provider interface from lib/llm/index.js: { name, model, generateText, streamText }.
+ */
+function createGeminiProvider(config = {}) {
+  const apiKey = config.apiKey || '';
+  const baseUrl = String(config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const primaryModel = config.model || DEFAULT_MODEL;
+  const fallbackModels = Array.isArray(config.fallbackModels) ? config.fallbackModels : DEFAULT_FALLBACK_MODELS;
+
+  // normalized fallback model list (keep the configured model first)
+  const models = Array.from(new Set([primaryModel, ...fallbackModels].filter(Boolean).map(normalizeModelId)));
+
+  function assertConfigured() {
+    if (!apiKey) throw new Error('GEMINI_API_KEY not configured (set GEMINI_API_KEY to API key or OAuth token)');
+  }
+
+  async function callApi(modelId, endpoint, useBearer, bodyObj) {
+    // modelId should be normalized (no 'models/' prefix)
+    const base = `${baseUrl}/models/${encodeURIComponent(modelId)}:${endpoint}`;
+    const url = useBearer ? base : `${base}?key=${encodeURIComponent(apiKey)}`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (useBearer) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    try {
+      const res = await fetchWithTimeout(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(bodyObj)
+      }, 60000);
+      const text = await res.text().catch(()=>null);
+      let json = null;
+      try { json = text ? JSON.parse(text) : null; } catch (e) { json = null; }
+      return { status: res.status, ok: res.ok, text, json };
+    } catch (e) {
+      return { status: 0, ok: false, text: null, json: null, error: e.message || String(e) };
+    }
+  }
+
+  /**
+   * Try a single model (Bearer first if the key looks like an OAuth token, then API key).
+   * Returns { ok, text } on success or { ok: false, lastErr } when every credential style failed.
+   */
+  async function tryModel(modelId, prompt, opts = {}) {
+    const contentApi = usesGenerateContent(modelId);
+    const endpoint = contentApi ? 'generateContent' : 'generateText';
+    const body = buildRequestBodyForModel(contentApi, prompt, opts);
+    let lastErr = null;
+
+    // Try Bearer if key looks like OAuth token
+    if (isLikelyBearer(apiKey)) {
+      const r = await callApi(modelId, endpoint, true, body);
+      if (r.ok) return { ok: true, text: extractTextFromResponse(contentApi, r.json, r.text) };
+      lastErr = `Bearer call model=${modelId} endpoint=${endpoint} status=${r.status} body=${r.text || JSON.stringify(r.json) || r.error || '<no-body>'}`;
+      console.warn(lastErr);
+    }
+
+    // Try API key (query param)
+    const r2 = await callApi(modelId, endpoint, false, body);
+    if (r2.ok) return { ok: true, text: extractTextFromResponse(contentApi, r2.json, r2.text) };
+    lastErr = `API-key call model=${modelId} endpoint=${endpoint} status=${r2.status} body=${r2.text || JSON.stringify(r2.json) || r2.error || '<no-body>'}`;
+    console.warn(lastErr);
+
+    return { ok: false, lastErr };
+  }
+
+  async function generateText(prompt, opts = {}) {
+    assertConfigured();
+
+    let lastErr = null;
+    for (const modelId of models) {
+      const r = await tryModel(modelId, prompt, opts);
+      if (r.ok) return r.text;
+      lastErr = r.lastErr;
+      // if neither succeeded, continue to next fallback model
+    }
+
+    throw new Error(`Gemini API error (all attempts failed). Last: ${lastErr}`);
+  }
+
+  async function openStream(modelId, useBearer, bodyObj, signal) {
+    const base = `${baseUrl}/models/${encodeURIComponent(modelId)}:streamGenerateContent?alt=sse`;
+    const url = useBearer ? base : `${base}&key=${encodeURIComponent(apiKey)}`;
+    const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+    if (useBearer) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    try {
+      const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(bodyObj), signal });
+      if (res.ok) return { ok: true, status: res.status, body: res.body };
+      const text = await res.text().catch(()=>null);
+      return { ok: false, status: res.status, text };
+    } catch (e) {
+      if (signal && signal.aborted) throw abortError();
+      return { ok: false, status: 0, text: null, error: e.message || String(e) };
+    }
+  }
+
+  /**
+   * streamText(prompt, opts): async generator yielding text deltas.
+   * - opts.signal (AbortSignal) cancels the upstream request.
+   * - Falls back across models like generateText, but only before the first delta is emitted.
+   * - Models without a streaming endpoint (generateText family) are called once and yielded as a single delta.
+   */
+  async function* streamText(prompt, opts = {}) {
+    assertConfigured();
+    const signal = opts.signal;
+
+    let lastErr = null;
+    for (const modelId of models) {
+      if (signal && signal.aborted) throw abortError();
+
+      if (!usesGenerateContent(modelId)) {
+        const r = await tryModel(modelId, prompt, opts);
+        if (signal && signal.aborted) throw abortError();
+        if (r.ok) {
+          yield r.text;
+          return;
+        }
+        lastErr = r.lastErr;
+        continue;
+      }
+
+      const body = buildRequestBodyForModel(true, prompt, opts);
+      const credentialStyles = isLikelyBearer(apiKey) ? [true, false] : [false];
+      for (const useBearer of credentialStyles) {
+        const r = await openStream(modelId, useBearer, body, signal);
+        if (!r.ok) {
+          lastErr = `${useBearer ? 'Bearer' : 'API-key'} stream model=${modelId} status=${r.status} body=${r.text || r.error || '<no-body>'}`;
+          console.warn(lastErr);
+          continue;
+        }
+        try {
+          for await (const json of readSseJson(r.body)) {
+            if (signal && signal.aborted) throw abortError();
+            const parts = json?.candidates?.[0]?.content?.parts;
+            const delta = Array.isArray(parts) ? parts.map(p => (typeof p === 'string' ? p : p?.text)).filter(Boolean).join('') : '';
+            if (delta) yield delta;
+          }
+        } catch (e) {
+          if (signal && signal.aborted) throw abortError();
+          throw e;
+        }
+        return;
+      }
+    }
+
+    throw new Error(`Gemini API error (all attempts failed). Last: ${lastErr}`);
+  }
+
+  return { name: 'gemini', model: normalizeModelId(primaryModel), generateText, streamText };
+}
+
+module.exports = { createGeminiProvider };
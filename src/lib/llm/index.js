@@ -0,0 +1,100 @@
+// src/lib/llm/index.js
+// Provider-agnostic LLM entry point. Every caller (chat answers, translation, summaries, titles)
+// goes through generateText / streamText here; the provider is chosen by configuration.
+//
+// Provider interface (see gemini.js / openai.js / mock.js):
+//   { name, model,
+//     generateText(prompt, { temperature, maxTokens, topP, topK, signal }) -> Promise<string>,
+//     streamText(prompt, same opts) -> AsyncGenerator<string> (text deltas) }
+//
+// Env:
+//   LLM_PROVIDER   gemini (default) | openai | mock
+//   LLM_MODEL      model id for the selected provider (gemini falls back to GEMINI_MODEL)
+//   GEMINI_API_KEY, GEMINI_MODEL, GEMINI_FALLBACK_MODELS (comma separated), GEMINI_API_BASE
+//   OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL
+//   MOCK_LLM_RESPONSE, MOCK_LLM_STREAM_DELAY_MS
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { timeCall, recordServiceCall } = require('../metrics');
+const { estimateTokens } = require('../tokens');
+const { recordTokens } = require('../quotas');
+
+function splitList(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+const factories = {
+  gemini: () => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY || '',
+    model: process.env.LLM_MODEL || process.env.GEMINI_MODEL,
+    fallbackModels: process.env.GEMINI_FALLBACK_MODELS !== undefined ? splitList(process.env.GEMINI_FALLBACK_MODELS) : undefined,
+    baseUrl: process.env.GEMINI_API_BASE
+  }),
+  openai: () => createOpenAIProvider({
+    baseUrl: process.env.OPENAI_BASE_URL,
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.LLM_MODEL || process.env.OPENAI_MODEL
+  }),
+  mock: () => createMockProvider({
+    model: process.env.LLM_MODEL,
+    response: process.env.MOCK_LLM_RESPONSE,
+    streamDelayMs: process.env.MOCK_LLM_STREAM_DELAY_MS
+  })
+};
+
+let provider = null;
+
+/**
+ * getProvider(): the configured provider (created lazily, then reused).
+ */
+function getProvider() {
+  if (provider) return provider;
+  const name = String(process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = factories[name];
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER '${name}' (expected one of: ${Object.keys(factories).join(', ')})`);
+  provider = factory();
+  console.log(`LLM provider: ${provider.name} (model=${provider.model || 'default'})`);
+  return provider;
+}
+
+/**
+ * setProvider(p): replace the active provider (tests, or wiring a custom implementation).
+ * Pass null to go back to the configured one.
+ */
+function setProvider(p) {
+  provider = p;
+}
+
+// both entry points record latency / errors per provider (lib/metrics -> analytics dashboard) and the
+// estimated prompt + output tokens against the current caller's quota (lib/quotas)
+async function generateText(prompt, opts = {}) {
+  const p = getProvider();
+  const result = await timeCall(p.name, 'generate', () => p.generateText(prompt, opts));
+  recordTokens(estimateTokens(prompt) + estimateTokens(typeof result === 'string' ? result : JSON.stringify(result || '')));
+  return result;
+}
+
+async function* streamText(prompt, opts = {}) {
+  const p = getProvider();
+  const started = Date.now();
+  let output = '';
+  try {
+    for await (const delta of p.streamText(prompt, opts)) {
+      output += delta;
+      yield delta;
+    }
+    recordServiceCall({ service: p.name, operation: 'stream', ms: Date.now() - started, ok: true });
+  } catch (e) {
+    if (!(e && e.name === 'AbortError')) {
+      recordServiceCall({ service: p.name, operation: 'stream', ms: Date.now() - started, ok: false, error: e && e.message ? e.message : e });
+    }
+    throw e;
+  } finally {
+    // aborted streams still cost what was generated so far
+    recordTokens(estimateTokens(prompt) + estimateTokens(output));
+  }
+}
+
+module.exports = { getProvider, setProvider, generateText, streamText };
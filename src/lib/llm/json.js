@@ -0,0 +1,26 @@
+// src/lib/llm/json.js
+// Models asked for JSON still wrap it in prose or ```json fences now and then; pull the object out.
+
+/**
+ * parseJsonReply(text) -> parsed value, or null when no JSON object/array can be recovered.
+ */
+function parseJsonReply(text) {
+  if (text && typeof text === 'object') return text;
+  const raw = String(text || '').trim();
+  if (!raw) return null;
+
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced ? fenced[1] : null, raw];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try { return JSON.parse(candidate); } catch (e) { /* try the outermost braces below */ }
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try { return JSON.parse(candidate.slice(start, end + 1)); } catch (e) { /* keep looking */ }
+    }
+  }
+  return null;
+}
+
+module.exports = { parseJsonReply };
@@ -0,0 +1,43 @@
+// src/lib/llm/mock.js
+// Deterministic offline provider for development and tests: the same prompt always yields the same text,
+// and no network access is needed.
+
+const crypto = require('crypto');
+const { abortError } = require('./sse');
+
+/**
+ * createMockProvider({ model, response, streamDelayMs })
+ * - response: fixed reply for every prompt (optional)
+ * - otherwise the reply is "[mock <hash>] <tail of prompt>", stable per prompt
+ */
+function createMockProvider(config = {}) {
+  const model = config.model || 'mock-1';
+  const fixedResponse = config.response || '';
+  const streamDelayMs = Number(config.streamDelayMs || 0);
+
+  function respond(prompt) {
+    if (fixedResponse) return fixedResponse;
+    const text = String(prompt || '');
+    const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 8);
+    const tail = text.replace(/\s+/g, ' ').slice(-120).trim();
+    return `[mock ${hash}] ${tail}`;
+  }
+
+  async function generateText(prompt, opts = {}) {
+    if (opts.signal && opts.signal.aborted) throw abortError();
+    return respond(prompt);
+  }
+
+  async function* streamText(prompt, opts = {}) {
+    const tokens = respond(prompt).match(/\S+\s*/g) || [];
+    for (const token of tokens) {
+      if (opts.signal && opts.signal.aborted) throw abortError();
+      if (streamDelayMs) await new Promise(r => setTimeout(r, streamDelayMs));
+      yield token;
+    }
+  }
+
+  return { name: 'mock', model, generateText, streamText };
+}
+
+module.exports = { createMockProvider };
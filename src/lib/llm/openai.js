@@ -0,0 +1,102 @@
+// src/lib/llm/openai.js
+// OpenAI-compatible provider (/chat/completions). Works with OpenAI itself and with local servers
+// exposing the same API, e.g. Ollama (http://localhost:11434/v1) or vLLM (http://localhost:8000/v1).
+
+const { fetch } = require('../fetcher');
+const { abortError, readSseJson } = require('./sse');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * createOpenAIProvider({ baseUrl, apiKey, model, timeoutMs })
+ * Implements the provider interface from lib/llm/index.js: { name, model, generateText, streamText }.
+ */
+function createOpenAIProvider(config = {}) {
+  const baseUrl = String(config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = config.apiKey || '';
+  const model = config.model;
+  const timeoutMs = config.timeoutMs || 60000;
+
+  function assertConfigured() {
+    if (!model) throw new Error('LLM model not configured (set LLM_MODEL or OPENAI_MODEL for the openai provider)');
+  }
+
+  function buildRequest(prompt, opts, stream) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    if (stream) headers['Accept'] = 'text/event-stream';
+    const body = {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: opts.temperature ?? 0.2,
+      max_tokens: opts.maxTokens ?? 512,
+      stream
+    };
+    if (opts.topP !== undefined) body.top_p = opts.topP;
+    return { url: `${baseUrl}/chat/completions`, init: { method: 'POST', headers, body: JSON.stringify(body) } };
+  }
+
+  // links an optional caller signal with our own timeout
+  function linkedController(signal, ms) {
+    const controller = new AbortController();
+    const timer = ms ? setTimeout(() => controller.abort(), ms) : null;
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const dispose = () => {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    return { controller, dispose };
+  }
+
+  async function generateText(prompt, opts = {}) {
+    assertConfigured();
+    const { url, init } = buildRequest(prompt, opts, false);
+    const { controller, dispose } = linkedController(opts.signal, timeoutMs);
+    try {
+      const res = await fetch(url, Object.assign({}, init, { signal: controller.signal }));
+      const text = await res.text().catch(()=>null);
+      if (!res.ok) throw new Error(`OpenAI-compatible API error model=${model} status=${res.status} body=${text || '<no-body>'}`);
+      let json = null;
+      try { json = text ? JSON.parse(text) : null; } catch (e) { json = null; }
+      const content = json?.choices?.[0]?.message?.content;
+      if (typeof content === 'string') return content;
+      return text || '';
+    } catch (e) {
+      if (opts.signal && opts.signal.aborted) throw abortError();
+      throw e;
+    } finally {
+      dispose();
+    }
+  }
+
+  async function* streamText(prompt, opts = {}) {
+    assertConfigured();
+    const { url, init } = buildRequest(prompt, opts, true);
+    // no overall timeout while streaming: long answers are expected, the caller's signal cancels
+    const { controller, dispose } = linkedController(opts.signal, 0);
+    try {
+      const res = await fetch(url, Object.assign({}, init, { signal: controller.signal }));
+      if (!res.ok) {
+        const text = await res.text().catch(()=>null);
+        throw new Error(`OpenAI-compatible API error model=${model} status=${res.status} body=${text || '<no-body>'}`);
+      }
+      for await (const json of readSseJson(res.body)) {
+        const delta = json?.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    } catch (e) {
+      if (opts.signal && opts.signal.aborted) throw abortError();
+      throw e;
+    } finally {
+      dispose();
+    }
+  }
+
+  return { name: 'openai', model, generateText, streamText };
+}
+
+module.exports = { createOpenAIProvider };
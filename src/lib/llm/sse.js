@@ -0,0 +1,35 @@
+// src/lib/llm/sse.js
+// Helpers shared by streaming providers.
+
+function abortError() {
+  const err = new Error('Generation aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Parse a server-sent-events byte stream into JSON payloads (one per `data:` event).
+ * A `data: [DONE]` sentinel (OpenAI style) ends the stream.
+ */
+async function* readSseJson(body) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const part of body) {
+    buf = (buf + decoder.decode(part, { stream: true })).replace(/\r\n/g, '\n');
+    let sep;
+    while ((sep = buf.indexOf('\n\n')) !== -1) {
+      const rawEvent = buf.slice(0, sep);
+      buf = buf.slice(sep + 2);
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (!data) continue;
+      if (data === '[DONE]') return;
+      try { yield JSON.parse(data); } catch (e) { /* ignore malformed event */ }
+    }
+  }
+}
+
+module.exports = { abortError, readSseJson };
@@ -0,0 +1,68 @@
+// src/lib/lruCache.js
+// Bounded in-memory cache: least recently used entries are evicted once maxEntries is reached, and
+// entries older than ttlMs (optional) are treated as missing. Map insertion order is the recency order.
+
+/**
+ * createLruCache({ maxEntries, ttlMs }) -> { get, set, delete, deleteWhere, clear, entries, load, size }
+ */
+function createLruCache({ maxEntries = 500, ttlMs = 0 } = {}) {
+  const map = new Map(); // key -> { value, ts }
+
+  function expired(entry) {
+    return ttlMs > 0 && Date.now() - entry.ts > ttlMs;
+  }
+
+  function evict() {
+    while (map.size > maxEntries) map.delete(map.keys().next().value);
+  }
+
+  return {
+    get(key) {
+      const entry = map.get(key);
+      if (!entry) return null;
+      if (expired(entry)) {
+        map.delete(key);
+        return null;
+      }
+      // move to the most recently used end
+      map.delete(key);
+      map.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, ts = Date.now()) {
+      map.delete(key);
+      map.set(key, { value, ts });
+      evict();
+    },
+    delete(key) {
+      return map.delete(key);
+    },
+    // removes every entry whose value matches; returns how many were removed
+    deleteWhere(predicate) {
+      let removed = 0;
+      for (const [key, entry] of map) {
+        if (predicate(entry.value, key)) {
+          map.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    clear() {
+      map.clear();
+    },
+    // [{ key, value, ts }] oldest first, without expired entries (for persisting)
+    entries() {
+      return Array.from(map.entries()).filter(([, e]) => !expired(e)).map(([key, e]) => ({ key, value: e.value, ts: e.ts }));
+    },
+    load(list) {
+      for (const { key, value, ts } of list || []) map.set(key, { value, ts });
+      evict();
+    },
+    get size() {
+      return map.size;
+    }
+  };
+}
+
+module.exports = { createLruCache };
@@ -0,0 +1,82 @@
+// src/lib/metrics.js
+// Latency / error recording for outbound service calls (LLM provider, RAG worker, RAG service).
+// Calls are buffered in memory and written to the `service_calls` table in batches, so recording
+// never adds a database round trip to the request path. Read by routes/analytics.js.
+
+const { db } = require('./db');
+
+const FLUSH_INTERVAL_MS = Number(process.env.METRICS_FLUSH_INTERVAL_MS || 10000);
+const MAX_BUFFER = 1000;
+
+let buffer = [];
+let timer = null;
+let flushing = null;
+let warned = false;
+
+/**
+ * recordServiceCall({ service, operation, ms, ok, error })
+ * - service: 'gemini' | 'openai' | 'mock' | 'rag_worker' | 'rag_service'
+ * - operation: e.g. 'generate', 'stream', 'search', 'process'
+ */
+function recordServiceCall({ service, operation, ms, ok, error }) {
+  if (buffer.length >= MAX_BUFFER) buffer.shift();
+  buffer.push({
+    service,
+    operation: operation || null,
+    latency_ms: Math.max(0, Math.round(ms || 0)),
+    ok: Boolean(ok),
+    error: ok ? null : String(error || 'error').slice(0, 500),
+    created_at: new Date().toISOString()
+  });
+  if (!timer) {
+    timer = setTimeout(flushMetrics, FLUSH_INTERVAL_MS);
+    if (timer.unref) timer.unref();
+  }
+}
+
+async function flushMetrics() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  // calls recorded during a running flush are written right after it
+  if (flushing) return flushing.then(() => flushMetrics());
+  if (!buffer.length) return;
+  const rows = buffer;
+  buffer = [];
+  flushing = db.from('service_calls').insert(rows)
+    .then(({ error }) => {
+      if (error && !warned) {
+        // most likely the migration hasn't been applied; say so once instead of on every flush
+        warned = true;
+        console.warn('metrics: could not write service_calls:', error.message || error);
+      }
+    })
+    .catch(e => console.warn('metrics flush failed', e && e.message ? e.message : e))
+    .finally(() => {
+      flushing = null;
+      if (buffer.length && !timer) {
+        timer = setTimeout(flushMetrics, FLUSH_INTERVAL_MS);
+        if (timer.unref) timer.unref();
+      }
+    });
+  return flushing;
+}
+
+/**
+ * timeCall(service, operation, fn): runs fn() and records its latency and outcome.
+ * Aborted calls (client went away) are not counted as errors.
+ */
+async function timeCall(service, operation, fn) {
+  const started = Date.now();
+  try {
+    const result = await fn();
+    recordServiceCall({ service, operation, ms: Date.now() - started, ok: true });
+    return result;
+  } catch (e) {
+    if (!(e && e.name === 'AbortError')) {
+      recordServiceCall({ service, operation, ms: Date.now() - started, ok: false, error: e && e.message ? e.message : e });
+    }
+    throw e;
+  }
+}
+
+module.exports = { recordServiceCall, timeCall, flushMetrics };
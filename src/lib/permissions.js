@@ -0,0 +1,40 @@
+// src/lib/permissions.js
+// Role -> permission table used by middleware/checkAdmin.js.
+// Roles come from profiles.role; anything unknown is treated as having no permissions.
+
+const ROLES = ['admin', 'teacher', 'student'];
+
+/**
+ * Permission declarations. Keep keys as "<resource>:<action>" and list every role allowed.
+ * Admin is listed explicitly (no implicit superuser) so the table reads as the source of truth.
+ */
+const PERMISSIONS = {
+  'documents:read': ['admin', 'teacher'],
+  'documents:view': ['admin', 'teacher', 'student'],
+  'documents:upload': ['admin', 'teacher'],
+  'documents:process': ['admin', 'teacher'],
+  'documents:delete': ['admin'],
+  'documents:maintain': ['admin'],
+  'jobs:read': ['admin', 'teacher'],
+  'feedback:review': ['admin', 'teacher'],
+  'analytics:read': ['admin'],
+  'quizzes:manage': ['admin', 'teacher'],
+  'quizzes:take': ['admin', 'teacher', 'student'],
+  'courses:read': ['admin', 'teacher', 'student'],
+  'courses:manage': ['admin', 'teacher'],
+  'quotas:manage': ['admin'],
+  'prompts:manage': ['admin'],
+  'guardrails:review': ['admin'],
+};
+
+function isKnownRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasPermission(role, permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) return false;
+  return allowed.includes(role);
+}
+
+module.exports = { ROLES, PERMISSIONS, isKnownRole, hasPermission };
@@ -0,0 +1,48 @@
+// src/lib/prompts/defaults.js
+// Built-in prompt templates, one per kind. They are used whenever no admin-managed template is
+// assigned (lib/prompts) and reproduce the prompts the chat pipeline has always sent.
+//
+// Placeholders: {{name}} inserts a variable; {{#name}}...{{/name}} keeps the enclosed text only when
+// the variable is non-empty (e.g. the history heading). Each kind lists the variables it may use and
+// the ones a template must contain.
+
+const KINDS = {
+  persona: {
+    description: 'Tutor persona / system instructions, inserted into the answer templates as {{persona}}',
+    variables: ['language', 'out_of_scope_note'],
+    required: [],
+    body: "Kamu adalah tutor cerdas dan sopan yang selalu menjawab dalam {{language}}, apa pun bahasa konteksnya. Gunakan materi yang relevan dari konteks yang disediakan. Jika pertanyaan di luar konteks materi, awali jawaban dengan '{{out_of_scope_note}}'"
+  },
+  answer_context: {
+    description: 'Answer prompt when relevant document context was retrieved',
+    variables: ['persona', 'context', 'history', 'question', 'language', 'out_of_scope_note'],
+    required: ['context', 'question'],
+    body: '{{persona}}\n\n' +
+      'Konteks (ambil hanya yang relevan):\n{{context}}\n\n' +
+      '{{#history}}Riwayat percakapan (gunakan untuk memahami pertanyaan lanjutan):\n{{history}}\n\n{{/history}}' +
+      'Pertanyaan pengguna:\n{{question}}\n\n' +
+      'Jawab secara ringkas. Setiap kali memakai informasi dari konteks, cantumkan nomor konteksnya dalam kurung siku tepat setelah kalimat tersebut, misalnya [1] atau [1, 2]. Hanya gunakan nomor yang ada di konteks. Jika jawaban tidak bisa langsung diambil dari konteks, jawab tetapi awali dengan peringatan sesuai instruksi system.'
+  },
+  answer_no_context: {
+    description: 'Answer prompt when no relevant context was found (out-of-context warning)',
+    variables: ['persona', 'history', 'question', 'language', 'out_of_scope_note'],
+    required: ['question'],
+    body: '{{persona}}\n\n' +
+      '(Peringatan: tidak ditemukan konteks relevan dari dokumen.)\n\n' +
+      '{{#history}}Riwayat percakapan (gunakan untuk memahami pertanyaan lanjutan):\n{{history}}\n\n{{/history}}' +
+      'Pertanyaan pengguna:\n{{question}}\n\n' +
+      'Jawab secara ringkas.'
+  },
+  translation: {
+    description: 'Translates questions into the retrieval language before search',
+    variables: ['source_language', 'target_language', 'text'],
+    required: ['text'],
+    body: 'Translate the following {{source_language}} text to fluent, idiomatic {{target_language}}.\n' +
+      'Keep code snippets, library names, technical terms, and proper nouns exactly as they are (do not translate them). ' +
+      'Provide only the translated text (no commentary, no extra notes).\n\n{{source_language}}:\n{{text}}\n\n{{target_language}}:'
+  }
+};
+
+const PROMPT_KINDS = Object.keys(KINDS);
+
+module.exports = { KINDS, PROMPT_KINDS };
@@ -0,0 +1,164 @@
+// src/lib/prompts/index.js
+// Admin-managed prompt templates (routes/prompts.js) and the prompt builders of the chat pipeline.
+//
+// A template has a kind (see defaults.js), a name and numbered versions; current_version is the one in
+// use. Assignments pick the template of a kind for:
+//   - a course (scope 'course', target = course id)
+//   - a subject (scope 'subject', target = courses.subject, e.g. 'biologi'): every course of that subject
+//   - everything else (scope 'global', target '*')
+// A chat with course_id uses the most specific assignment of each kind; kinds without one use the
+// built-in template. Assignments and current bodies are cached for a short time, and dropped at once
+// by invalidatePrompts() after an admin change.
+
+const { db } = require('../db');
+const { LANGUAGES } = require('../language');
+const { formatNumberedContext } = require('../citations');
+const { formatHistory } = require('../conversation');
+const { KINDS, PROMPT_KINDS } = require('./defaults');
+const { renderTemplate, templateVariables, validateTemplate } = require('./render');
+
+const ASSIGNMENT_SCOPES = ['course', 'subject', 'global'];
+const GLOBAL_TARGET = '*';
+const SNAPSHOT_TTL_MS = 30 * 1000;
+
+let snapshot = null; // { loadedAt, assignments: Map('kind|scope|target' -> template), scoped: bool }
+
+function normalizeSubject(subject) {
+  const s = String(subject || '').trim().toLowerCase();
+  return s || null;
+}
+
+async function loadSnapshot() {
+  if (snapshot && Date.now() - snapshot.loadedAt < SNAPSHOT_TTL_MS) return snapshot;
+  const { data: assignments, error } = await db.from('prompt_assignments').select('kind, scope, target, template_id');
+  if (error) throw new Error(error.message || String(error));
+
+  const ids = Array.from(new Set((assignments || []).map(a => a.template_id)));
+  const templates = new Map();
+  if (ids.length) {
+    const { data: rows, error: tErr } = await db.from('prompt_templates').select('id, kind, name, current_version').in('id', ids);
+    if (tErr) throw new Error(tErr.message || String(tErr));
+    const { data: versions, error: vErr } = await db.from('prompt_template_versions').select('template_id, version, body').in('template_id', ids);
+    if (vErr) throw new Error(vErr.message || String(vErr));
+    for (const t of rows || []) {
+      const current = (versions || []).find(v => v.template_id === t.id && v.version === t.current_version);
+      if (current) templates.set(t.id, { template_id: t.id, name: t.name, version: t.current_version, body: current.body });
+    }
+  }
+
+  const map = new Map();
+  for (const a of assignments || []) {
+    const t = templates.get(a.template_id);
+    if (t) map.set(`${a.kind}|${a.scope}|${a.target}`, t);
+  }
+  snapshot = { loadedAt: Date.now(), assignments: map, scoped: (assignments || []).some(a => a.scope !== 'global') };
+  return snapshot;
+}
+
+function invalidatePrompts() {
+  snapshot = null;
+}
+
+function builtin(kind) {
+  return { template_id: null, name: 'builtin', version: null, body: KINDS[kind].body, ref: 'builtin' };
+}
+
+async function courseOf(courseId) {
+  if (!courseId) return null;
+  const { data, error } = await db.from('courses').select('id, subject').eq('id', courseId).maybeSingle();
+  if (error) console.warn('prompt course lookup failed', error.message || error);
+  return data || null;
+}
+
+/**
+ * promptSetFor({ course_id }) -> { <kind>: { template_id, name, version, body, ref } } for every kind.
+ * ref is '<template id>@<version>' or 'builtin'. Falls back to the built-in templates when the tables
+ * can't be read (e.g. migration not applied), so chat keeps working.
+ */
+async function promptSetFor({ course_id } = {}) {
+  let snap;
+  try {
+    snap = await loadSnapshot();
+  } catch (e) {
+    console.warn('prompt templates unavailable, using built-in prompts:', e && e.message ? e.message : e);
+    return Object.fromEntries(PROMPT_KINDS.map(kind => [kind, builtin(kind)]));
+  }
+  // only look the course up when some assignment could depend on it
+  const course = snap.scoped ? await courseOf(course_id) : null;
+  const subject = course ? normalizeSubject(course.subject) : null;
+
+  const set = {};
+  for (const kind of PROMPT_KINDS) {
+    const found = (course && snap.assignments.get(`${kind}|course|${course.id}`)) ||
+      (subject && snap.assignments.get(`${kind}|subject|${subject}`)) ||
+      snap.assignments.get(`${kind}|global|${GLOBAL_TARGET}`);
+    set[kind] = found ? Object.assign({ ref: `${found.template_id}@${found.version}` }, found) : builtin(kind);
+  }
+  return set;
+}
+
+/**
+ * promptRefs(set, kinds) -> { <kind>: ref } (message metadata, cache keys)
+ */
+function promptRefs(set, kinds = PROMPT_KINDS) {
+  return Object.fromEntries(kinds.map(kind => [kind, set[kind].ref]));
+}
+
+/**
+ * buildAnswerPrompt({ question, chunks, has_context, history, language, prompts }) -> string
+ * IMPORTANT: uses the original `question`, not the translation. `history` ({ summary, turns } from
+ * lib/conversation) is included so follow-ups make sense; `language` (lib/language code) is the
+ * language the answer must be written in; `prompts` is a promptSetFor() result.
+ */
+function buildAnswerPrompt({ question, chunks, has_context, history, language, prompts }) {
+  const { label, outOfScopeNote } = LANGUAGES[language];
+  const vars = { language: label, out_of_scope_note: outOfScopeNote, question, history: formatHistory(history) };
+  vars.persona = renderTemplate(prompts.persona.body, vars);
+
+  // Only include context when has_context === true; chunks are numbered [1], [2], ... for citation markers
+  const context = has_context && chunks.length > 0 ? formatNumberedContext(chunks) : '';
+  if (context) return renderTemplate(prompts.answer_context.body, Object.assign(vars, { context }));
+  return renderTemplate(prompts.answer_no_context.body, vars);
+}
+
+/**
+ * promptFragments(set) -> the fixed text of the persona and answer templates: the runs between
+ * variables, split into sentences (lib/guardrails flags replies that repeat them verbatim).
+ */
+function promptFragments(set) {
+  const fragments = [];
+  for (const kind of ['persona', 'answer_context', 'answer_no_context']) {
+    const body = set[kind].body;
+    const marked = renderTemplate(body, Object.fromEntries(templateVariables(body).map(name => [name, '\u0000'])));
+    for (const run of marked.split('\u0000')) {
+      for (const sentence of run.split(/(?<=[.!?:])\s+|\n+/)) {
+        if (sentence.trim()) fragments.push(sentence.trim());
+      }
+    }
+  }
+  return Array.from(new Set(fragments));
+}
+
+/**
+ * buildTranslationPrompt({ text, from, to, prompts }) -> string (from / to: lib/language codes)
+ */
+function buildTranslationPrompt({ text, from, to, prompts }) {
+  return renderTemplate(prompts.translation.body, { source_language: LANGUAGES[from].name, target_language: LANGUAGES[to].name, text });
+}
+
+module.exports = {
+  KINDS,
+  PROMPT_KINDS,
+  ASSIGNMENT_SCOPES,
+  GLOBAL_TARGET,
+  normalizeSubject,
+  renderTemplate,
+  templateVariables,
+  validateTemplate,
+  promptSetFor,
+  promptRefs,
+  promptFragments,
+  invalidatePrompts,
+  buildAnswerPrompt,
+  buildTranslationPrompt
+};
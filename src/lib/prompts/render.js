@@ -0,0 +1,49 @@
+// src/lib/prompts/render.js
+// Minimal template rendering for prompt templates: {{name}} and {{#name}}...{{/name}} (not nested).
+// Values are inserted in a single pass, so text inside a value (a student's question containing
+// "{{context}}", say) is never expanded.
+
+const { KINDS } = require('./defaults');
+
+const SECTION_RE = /\{\{#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g;
+const VARIABLE_RE = /\{\{\s*(\w+)\s*\}\}/g;
+const TAG_RE = /\{\{\s*[#/]?\s*(\w+)\s*\}\}/g;
+
+function present(value) {
+  return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * renderTemplate(body, vars) -> string. Unknown or missing variables render as ''.
+ */
+function renderTemplate(body, vars = {}) {
+  return String(body || '')
+    .replace(SECTION_RE, (m, name, inner) => (present(vars[name]) ? inner : ''))
+    .replace(VARIABLE_RE, (m, name) => (present(vars[name]) ? String(vars[name]) : ''));
+}
+
+/**
+ * templateVariables(body) -> names used in {{...}} tags (variables and sections)
+ */
+function templateVariables(body) {
+  const names = new Set();
+  for (const m of String(body || '').matchAll(TAG_RE)) names.add(m[1]);
+  return Array.from(names);
+}
+
+/**
+ * validateTemplate(kind, body) -> null when usable, else an error message
+ */
+function validateTemplate(kind, body) {
+  const spec = KINDS[kind];
+  if (!spec) return `kind must be one of: ${Object.keys(KINDS).join(', ')}`;
+  if (typeof body !== 'string' || !body.trim()) return 'body must be a non-empty string';
+  const used = templateVariables(body);
+  const unknown = used.filter(name => !spec.variables.includes(name));
+  if (unknown.length) return `unknown variables for ${kind}: ${unknown.join(', ')} (available: ${spec.variables.join(', ')})`;
+  const missing = spec.required.filter(name => !used.includes(name));
+  if (missing.length) return `${kind} templates must use: ${missing.map(n => `{{${n}}}`).join(', ')}`;
+  return null;
+}
+
+module.exports = { renderTemplate, templateVariables, validateTemplate };
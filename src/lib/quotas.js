@@ -0,0 +1,310 @@
+// src/lib/quotas.js
+// Per-user LLM quotas and usage accounting.
+//
+// Limits: requests and estimated tokens (lib/tokens) per day and per month. Each user gets the limits of
+// their role (DEFAULT_QUOTAS, overridden per role in the `quota_overrides` table), overridden again by a
+// per-user row. Callers without an account are counted per IP address under the 'anonymous' role.
+// A limit of null means unlimited. Days and months start at midnight QUOTA_UTC_OFFSET_MINUTES from UTC
+// (default 420, WIB).
+//
+// Usage: a request counts when middleware/quota admits it; tokens are added by lib/llm for every
+// generateText / streamText call (answers, translations, summaries, titles, quizzes) made while handling
+// that request, found through an AsyncLocalStorage context (runWithUsage). Counters live in memory and
+// are written to `usage_counters` in batches (like lib/metrics), so accounting adds no database round
+// trip per LLM call. With several backend processes each one enforces its own view of the counters.
+//
+// Env: QUOTA_ENFORCE ('false' = count usage but never reject), QUOTA_UTC_OFFSET_MINUTES,
+//      USAGE_FLUSH_INTERVAL_MS (default 5000)
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { db } = require('./db');
+
+const QUOTA_KEYS = ['daily_requests', 'daily_tokens', 'monthly_requests', 'monthly_tokens'];
+const QUOTA_ROLES = ['admin', 'teacher', 'student', 'anonymous'];
+
+const DEFAULT_QUOTAS = {
+  admin: { daily_requests: null, daily_tokens: null, monthly_requests: null, monthly_tokens: null },
+  teacher: { daily_requests: 500, daily_tokens: 500000, monthly_requests: null, monthly_tokens: 5000000 },
+  student: { daily_requests: 100, daily_tokens: 100000, monthly_requests: 1500, monthly_tokens: 1500000 },
+  anonymous: { daily_requests: 20, daily_tokens: 20000, monthly_requests: 200, monthly_tokens: 200000 }
+};
+
+const ENFORCE = (process.env.QUOTA_ENFORCE || 'true') !== 'false';
+const UTC_OFFSET_MS = Number(process.env.QUOTA_UTC_OFFSET_MINUTES ?? 420) * 60 * 1000;
+const FLUSH_INTERVAL_MS = Number(process.env.USAGE_FLUSH_INTERVAL_MS || 5000);
+const OVERRIDES_TTL_MS = 30 * 1000;
+
+/* ---------- periods ---------- */
+
+/**
+ * periodsOf(now) -> { day: { key, reset_at }, month: { key, reset_at } }
+ * key: 'YYYY-MM-DD' / 'YYYY-MM' in quota local time; reset_at: ISO time the next period starts.
+ */
+function periodsOf(now = Date.now()) {
+  const local = new Date(now + UTC_OFFSET_MS);
+  const y = local.getUTCFullYear();
+  const m = local.getUTCMonth();
+  const d = local.getUTCDate();
+  const toUtc = localMs => new Date(localMs - UTC_OFFSET_MS).toISOString();
+  return {
+    day: { key: local.toISOString().slice(0, 10), reset_at: toUtc(Date.UTC(y, m, d + 1)) },
+    month: { key: local.toISOString().slice(0, 7), reset_at: toUtc(Date.UTC(y, m + 1, 1)) }
+  };
+}
+
+/* ---------- limits ---------- */
+
+let overrides = null; // { loadedAt, rows: Map('scope:subject' -> limits) }
+
+async function loadOverrides() {
+  if (overrides && Date.now() - overrides.loadedAt < OVERRIDES_TTL_MS) return overrides.rows;
+  const { data, error } = await db.from('quota_overrides').select('scope, subject, limits');
+  if (error) {
+    console.warn('quota overrides select failed:', error.message || error);
+    return overrides ? overrides.rows : new Map();
+  }
+  const rows = new Map((data || []).map(r => [`${r.scope}:${r.subject}`, r.limits || {}]));
+  overrides = { loadedAt: Date.now(), rows };
+  return rows;
+}
+
+// next lookup reads the table again (after an admin change)
+function invalidateOverrides() {
+  overrides = null;
+}
+
+function pickLimits(limits) {
+  const out = {};
+  for (const key of QUOTA_KEYS) if (limits && limits[key] !== undefined) out[key] = limits[key];
+  return out;
+}
+
+/**
+ * validateLimits(body) -> { limits } or { error }: only QUOTA_KEYS, each a non-negative integer or null.
+ */
+function validateLimits(body) {
+  const limits = pickLimits(body);
+  const unknown = Object.keys(body || {}).filter(k => !QUOTA_KEYS.includes(k));
+  if (unknown.length) return { error: `unknown quota fields: ${unknown.join(', ')} (use ${QUOTA_KEYS.join(', ')})` };
+  for (const [key, value] of Object.entries(limits)) {
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) return { error: `${key} must be a non-negative integer or null (unlimited)` };
+  }
+  return { limits };
+}
+
+/**
+ * quotaFor({ id, role }) -> { daily_requests, daily_tokens, monthly_requests, monthly_tokens }
+ * Built-in role defaults < role override < user override. Unknown roles get the student limits.
+ */
+async function quotaFor(caller) {
+  const role = QUOTA_ROLES.includes(caller.role) ? caller.role : 'student';
+  const rows = await loadOverrides();
+  return Object.assign({}, DEFAULT_QUOTAS[role], pickLimits(rows.get(`role:${role}`)), caller.id ? pickLimits(rows.get(`user:${caller.id}`)) : {});
+}
+
+/* ---------- usage counters ---------- */
+
+const counters = new Map(); // 'subject|period' -> Promise<{ requests, tokens }>
+const dirty = new Set();
+let timer = null;
+let flushing = null;
+let warned = false;
+
+// subject: user id, or 'ip:<address>' for anonymous callers
+function subjectOf(caller) {
+  return caller.id || `ip:${caller.ip || 'unknown'}`;
+}
+
+function counterFor(subject, period) {
+  const key = `${subject}|${period}`;
+  if (!counters.has(key)) {
+    const loading = db.from('usage_counters').select('requests, tokens').eq('subject', subject).eq('period', period).maybeSingle()
+      .then(({ data, error }) => {
+        if (error) console.warn('usage counter select failed:', error.message || error);
+        return { requests: data ? Number(data.requests) || 0 : 0, tokens: data ? Number(data.tokens) || 0 : 0 };
+      })
+      .catch(e => {
+        console.warn('usage counter select failed:', e && e.message ? e.message : e);
+        return { requests: 0, tokens: 0 };
+      });
+    counters.set(key, loading);
+  }
+  return counters.get(key);
+}
+
+function markDirty(subject, period) {
+  dirty.add(`${subject}|${period}`);
+  if (!timer) {
+    timer = setTimeout(flushUsage, FLUSH_INTERVAL_MS);
+    if (timer.unref) timer.unref();
+  }
+}
+
+async function addUsage(caller, { requests = 0, tokens = 0 }) {
+  const subject = subjectOf(caller);
+  const periods = periodsOf();
+  for (const { key } of [periods.day, periods.month]) {
+    const counter = await counterFor(subject, key);
+    counter.requests += requests;
+    counter.tokens += tokens;
+    markDirty(subject, key);
+  }
+}
+
+async function flushUsage() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  // counters changed during a running flush are written right after it
+  if (flushing) return flushing.then(() => flushUsage());
+  if (!dirty.size) return;
+  const keys = Array.from(dirty);
+  dirty.clear();
+  const rows = [];
+  for (const key of keys) {
+    const split = key.lastIndexOf('|');
+    const subject = key.slice(0, split);
+    const period = key.slice(split + 1);
+    const counter = await counters.get(key);
+    rows.push({ subject, period, requests: counter.requests, tokens: counter.tokens, updated_at: new Date().toISOString() });
+  }
+  flushing = db.from('usage_counters').upsert(rows, { onConflict: 'subject,period' })
+    .then(({ error }) => {
+      if (error && !warned) {
+        // most likely the migration hasn't been applied; say so once instead of on every flush
+        warned = true;
+        console.warn('quotas: could not write usage_counters:', error.message || error);
+      }
+    })
+    .catch(e => console.warn('usage flush failed', e && e.message ? e.message : e))
+    .finally(() => {
+      flushing = null;
+      pruneCounters();
+      if (dirty.size && !timer) {
+        timer = setTimeout(flushUsage, FLUSH_INTERVAL_MS);
+        if (timer.unref) timer.unref();
+      }
+    });
+  return flushing;
+}
+
+// counters of past days / months are only needed until they've been written
+function pruneCounters() {
+  const periods = periodsOf();
+  for (const key of counters.keys()) {
+    const period = key.slice(key.lastIndexOf('|') + 1);
+    if (period !== periods.day.key && period !== periods.month.key && !dirty.has(key)) counters.delete(key);
+  }
+}
+
+function usageFrom(periods, counters) {
+  const out = {};
+  for (const [name, p] of Object.entries(periods)) {
+    out[name] = { period: p.key, requests: counters[name].requests, tokens: counters[name].tokens, reset_at: p.reset_at };
+  }
+  return out;
+}
+
+/**
+ * usageOf(caller) -> { day: { period, requests, tokens, reset_at }, month: { ... } }
+ */
+async function usageOf(caller) {
+  const subject = subjectOf(caller);
+  const periods = periodsOf();
+  const [day, month] = await Promise.all([counterFor(subject, periods.day.key), counterFor(subject, periods.month.key)]);
+  return usageFrom(periods, { day, month });
+}
+
+/* ---------- checks ---------- */
+
+function remainingOf(limit, used) {
+  return limit === null || limit === undefined ? null : Math.max(0, limit - used);
+}
+
+/**
+ * checkQuota(caller) -> { allowed, exceeded, quota, usage, status }
+ * status.requests / status.tokens: the tightest window of each kind, { limit, remaining, reset_at }
+ * (null when unlimited). exceeded: { period: 'day' | 'month', kind: 'requests' | 'tokens', limit, used, reset_at }.
+ * A request is admitted while both counters are below their limits (its own tokens aren't known yet).
+ */
+async function checkQuota(caller) {
+  const [quota, usage] = await Promise.all([quotaFor(caller), usageOf(caller)]);
+  return evaluate(quota, usage);
+}
+
+/**
+ * admitRequest(caller) -> like checkQuota; when allowed the request is already counted. The check and
+ * the count happen in one synchronous step once limits and counters are loaded, so concurrent requests
+ * of one caller can't all pass the check before any of them is counted.
+ */
+async function admitRequest(caller) {
+  const subject = subjectOf(caller);
+  const periods = periodsOf();
+  const [quota, day, month] = await Promise.all([
+    quotaFor(caller),
+    counterFor(subject, periods.day.key),
+    counterFor(subject, periods.month.key)
+  ]);
+  // no await from here on
+  const check = evaluate(quota, usageFrom(periods, { day, month }));
+  if (check.allowed) {
+    for (const [counter, p] of [[day, periods.day], [month, periods.month]]) {
+      counter.requests += 1;
+      markDirty(subject, p.key);
+    }
+  }
+  return check;
+}
+
+function evaluate(quota, usage) {
+  const status = { requests: null, tokens: null };
+  let exceeded = null;
+  for (const [period, prefix] of [['day', 'daily'], ['month', 'monthly']]) {
+    for (const kind of ['requests', 'tokens']) {
+      const limit = quota[`${prefix}_${kind}`];
+      const used = usage[period][kind];
+      const remaining = remainingOf(limit, used);
+      if (remaining === null) continue;
+      if (!exceeded && remaining === 0) exceeded = { period, kind, limit, used, reset_at: usage[period].reset_at };
+      if (!status[kind] || remaining < status[kind].remaining) status[kind] = { limit, remaining, reset_at: usage[period].reset_at };
+    }
+  }
+  return { allowed: !ENFORCE || !exceeded, exceeded, quota, usage, status };
+}
+
+/* ---------- request context (who pays for LLM calls) ---------- */
+
+const context = new AsyncLocalStorage();
+
+/**
+ * runWithUsage(caller, fn): fn and everything it starts (including background work such as chat
+ * titles) charge their LLM tokens to caller.
+ */
+function runWithUsage(caller, fn) {
+  return context.run({ caller }, fn);
+}
+
+/**
+ * recordTokens(tokens): called by lib/llm after every call; no-op outside runWithUsage.
+ */
+function recordTokens(tokens) {
+  const store = context.getStore();
+  if (!store || !tokens) return;
+  addUsage(store.caller, { tokens }).catch(e => console.warn('usage record failed', e && e.message ? e.message : e));
+}
+
+module.exports = {
+  QUOTA_KEYS,
+  QUOTA_ROLES,
+  DEFAULT_QUOTAS,
+  periodsOf,
+  validateLimits,
+  quotaFor,
+  invalidateOverrides,
+  checkQuota,
+  admitRequest,
+  addUsage,
+  usageOf,
+  flushUsage,
+  runWithUsage,
+  recordTokens
+};
@@ -0,0 +1,100 @@
+// src/lib/storage/index.js
+// Process-wide file storage for uploaded materials. Every route stores, links and deletes files through
+// this module; the backend is picked with STORAGE_DRIVER:
+//   local     files under STORAGE_LOCAL_DIR (default src/uploads), served by routes/uploads.js at /uploads
+//             through signed, expiring URLs; STORAGE_SIGNING_SECRET (unset -> random per process, so
+//             links handed out before a restart stop working)
+//   supabase  Supabase Storage bucket SUPABASE_BUCKET (default 'documents'); SUPABASE_PUBLIC=false -> signed URLs
+//   s3        any S3-compatible endpoint (AWS S3, MinIO, R2, ...):
+//             S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_REGION (default us-east-1),
+//             S3_FORCE_PATH_STYLE (default true), S3_PUBLIC_URL (public base URL; unset -> presigned URLs)
+// Default: supabase when SUPABASE_URL and a service key are set, otherwise local.
+// STORAGE_SIGNED_URL_TTL: lifetime of signed URLs in seconds (default 3600).
+//
+// Drivers implement:
+//   put(key, body: Buffer | Readable, { contentType, size })
+//   get(key) -> Buffer
+//   remove(keys)
+//   publicUrl(key) -> string | null (null when objects aren't publicly readable)
+//   signedUrl(key, expiresIn) -> Promise<string | null>
+// and the exported storage adds url(key) (public, else signed) and putFile(key, filePath, { contentType }).
+// The local driver also has fileFor(key) and verifySignature(key, { expires, signature }) for routes/uploads.js.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createSupabaseStorage } = require('./supabase');
+const { createS3Storage } = require('./s3');
+
+const LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads');
+const SIGNED_URL_TTL = Number(process.env.STORAGE_SIGNED_URL_TTL || 60 * 60);
+
+function configError(message) {
+  return new Error(`Storage misconfigured: ${message}`);
+}
+
+function createDriver(name) {
+  if (name === 'local') {
+    return createLocalStorage({ root: LOCAL_DIR, secret: process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex') });
+  }
+
+  if (name === 'supabase') {
+    const url = process.env.SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+    if (!url || !key) throw configError('STORAGE_DRIVER=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    const { createClient } = require('@supabase/supabase-js');
+    return createSupabaseStorage({
+      client: createClient(url, key, { auth: { persistSession: false } }),
+      bucket: process.env.SUPABASE_BUCKET || 'documents',
+      isPublic: (process.env.SUPABASE_PUBLIC || 'true') === 'true'
+    });
+  }
+
+  if (name === 's3') {
+    const missing = ['S3_ENDPOINT', 'S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY'].filter(v => !process.env[v]);
+    if (missing.length) throw configError(`STORAGE_DRIVER=s3 needs ${missing.join(', ')}`);
+    return createS3Storage({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: (process.env.S3_FORCE_PATH_STYLE || 'true') === 'true',
+      publicUrl: process.env.S3_PUBLIC_URL || null
+    });
+  }
+
+  throw configError(`unknown STORAGE_DRIVER "${name}" (use local, supabase or s3)`);
+}
+
+function defaultDriverName() {
+  const supabaseConfigured = process.env.SUPABASE_URL && (process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY);
+  return supabaseConfigured ? 'supabase' : 'local';
+}
+
+function withHelpers(driver) {
+  return Object.assign({}, driver, {
+    async url(key) {
+      return driver.publicUrl(key) || driver.signedUrl(key, SIGNED_URL_TTL);
+    },
+    // streams the file (e.g. a multer temp upload) instead of reading it into memory
+    async putFile(key, filePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(filePath);
+      return driver.put(key, fs.createReadStream(filePath), { contentType, size });
+    }
+  });
+}
+
+/**
+ * storageKey(filename) -> new unique object key, e.g. "1760860800000-3f9a1c-Bab_1.pdf"
+ */
+function storageKey(filename) {
+  const safe = (filename || 'file').replace(/[^a-zA-Z0-9.\-_]/g, '_');
+  return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}-${safe}`;
+}
+
+const storage = withHelpers(createDriver((process.env.STORAGE_DRIVER || defaultDriverName()).toLowerCase()));
+console.log(`File storage: ${storage.driver}`);
+
+module.exports = { storage, storageKey, LOCAL_DIR };
@@ -0,0 +1,81 @@
+// src/lib/storage/local.js
+// Local disk driver: objects are files under `root`. Nothing is public: signedUrl(key, expiresIn) gives
+// `${baseUrl}/<key>?expires=<unix seconds>&signature=<hex HMAC-SHA256(secret, `${key}.${expires}`)>`,
+// which routes/uploads.js (mounted at /uploads) checks with verifySignature before sending the file.
+// Routes hand such URLs out only after their own permission / course-scope checks.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+function createLocalStorage({ root, baseUrl = '/uploads', secret, now = () => Date.now() }) {
+  if (!secret) throw new Error('Local storage needs a signing secret');
+  fs.mkdirSync(root, { recursive: true });
+
+  // keys are flat, generated names; anything that would escape root is refused
+  function fileFor(key) {
+    const file = path.resolve(root, String(key));
+    if (!key || path.dirname(file) !== path.resolve(root)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  }
+
+  function sign(key, expires) {
+    return crypto.createHmac('sha256', secret).update(`${key}.${expires}`).digest('hex');
+  }
+
+  /**
+   * verifySignature(key, { expires, signature }) -> null when the signed URL is valid, otherwise the reason.
+   */
+  function verifySignature(key, { expires, signature } = {}) {
+    const exp = Number(expires);
+    if (!expires || !signature || !Number.isInteger(exp)) return 'Missing signature';
+    if (exp < Math.floor(now() / 1000)) return 'Link expired';
+    const a = Buffer.from(sign(String(key), exp), 'utf8');
+    const b = Buffer.from(String(signature), 'utf8');
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return 'Invalid signature';
+    return null;
+  }
+
+  return {
+    driver: 'local',
+
+    async put(key, body) {
+      const file = fileFor(key);
+      if (Buffer.isBuffer(body)) return fs.promises.writeFile(file, body);
+      try {
+        await pipeline(body, fs.createWriteStream(file));
+      } catch (e) {
+        await fs.promises.unlink(file).catch(() => {});
+        throw e;
+      }
+    },
+
+    async get(key) {
+      return fs.promises.readFile(fileFor(key));
+    },
+
+    async remove(keys) {
+      for (const key of keys) {
+        await fs.promises.unlink(fileFor(key)).catch(e => {
+          if (e.code !== 'ENOENT') throw e;
+        });
+      }
+    },
+
+    fileFor,
+    verifySignature,
+
+    publicUrl() {
+      return null;
+    },
+
+    async signedUrl(key, expiresIn) {
+      fileFor(key);
+      const expires = Math.floor(now() / 1000) + Math.max(1, Math.floor(Number(expiresIn) || 0));
+      return `${baseUrl.replace(/\/$/, '')}/${encodeURIComponent(key)}?expires=${expires}&signature=${sign(String(key), expires)}`;
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
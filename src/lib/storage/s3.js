@@ -0,0 +1,157 @@
+// src/lib/storage/s3.js
+// S3-compatible driver (AWS S3, MinIO, Cloudflare R2, ...) speaking the REST API directly with
+// Signature Version 4, so no AWS SDK is needed. Streams are uploaded with an unsigned payload and an
+// explicit Content-Length; buffers are signed with their SHA-256.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// SigV4 wants RFC 3986 encoding; encodeURIComponent leaves !'()* alone
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function amzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+function canonicalQuery(query) {
+  return Object.keys(query)
+    .sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+}
+
+function s3Error(action, key, status, body) {
+  const xml = body ? body.toString('utf8') : '';
+  const code = (xml.match(/<Code>([^<]*)<\/Code>/) || [])[1] || `HTTP ${status}`;
+  const message = (xml.match(/<Message>([^<]*)<\/Message>/) || [])[1] || '';
+  const err = new Error(`S3 ${action} failed for ${key}: ${code}${message ? ` (${message})` : ''}`);
+  err.status = status;
+  return err;
+}
+
+/**
+ * createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, publicUrl, now })
+ * - forcePathStyle: <endpoint>/<bucket>/<key> (MinIO and most self-hosted stores) instead of <bucket>.<host>/<key>
+ * - publicUrl: base URL under which objects are publicly readable; without it url() hands out presigned URLs
+ */
+function createS3Storage({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true, publicUrl = null, now = () => new Date() }) {
+  const base = new URL(endpoint);
+  const basePath = base.pathname.replace(/\/$/, '');
+
+  function encodeKey(key) {
+    return String(key).split('/').map(encodeRfc3986).join('/');
+  }
+
+  function objectUrl(key) {
+    if (forcePathStyle) return new URL(`${base.protocol}//${base.host}${basePath}/${bucket}/${encodeKey(key)}`);
+    return new URL(`${base.protocol}//${bucket}.${base.host}${basePath}/${encodeKey(key)}`);
+  }
+
+  function scopeOf(date) {
+    return `${date.slice(0, 8)}/${region}/s3/aws4_request`;
+  }
+
+  // headers: lower-case names; returns the hex signature
+  function sign({ method, url, query = {}, headers, payloadHash, date }) {
+    const names = Object.keys(headers).sort();
+    const request = [
+      method,
+      url.pathname,
+      canonicalQuery(query),
+      names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', date, scopeOf(date), sha256(request)].join('\n');
+    let key = hmac(`AWS4${secretAccessKey}`, date.slice(0, 8));
+    for (const part of [region, 's3', 'aws4_request']) key = hmac(key, part);
+    return hmac(key, stringToSign).toString('hex');
+  }
+
+  function request(method, key, { body = null, size = null, contentType = null, payloadHash = sha256('') } = {}) {
+    const url = objectUrl(key);
+    const date = amzDate(now());
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': date };
+    if (contentType) headers['content-type'] = contentType;
+    if (size !== null) headers['content-length'] = String(size);
+    const signature = sign({ method, url, headers, payloadHash, date });
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scopeOf(date)}, SignedHeaders=${Object.keys(headers).sort().join(';')}, Signature=${signature}`;
+
+    return new Promise((resolve, reject) => {
+      const req = (url.protocol === 'https:' ? https : http).request(url, { method, headers }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      if (!body || Buffer.isBuffer(body)) {
+        req.end(body || undefined);
+      } else {
+        body.on('error', e => req.destroy(e));
+        body.pipe(req);
+      }
+    });
+  }
+
+  return {
+    driver: 's3',
+
+    async put(key, body, { contentType, size } = {}) {
+      const isBuffer = Buffer.isBuffer(body);
+      if (!isBuffer && (size === undefined || size === null)) throw new Error('S3 upload of a stream needs its size');
+      const res = await request('PUT', key, {
+        body,
+        contentType: contentType || 'application/octet-stream',
+        size: isBuffer ? body.length : size,
+        payloadHash: isBuffer ? sha256(body) : 'UNSIGNED-PAYLOAD'
+      });
+      if (res.status >= 300) throw s3Error('upload', key, res.status, res.body);
+    },
+
+    async get(key) {
+      const res = await request('GET', key);
+      if (res.status >= 300) throw s3Error('download', key, res.status, res.body);
+      return res.body;
+    },
+
+    async remove(keys) {
+      for (const key of keys) {
+        const res = await request('DELETE', key);
+        if (res.status >= 300 && res.status !== 404) throw s3Error('delete', key, res.status, res.body);
+      }
+    },
+
+    publicUrl(key) {
+      return publicUrl ? `${publicUrl.replace(/\/$/, '')}/${encodeKey(key)}` : null;
+    },
+
+    // presigned GET (query-string authentication)
+    async signedUrl(key, expiresIn) {
+      const url = objectUrl(key);
+      const date = amzDate(now());
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${scopeOf(date)}`,
+        'X-Amz-Date': date,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const signature = sign({ method: 'GET', url, query, headers: { host: url.host }, payloadHash: 'UNSIGNED-PAYLOAD', date });
+      return `${url.origin}${url.pathname}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+    }
+  };
+}
+
+module.exports = { createS3Storage };
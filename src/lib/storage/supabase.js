@@ -0,0 +1,48 @@
+// src/lib/storage/supabase.js
+// Supabase Storage driver (one bucket). Streams are sent as the request body (duplex: 'half'),
+// so uploads aren't buffered in memory.
+
+function storageError(action, key, error) {
+  return new Error(`Supabase storage ${action} failed for ${key}: ${error.message || JSON.stringify(error)}`);
+}
+
+function createSupabaseStorage({ client, bucket, isPublic = true }) {
+  const files = () => client.storage.from(bucket);
+
+  return {
+    driver: 'supabase',
+
+    async put(key, body, { contentType } = {}) {
+      const options = { contentType, upsert: false };
+      if (!Buffer.isBuffer(body)) options.duplex = 'half';
+      const { error } = await files().upload(key, body, options);
+      if (error) throw storageError('upload', key, error);
+    },
+
+    async get(key) {
+      const { data, error } = await files().download(key);
+      if (error) throw storageError('download', key, error);
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(keys) {
+      if (!keys.length) return;
+      const { error } = await files().remove(keys);
+      if (error) throw storageError('remove', keys.join(', '), error);
+    },
+
+    publicUrl(key) {
+      if (!isPublic) return null;
+      const { data } = files().getPublicUrl(key);
+      return data?.publicUrl || null;
+    },
+
+    async signedUrl(key, expiresIn) {
+      const { data, error } = await files().createSignedUrl(key, expiresIn);
+      if (error) throw storageError('createSignedUrl', key, error);
+      return data?.signedUrl || null;
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
@@ -2,14 +2,17 @@
 const { createClient } = require('@supabase/supabase-js');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+// SUPABASE_SERVICE_ROLE_KEY is the name the admin routes used to read; either one works
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
 
+// Left as null when unconfigured so the server can run offline (lib/db falls back to the local store).
+let supabaseAdmin = null;
 if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
   console.warn('Supabase config missing. Set SUPABASE_URL and SUPABASE_SERVICE_KEY in env.');
+} else {
+  supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
+    auth: { persistSession: false }
+  });
 }
 
-const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
-  auth: { persistSession: false }
-});
-
 module.exports = { supabaseAdmin };
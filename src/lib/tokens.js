@@ -0,0 +1,12 @@
+// src/lib/tokens.js
+
+/**
+ * Rough token estimate (~4 characters per token). Good enough for budgeting prompts and
+ * sizing chunks; we never need exact counts here.
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+module.exports = { estimateTokens };
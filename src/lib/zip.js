@@ -0,0 +1,165 @@
+// src/lib/zip.js
+// Minimal ZIP reader (central directory + stored/deflate entries) on top of zlib.
+// Enough for DOCX/PPTX text extraction and sniffing; no encryption, no ZIP64, no multi-disk archives.
+// Archives are read from a Buffer or, via openZipFile(), straight from disk (uploads are streamed to temp
+// files, so a 50 MB archive is never loaded whole).
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+// per-entry cap on inflated size so a crafted archive can't exhaust memory
+const MAX_ENTRY_BYTES = Number(process.env.ZIP_MAX_ENTRY_BYTES || 100 * 1024 * 1024);
+
+function zipError(message) {
+  const err = new Error(`Invalid ZIP archive: ${message}`);
+  err.status = 422;
+  return err;
+}
+
+function isZip(buffer) {
+  return Boolean(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+/* ---------- Sources: random access to the archive bytes ---------- */
+
+function bufferSource(buffer) {
+  return { size: buffer.length, read: (offset, length) => buffer.slice(offset, offset + length) };
+}
+
+/**
+ * fileSource(filePath) -> { size, read(offset, length) -> Buffer, close() }
+ */
+function fileSource(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  const size = fs.fstatSync(fd).size;
+  return {
+    size,
+    read(offset, length) {
+      const out = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+      const n = out.length ? fs.readSync(fd, out, 0, out.length, offset) : 0;
+      return out.slice(0, n);
+    },
+    close: () => fs.closeSync(fd)
+  };
+}
+
+function toSource(input) {
+  return Buffer.isBuffer(input) ? bufferSource(input) : input;
+}
+
+function findEndOfCentralDirectory(source) {
+  // the EOCD record is 22 bytes plus an optional comment of up to 64 KiB
+  const tailStart = Math.max(0, source.size - 22 - 0xffff);
+  const tail = source.read(tailStart, source.size - tailStart);
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) return tail.slice(i, i + 22);
+  }
+  return null;
+}
+
+/**
+ * listEntries(input) -> [{ name, method, compressedSize, size, localOffset, directory }]
+ * input: Buffer or a source (fileSource). Throws (status 422) when the central directory can't be read.
+ */
+function listEntries(input) {
+  const source = toSource(input);
+  if (!isZip(source.read(0, 4))) throw zipError('missing local file header');
+  const eocd = findEndOfCentralDirectory(source);
+  if (!eocd) throw zipError('end of central directory not found');
+
+  const count = eocd.readUInt16LE(10);
+  const directoryOffset = eocd.readUInt32LE(16);
+  const directory = source.read(directoryOffset, eocd.readUInt32LE(12));
+  let offset = 0;
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw zipError('corrupt central directory');
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    // bit 11: UTF-8 names; older tools write CP437, which matches latin1 for ASCII names
+    const name = directory.slice(offset + 46, offset + 46 + nameLength).toString(flags & 0x800 ? 'utf8' : 'latin1');
+    entries.push({
+      name,
+      method: directory.readUInt16LE(offset + 10),
+      encrypted: Boolean(flags & 0x1),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localOffset: directory.readUInt32LE(offset + 42),
+      directory: name.endsWith('/')
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * readEntry(input, entry, { maxBytes }) -> Buffer with the entry's uncompressed bytes.
+ * Sizes in the central directory are whatever the archive claims, so inflating stops at the declared
+ * size (and at maxBytes, default ZIP_MAX_ENTRY_BYTES) and an entry that doesn't match it is rejected.
+ */
+function readEntry(input, entry, { maxBytes = MAX_ENTRY_BYTES } = {}) {
+  if (entry.size > maxBytes) throw zipError(`${entry.name} is larger than ${maxBytes} bytes`);
+  if (entry.encrypted) throw zipError(`${entry.name} is encrypted`);
+  const source = toSource(input);
+  const header = source.read(entry.localOffset, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) throw zipError(`bad local header for ${entry.name}`);
+  const start = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const data = source.read(start, entry.compressedSize);
+
+  let out;
+  if (entry.method === 0) {
+    out = data;
+  } else if (entry.method === 8) {
+    try {
+      out = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, entry.size) });
+    } catch (e) {
+      if (e.code === 'ERR_BUFFER_TOO_LARGE') throw zipError(`${entry.name} inflates to more than its declared ${entry.size} bytes`);
+      throw zipError(`${entry.name}: ${e.message}`);
+    }
+  } else {
+    throw zipError(`${entry.name} uses unsupported compression method ${entry.method}`);
+  }
+  if (out.length !== entry.size) throw zipError(`${entry.name} is ${out.length} bytes, not the declared ${entry.size}`);
+  return out;
+}
+
+/**
+ * openZip(input) -> { entries, has(name), read(name) -> Buffer | null, readText(name) -> string | null, close() }
+ * input: Buffer or a source; close() only matters for file sources.
+ */
+function openZip(input) {
+  const source = toSource(input);
+  const entries = listEntries(source);
+  const byName = new Map(entries.map(e => [e.name, e]));
+  const read = name => (byName.has(name) ? readEntry(source, byName.get(name)) : null);
+  return {
+    entries,
+    has: name => byName.has(name),
+    read,
+    readText: name => {
+      const data = read(name);
+      return data ? data.toString('utf8') : null;
+    },
+    close: () => source.close && source.close()
+  };
+}
+
+/**
+ * openZipFile(filePath) -> like openZip, reading from disk; call close() when done.
+ */
+function openZipFile(filePath) {
+  const source = fileSource(filePath);
+  try {
+    return openZip(source);
+  } catch (e) {
+    source.close();
+    throw e;
+  }
+}
+
+module.exports = { isZip, fileSource, listEntries, readEntry, openZip, openZipFile };
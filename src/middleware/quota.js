@@ -0,0 +1,77 @@
+// src/middleware/quota.js
+// Per-user request / token quotas for LLM-backed endpoints (limits and counters: lib/quotas).
+//
+// enforceQuota() admits the request while the caller is below every limit and counts it in the same
+// step (lib/quotas admitRequest, so parallel requests can't slip past a limit), sets X-Quota-* headers
+// and runs the rest of the request inside the caller's usage context so each LLM call it makes is
+// charged to them. Over a limit it answers 429 with an Indonesian message.
+//
+// Headers (tightest day/month window of each kind; omitted when unlimited):
+//   X-Quota-Limit-Requests, X-Quota-Remaining-Requests, X-Quota-Limit-Tokens, X-Quota-Remaining-Tokens,
+//   X-Quota-Reset (ISO time the tightest window resets)
+
+const { admitRequest, runWithUsage } = require('../lib/quotas');
+
+const PERIOD_LABELS = { day: 'harian', month: 'bulanan' };
+const KIND_LABELS = { requests: 'jumlah permintaan', tokens: 'penggunaan token' };
+
+function formatReset(iso) {
+  return new Date(iso).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta', dateStyle: 'medium', timeStyle: 'short' }) + ' WIB';
+}
+
+function quotaMessage(exceeded) {
+  return `Batas ${KIND_LABELS[exceeded.kind]} ${PERIOD_LABELS[exceeded.period]} Anda sudah tercapai ` +
+    `(${exceeded.used}/${exceeded.limit}). Silakan coba lagi setelah ${formatReset(exceeded.reset_at)} ` +
+    'atau hubungi admin untuk menambah kuota.';
+}
+
+function setQuotaHeaders(res, status, countThis) {
+  const resets = [];
+  if (status.requests) {
+    res.set('X-Quota-Limit-Requests', String(status.requests.limit));
+    res.set('X-Quota-Remaining-Requests', String(Math.max(0, status.requests.remaining - (countThis ? 1 : 0))));
+    resets.push(status.requests.reset_at);
+  }
+  if (status.tokens) {
+    res.set('X-Quota-Limit-Tokens', String(status.tokens.limit));
+    res.set('X-Quota-Remaining-Tokens', String(status.tokens.remaining));
+    resets.push(status.tokens.reset_at);
+  }
+  if (resets.length) res.set('X-Quota-Reset', resets.sort()[0]);
+}
+
+/**
+ * enforceQuota(identify) -> middleware
+ * identify(req) -> { id, role } (id null for anonymous callers); defaults to req.currentUser, so it
+ * must then run after authenticate. Routes that resolve the user themselves (chat) pass their own.
+ */
+function enforceQuota(identify = req => req.currentUser) {
+  return async function quotaGuard(req, res, next) {
+    if (req.method === 'OPTIONS') return next();
+    let caller;
+    let check;
+    try {
+      const user = (await identify(req)) || {};
+      caller = { id: user.id || null, role: user.id ? user.role : 'anonymous', ip: req.ip };
+      check = await admitRequest(caller);
+    } catch (err) {
+      // quota bookkeeping must never take the endpoint down
+      console.error('quota check failed', err && (err.stack || err.message || err));
+      return next();
+    }
+
+    if (!check.allowed) {
+      const { exceeded } = check;
+      setQuotaHeaders(res, check.status, false);
+      res.set('Retry-After', String(Math.max(1, Math.ceil((Date.parse(exceeded.reset_at) - Date.now()) / 1000))));
+      const message = quotaMessage(exceeded);
+      return res.status(429).json({ status: 'error', code: 'quota_exceeded', error: message, message, data: exceeded });
+    }
+
+    setQuotaHeaders(res, check.status, true);
+    req.quotaCaller = caller;
+    return runWithUsage(caller, () => next());
+  };
+}
+
+module.exports = { enforceQuota, quotaMessage };
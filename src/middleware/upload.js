@@ -0,0 +1,47 @@
+// src/middleware/upload.js
+// Multipart uploads for every route that accepts files: multer streams each file to a temp directory
+// (UPLOAD_TMP_DIR, default <os tmp>/tutor-uploads) instead of holding it in memory, the route hands
+// req.file.path to lib/storage (storage.putFile streams it on), and the temp files are removed once the
+// response has been sent, whatever the outcome.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+
+const TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'tutor-uploads');
+fs.mkdirSync(TMP_DIR, { recursive: true });
+
+function removeTempFiles(req) {
+  const files = [].concat(req.file || [], Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+  for (const file of files) {
+    if (file.path) fs.promises.unlink(file.path).catch(() => {});
+  }
+}
+
+function cleanupAfterResponse(req, res, next) {
+  let done = false;
+  const cleanup = () => {
+    if (done) return;
+    done = true;
+    removeTempFiles(req);
+  };
+  res.on('finish', cleanup);
+  res.on('close', cleanup);
+  next();
+}
+
+/**
+ * createUpload({ fileSize }) -> { single(field), array(field, maxCount) }
+ * Each returns a middleware chain for the route: [cleanup, multer]. Files keep multer's disk shape
+ * ({ originalname, path, size, mimetype }); there is no file.buffer.
+ */
+function createUpload({ fileSize }) {
+  const upload = multer({ dest: TMP_DIR, limits: { fileSize } });
+  return {
+    single: field => [cleanupAfterResponse, upload.single(field)],
+    array: (field, maxCount) => [cleanupAfterResponse, upload.array(field, maxCount)]
+  };
+}
+
+module.exports = { createUpload };
@@ -0,0 +1,35 @@
+// src/middleware/validateUpload.js
+// Shared upload validation for every route that accepts material files (routes/admin.js and the dev
+// fallback in index.js). Runs after multer (middleware/upload): the type is detected from the file's
+// content (lib/fileTypes), never from the client's Content-Type.
+// On success req.file.detected = { type, mime, ext }; otherwise 415 and a disk-stored upload is removed.
+
+const fs = require('fs');
+const { detectFileType, detectFileTypeOfFile } = require('../lib/fileTypes');
+
+function detect(file) {
+  const options = { filename: file.originalname };
+  // disk uploads: only the head (and a ZIP's central directory) is read
+  return file.path ? detectFileTypeOfFile(file.path, options) : detectFileType(file.buffer, options);
+}
+
+function validateUpload(req, res, next) {
+  const file = req.file;
+  if (!file) return next();
+
+  let detected;
+  try {
+    detected = detect(file);
+  } catch (e) {
+    detected = { error: e.message || String(e) };
+  }
+
+  if (detected.error) {
+    if (file.path) fs.promises.unlink(file.path).catch(() => {});
+    return res.status(415).json({ status: 'error', message: detected.error });
+  }
+  file.detected = detected;
+  return next();
+}
+
+module.exports = { validateUpload };
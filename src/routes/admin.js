@@ -1,61 +1,42 @@
 // routes/admin.js
 const express = require('express');
-const path = require('path');
-const fs = require('fs');
-const multer = require('multer');
-const { createClient } = require('@supabase/supabase-js');
 const fetch = global.fetch || require('node-fetch');
+const { authenticate, requirePermission } = require('../middleware/checkAdmin');
+const { hasPermission } = require('../lib/permissions');
+const { resolveRetrievalScope, documentInScope } = require('../lib/courses');
+const { db } = require('../lib/db');
+const { createUpload } = require('../middleware/upload');
+const { validateUpload } = require('../middleware/validateUpload');
+const { storage, storageKey } = require('../lib/storage');
+const { invalidateKeywordIndex } = require('../lib/keywordRetriever');
+const { answerCache } = require('../lib/answerCache');
+const { ingestionMode, ingestDocument } = require('../lib/ingestion');
+const { jobQueue } = require('../lib/jobs');
+const { transitionDocumentStatus } = require('../lib/documentStatus');
+const { timeCall } = require('../lib/metrics');
+const { uploadContentHash, findDuplicate, backfillContentHashes } = require('../lib/contentHash');
+const { expandUploads } = require('../lib/bulkImport');
+const { currentVersionOf, listVersions, getVersion, ensureCurrentVersion, setCurrentVersion, addVersion, updateVersion } = require('../lib/documentVersions');
 
 const router = express.Router();
 
-/* --------- Supabase config (server-side only) --------- */
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const SUPABASE_BUCKET = process.env.SUPABASE_BUCKET || 'documents';
-const SUPABASE_INCLUDE_PATH = (process.env.SUPABASE_INCLUDE_PATH || 'true') === 'true';
-const SUPABASE_PUBLIC = (process.env.SUPABASE_PUBLIC || 'true') === 'true';
-
-let supabase = null;
-if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
-  supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
-  console.log('Supabase client configured for admin routes.');
-} else {
-  console.warn('Supabase not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in .env to enable DB/Storage integration.');
-}
-
-/* --------- Multer (memory) --------- */
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 50 * 1024 * 1024 },
-});
-
-/* --------- In-memory docs for dev/debug UI --------- */
-const uploadsDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
+// Every /api/admin route requires a signed-in user; per-route permissions are declared below.
+router.use(authenticate);
 
-let docs = [
-  { id: 1, title: 'Sample Doc A', uploadedBy: 'admin', created_at: new Date().toISOString(), filename: null, path: null, storage_path: null, local_filename: null, supabase_row: null, supabase_error: null, status: 'uploaded', chunk_count: 0 },
-  { id: 2, title: 'Sample Doc B', uploadedBy: 'user', created_at: new Date().toISOString(), filename: null, path: null, storage_path: null, local_filename: null, supabase_row: null, supabase_error: null, status: 'uploaded', chunk_count: 0 },
-];
-
-function nextId() {
-  return docs.length ? Math.max(...docs.map(d => (typeof d.id === 'number' ? d.id : 0))) + 1 : 1;
-}
+/* --------- Document rows live in lib/db (Supabase or the local store) --------- */
+const SUPABASE_INCLUDE_PATH = (process.env.SUPABASE_INCLUDE_PATH || 'true') === 'true';
 
-function sanitizeFilename(name) {
-  return (name || '').replace(/[^a-zA-Z0-9.\-_]/g, '_');
-}
+/* --------- Uploads stream to temp files; file types are checked by content in validateUpload --------- */
+const upload = createUpload({ fileSize: 50 * 1024 * 1024 });
 
 function isUuid(val) {
   return typeof val === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(val);
 }
 
-/* --------- Helpers: robust insert to supabase --------- */
-async function insertMetadataToSupabase(insertObj) {
-  if (!supabase) return { inserted: null, error: new Error('Supabase not configured') };
-
+/* --------- Helpers: robust insert into documents --------- */
+async function insertDocumentRow(insertObj) {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('documents')
       .insert([insertObj])
       .select()
@@ -67,7 +48,7 @@ async function insertMetadataToSupabase(insertObj) {
       if (msg.includes("'path'") || msg.includes('could not find the') || (msg.includes('column') && msg.includes('path'))) {
         const fallback = Object.assign({}, insertObj);
         delete fallback.path;
-        const { data: df, error: ef } = await supabase
+        const { data: df, error: ef } = await db
           .from('documents')
           .insert([fallback])
           .select()
@@ -84,7 +65,56 @@ async function insertMetadataToSupabase(insertObj) {
   }
 }
 
-/* --------- Helper: normalize a supabase row to frontend doc shape --------- */
+/* --------- Helpers: store an uploaded file (lib/storage: local disk, Supabase Storage or S3) --------- */
+async function storageUrl(storagePath) {
+  try {
+    return await storage.url(storagePath);
+  } catch (e) {
+    console.warn('URL generation failed:', e && (e.message || e));
+    return null;
+  }
+}
+
+/**
+ * storeUploadedFile(file) -> { storage_path, path, error }
+ * file: multer temp upload (file.path, streamed) or { buffer } (bulk import archive entries).
+ * Every call writes a new object (unique key), so earlier versions are never overwritten.
+ */
+async function storeUploadedFile(file) {
+  const key = storageKey(file.originalname);
+  const contentType = file.detected ? file.detected.mime : file.mimetype;
+  try {
+    if (file.path) await storage.putFile(key, file.path, { contentType });
+    else await storage.put(key, file.buffer, { contentType, size: file.buffer.length });
+  } catch (error) {
+    return { storage_path: null, path: null, error };
+  }
+  return { storage_path: key, path: await storageUrl(key), error: null };
+}
+
+/* --------- Helpers: duplicate uploads (same content hash) --------- */
+// ?force=true (or a "force" form field) stores the file anyway
+function wantsForce(req) {
+  return String(req.query.force || (req.body && req.body.force) || '').toLowerCase() === 'true';
+}
+
+/**
+ * Existing document (other than excludeId) with the same content, or null.
+ */
+async function findDuplicateDocument(hash, { excludeId } = {}) {
+  return findDuplicate(db, hash, { excludeId });
+}
+
+function duplicateResponse(res, existing) {
+  return res.status(409).json({
+    status: 'error',
+    code: 'duplicate_content',
+    message: `A document with the same content already exists ("${existing.title || existing.filename || existing.id}"). Retry with ?force=true to store a copy.`,
+    data: { existing }
+  });
+}
+
+/* --------- Helper: normalize a documents row to frontend doc shape --------- */
 function normalizeRowToDoc(row) {
   return {
     id: row.id,
@@ -97,83 +127,143 @@ function normalizeRowToDoc(row) {
     file_size: row.file_size || null,
     pages: row.pages || null,
     status: row.status || 'uploaded',
+    current_version: currentVersionOf(row),
+    content_hash: row.content_hash || null,
+    tags: row.tags || [],
     supabase_row: row,
     supabase_error: null,
     chunk_count: 0
   };
 }
 
-/* --------- Helper: resolve a doc by param (uuid or numeric or storage_path/filename) --------- */
+/* --------- Helper: resolve a doc by param (uuid or storage_path/filename) --------- */
 async function resolveDocByParam(idParam) {
-  // if UUID-like, try Supabase document id
+  // if UUID-like, try the document id
   if (isUuid(idParam)) {
-    if (supabase) {
-      try {
-        const { data, error } = await supabase
-          .from('documents')
-          .select('*')
-          .eq('id', idParam)
-          .limit(1)
-          .single();
-
-        if (error) {
-          return null;
-        }
-        return normalizeRowToDoc(data);
-      } catch (e) {
+    try {
+      const { data, error } = await db
+        .from('documents')
+        .select('*')
+        .eq('id', idParam)
+        .limit(1)
+        .single();
+
+      if (error) {
         return null;
       }
+      return normalizeRowToDoc(data);
+    } catch (e) {
+      return null;
     }
-    return null;
   }
 
-  // not UUID: maybe numeric in-memory id
-  const num = Number(idParam);
-  if (!Number.isNaN(num)) {
-    const mem = docs.find(d => typeof d.id === 'number' && d.id === num);
-    if (mem) return mem;
+  // fallback: try find by storage_path or filename
+  try {
+    // try storage_path
+    let q = await db.from('documents').select('*').eq('storage_path', idParam).limit(1).single();
+    if (!q.error && q.data) return normalizeRowToDoc(q.data);
+    // try filename
+    q = await db.from('documents').select('*').eq('filename', idParam).limit(1).single();
+    if (!q.error && q.data) return normalizeRowToDoc(q.data);
+  } catch (e) {
+    // ignore
   }
 
-  // fallback: if supabase, try find by storage_path or filename
-  if (supabase) {
+  return null;
+}
+
+/* --------- Helper: load the uploaded file bytes for a doc (storage / public URL) --------- */
+async function downloadDocumentFile(doc) {
+  // local_filename: entries stored in uploads/ before lib/storage (the local driver's directory)
+  const key = doc.storage_path || doc.local_filename;
+  if (key) {
     try {
-      // try storage_path
-      let q = await supabase.from('documents').select('*').eq('storage_path', idParam).limit(1).single();
-      if (!q.error && q.data) return normalizeRowToDoc(q.data);
-      // try filename
-      q = await supabase.from('documents').select('*').eq('filename', idParam).limit(1).single();
-      if (!q.error && q.data) return normalizeRowToDoc(q.data);
+      return await storage.get(key);
     } catch (e) {
-      // ignore
+      throw new Error(`Storage download failed: ${e.message || e}`);
     }
   }
-
-  return null;
+  if (doc.path && typeof doc.path === 'string' && doc.path.startsWith('http')) {
+    const r = await fetch(doc.path);
+    if (!r.ok) throw new Error(`Download failed with status ${r.status}`);
+    return Buffer.from(await r.arrayBuffer());
+  }
+  throw new Error('No file available for document');
 }
 
-/* ----------------- Routes ----------------- */
+/* --------- Helper: set documents.status in DB (best-effort) --------- */
+// Transitions are validated against lib/documentStatus; illegal ones are logged and skipped.
+async function setDocStatus(doc, status, extra = {}) {
+  if (!doc.supabase_row?.id) return false;
+  try {
+    const r = await transitionDocumentStatus(db, doc.supabase_row.id, status, extra);
+    if (!r.ok) {
+      console.warn(`Could not set document status=${status} in DB:`, r.error.message);
+      return false;
+    }
+  } catch (e) {
+    console.warn(`Could not set document status=${status} in DB:`, e);
+    return false;
+  }
+  return true;
+}
 
 /**
- * GET /api/admin/documents
- * If supabase is configured, read from documents table and return normalized rows with chunk_count.
- * Otherwise return in-memory docs (useful for dev).
+ * Local (in-process) processing: extract text, chunk and write rows to `chunks`.
+ * Final status is 'chunked' (text is searchable by keyword retrieval; embeddings still come from the indexer).
  */
-router.get('/documents', async (req, res) => {
-  if (!supabase) {
-    const fallback = docs.map(d => Object.assign({}, d, { chunk_count: d.chunk_count || 0, status: d.status || 'uploaded' }));
-    return res.json({ status: 'ok', data: fallback });
+async function processDocumentLocally(doc, onProgress) {
+  if (!doc.supabase_row?.id) {
+    const err = new Error('Local ingestion needs a stored document row (chunks reference documents.id)');
+    err.status = 500;
+    err.retryable = false;
+    throw err;
   }
+  const buffer = await downloadDocumentFile(doc);
+  const result = await ingestDocument({
+    db,
+    documentId: doc.supabase_row.id,
+    version: currentVersionOf(doc.supabase_row),
+    buffer,
+    filename: doc.filename || doc.storage_path,
+    onProgress
+  });
+  invalidateKeywordIndex();
+  answerCache.invalidateDocument(doc.supabase_row.id);
+  return result;
+}
+
+/* ----------------- Routes ----------------- */
 
+/**
+ * GET /api/admin/documents[?course_id=...&tag=...]
+ * Read from documents table and return normalized rows with chunk_count.
+ */
+router.get('/documents', requirePermission('documents:read'), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    let query = db
       .from('documents')
-      .select('id, title, filename, storage_path, path, file_size, pages, status, uploaded_by, created_at')
-      .order('created_at', { ascending: false });
+      .select('id, title, filename, storage_path, path, file_size, pages, status, tags, uploaded_by, created_at');
+
+    if (req.query.tag) query = query.contains('tags', [String(req.query.tag)]);
+
+    // ?course_id=... limits the list to one course's documents
+    if (req.query.course_id) {
+      const { data: links, error: linkErr } = await db
+        .from('course_documents')
+        .select('document_id')
+        .eq('course_id', req.query.course_id);
+      if (linkErr) return res.status(500).json({ status: 'error', message: linkErr.message || String(linkErr) });
+      const ids = (links || []).map(l => l.document_id);
+      if (!ids.length) return res.json({ status: 'ok', data: [] });
+      query = query.in('id', ids);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
 
     if (error) {
-      console.warn('Supabase select documents error:', error);
-      const fallback = docs.map(d => Object.assign({}, d, { chunk_count: d.chunk_count || 0, status: d.status || 'uploaded' }));
-      return res.json({ status: 'ok', data: fallback });
+      console.warn('select documents error:', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
     }
 
     const normalized = (data || []).map(row => normalizeRowToDoc(row));
@@ -184,7 +274,7 @@ router.get('/documents', async (req, res) => {
         const docIdKey = doc.supabase_row?.id || doc.storage_path || doc.filename || doc.id;
 
         // use head:true + count:'exact' to only fetch count
-        const q = await supabase
+        const q = await db
           .from('chunks')
           .select('id', { head: true, count: 'exact' })
           .eq('document_id', docIdKey);
@@ -200,10 +290,9 @@ router.get('/documents', async (req, res) => {
         doc.chunk_count = 0;
       }
 
-      if (!doc.path && doc.storage_path && SUPABASE_PUBLIC) {
+      if (!doc.path && doc.storage_path) {
         try {
-          const pub = supabase.storage.from(SUPABASE_BUCKET).getPublicUrl(doc.storage_path);
-          if (pub && pub.data && pub.data.publicUrl) doc.path = pub.data.publicUrl;
+          doc.path = storage.publicUrl(doc.storage_path) || null;
         } catch (e) {
           // ignore
         }
@@ -215,35 +304,109 @@ router.get('/documents', async (req, res) => {
     return res.json({ status: 'ok', data: normalized });
   } catch (err) {
     console.error('GET /api/admin/documents exception', err && (err.stack || err.message || err));
-    const fallback = docs.map(d => Object.assign({}, d, { chunk_count: d.chunk_count || 0, status: d.status || 'uploaded' }));
-    return res.json({ status: 'ok', data: fallback });
+    return res.status(500).json({ status: 'error', message: err.message || String(err) });
   }
 });
 
 /**
  * GET /api/admin/documents/:id
  */
-router.get('/documents/:id', async (req, res) => {
-  const idParam = req.params.id;
-  // numeric in-memory
-  if (!isUuid(idParam)) {
-    const n = Number(idParam);
-    if (!Number.isNaN(n)) {
-      const mem = docs.find(d => typeof d.id === 'number' && d.id === n);
-      if (mem) return res.json({ status: 'ok', data: mem });
-    }
-  }
-
-  const doc = await resolveDocByParam(idParam);
+router.get('/documents/:id', requirePermission('documents:read'), async (req, res) => {
+  const doc = await resolveDocByParam(req.params.id);
   if (!doc) return res.status(404).json({ status: 'error', message: 'Not found' });
   return res.json({ status: 'ok', data: doc });
 });
 
 /**
- * POST /api/admin/documents
- * Upload and optionally insert metadata to Supabase
+ * createDocument({ file, title, uploadedBy, fileSize, pages, tags, force })
+ * Stores the file (if any), inserts the documents row and version 1.
+ * Returns { doc } or { existing } when a document with the same content exists (and force is not set).
+ * Storage / insert problems don't throw: they end up in doc.supabase_error (the upload routes report them).
  */
-router.post('/documents', upload.single('file'), async (req, res) => {
+async function createDocument({ file, title, uploadedBy, fileSize, pages, tags = [], force = false }) {
+  const hash = file ? await uploadContentHash(file) : null;
+  if (hash && !force) {
+    const existing = await findDuplicateDocument(hash);
+    if (existing) return { existing };
+  }
+
+  const newDocBase = {
+    title: title || (file && file.originalname) || 'untitled',
+    uploadedBy,
+    created_at: new Date().toISOString(),
+    filename: file ? file.originalname : null,
+    storage_path: null,
+    path: null,
+    supabase_row: null,
+    supabase_error: null,
+    status: 'uploaded',
+    current_version: 1,
+    content_hash: hash,
+    tags,
+    chunk_count: 0
+  };
+
+  try {
+    if (file) {
+      const stored = await storeUploadedFile(file);
+      if (stored.error) {
+        console.error('Storage upload error:', stored.error && (stored.error.message || stored.error));
+        newDocBase.supabase_error = stored.error.message || JSON.stringify(stored.error);
+      } else {
+        Object.assign(newDocBase, { storage_path: stored.storage_path, path: stored.path });
+      }
+    }
+
+    // title-only documents get a row too; a file that could not be stored does not
+    if (!newDocBase.supabase_error) {
+      // Build insert object
+      const insertObj = {
+        title: newDocBase.title,
+        filename: newDocBase.filename,
+        storage_path: newDocBase.storage_path,
+        file_size: fileSize || (file && file.size) || null,
+        pages: pages || null,
+        content_hash: hash,
+        status: 'uploaded',
+        created_at: new Date().toISOString()
+      };
+
+      insertObj.uploaded_by = isUuid(uploadedBy) ? uploadedBy : null;
+
+      if (SUPABASE_INCLUDE_PATH && newDocBase.path) insertObj.path = newDocBase.path;
+      if (tags.length) insertObj.tags = tags;
+
+      const { inserted, error } = await insertDocumentRow(insertObj);
+      if (error) {
+        console.error('documents insert error:', error && (error.message || error));
+        newDocBase.supabase_error = error.message || String(error);
+      } else if (inserted) {
+        newDocBase.supabase_row = inserted;
+        // version 1 gets its document_versions row right away
+        try {
+          await ensureCurrentVersion(db, inserted);
+        } catch (e) {
+          console.warn('Could not record document version 1:', e && (e.message || e));
+        }
+      }
+    }
+  } catch (e) {
+    console.error('Exception during storage/upload:', e && (e.stack || e.message || e));
+    newDocBase.supabase_error = (newDocBase.supabase_error ? newDocBase.supabase_error + '; ' : '') + (e.message || String(e));
+  }
+
+  if (!newDocBase.supabase_row) return { doc: Object.assign({ id: null }, newDocBase) };
+  return { doc: Object.assign(normalizeRowToDoc(newDocBase.supabase_row), { path: newDocBase.path }) };
+}
+
+/**
+ * POST /api/admin/documents[?force=true]
+ * Upload the file and insert the documents row.
+ * uploaded_by is always the authenticated user (req.currentUser), never taken from the body.
+ * A file whose content hash matches an existing document is rejected with 409 (data.existing)
+ * unless force=true.
+ */
+router.post('/documents', requirePermission('documents:upload'), upload.single('file'), validateUpload, async (req, res) => {
   try {
     const file = req.file || null;
     const body = req.body || {};
@@ -252,150 +415,114 @@ router.post('/documents', upload.single('file'), async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'No file uploaded and no title provided' });
     }
 
-    const safeOriginal = file ? sanitizeFilename(file.originalname) : null;
-    const storageFilename = file ? `${Date.now()}-${safeOriginal}` : null;
-
-    const newDocBase = {
-      title: body.title || (file && file.originalname) || 'untitled',
-      uploadedBy: body.uploadedBy || body.uploaded_by || 'admin',
-      created_at: new Date().toISOString(),
-      filename: file ? file.originalname : null,
-      storage_path: null,
-      path: null,
-      local_filename: null,
-      supabase_row: null,
-      supabase_error: null,
-      status: 'uploaded',
-      chunk_count: 0
-    };
-
-    if (supabase && file) {
-      const storagePath = storageFilename;
+    const { doc, existing } = await createDocument({
+      file,
+      title: body.title,
+      uploadedBy: req.currentUser.id,
+      fileSize: body.file_size ? Number(body.file_size) : null,
+      pages: body.pages ? Number(body.pages) : null,
+      force: wantsForce(req)
+    });
+    if (existing) return duplicateResponse(res, existing);
+
+    return res.status(201).json({ status: 'ok', data: doc });
+  } catch (err) {
+    console.error('POST /documents error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && (err.message || 'Internal server error') });
+  }
+});
+
+const BULK_MAX_UPLOADS = Number(process.env.BULK_MAX_UPLOADS || 50);
+
+/**
+ * POST /api/admin/documents/bulk[?process=true&force=true&course_id=...]   (multipart, field "files", repeatable)
+ * Each upload is a material file or a ZIP archive; archives are unpacked and every supported file becomes
+ * a document, tagged with its folder names. process=true queues processing for each new document;
+ * course_id adds them to that course. Duplicates (same content hash) are reported, not stored, unless force=true.
+ * Responds with a per-file report: { summary, files: [{ name, status, document_id, ... }] }
+ * where status is 'created' | 'duplicate' | 'failed' | 'skipped'.
+ */
+router.post('/documents/bulk', requirePermission('documents:upload'), upload.array('files', BULK_MAX_UPLOADS), async (req, res) => {
+  try {
+    const uploads = req.files || [];
+    if (!uploads.length) return res.status(400).json({ status: 'error', message: 'No files uploaded (use the "files" field)' });
+
+    const courseId = req.query.course_id || (req.body && req.body.course_id) || null;
+    if (courseId) {
+      const { data: course, error } = await db.from('courses').select('id').eq('id', courseId).maybeSingle();
+      if (error) return res.status(500).json({ status: 'error', message: error.message || String(error) });
+      if (!course) return res.status(404).json({ status: 'error', message: 'Course not found' });
+    }
+    const processAfter = String(req.query.process || (req.body && req.body.process) || '').toLowerCase() === 'true';
+    const force = wantsForce(req);
+
+    const files = [];
+    for (const item of expandUploads(uploads)) {
+      if (item.skipped) {
+        files.push({ name: item.name, status: 'skipped', reason: item.skipped });
+        continue;
+      }
+      if (item.error) {
+        files.push({ name: item.name, status: 'failed', error: item.error });
+        continue;
+      }
+
+      const report = { name: item.name, tags: item.tags };
       try {
-        const { error: uploadError } = await supabase
-          .storage
-          .from(SUPABASE_BUCKET)
-          .upload(storagePath, file.buffer, {
-            contentType: file.mimetype,
-            upsert: false
-          });
-
-        if (uploadError) {
-          console.error('Supabase storage.upload error:', uploadError);
-          newDocBase.supabase_error = uploadError.message || JSON.stringify(uploadError);
-        } else {
-          newDocBase.storage_path = storagePath;
-
-          // URL generation
-          try {
-            if (SUPABASE_PUBLIC) {
-              const { data: publicData } = supabase.storage.from(SUPABASE_BUCKET).getPublicUrl(storagePath);
-              newDocBase.path = publicData?.publicUrl || null;
-            } else {
-              const { data: signedData, error: signedErr } = await supabase.storage.from(SUPABASE_BUCKET).createSignedUrl(storagePath, 60 * 60);
-              if (signedErr) {
-                console.warn('createSignedUrl error:', signedErr);
-                newDocBase.path = null;
-              } else newDocBase.path = signedData?.signedUrl || null;
-            }
-          } catch (e) {
-            console.warn('URL generation failed:', e && (e.message || e));
-            newDocBase.path = null;
-          }
-
-          // Build insert object
-          const insertObj = {
-            title: newDocBase.title,
-            filename: newDocBase.filename,
-            storage_path: newDocBase.storage_path,
-            file_size: body.file_size ? Number(body.file_size) : (file ? file.size : null),
-            pages: body.pages ? Number(body.pages) : null,
-            status: 'uploaded',
-            created_at: new Date().toISOString()
-          };
-
-          const maybeUploader = body.uploaded_by || body.uploadedBy || (isUuid(newDocBase.uploadedBy) ? newDocBase.uploadedBy : null);
-          if (isUuid(maybeUploader)) insertObj.uploaded_by = maybeUploader;
-          else insertObj.uploaded_by = null;
-
-          if (SUPABASE_INCLUDE_PATH && newDocBase.path) insertObj.path = newDocBase.path;
-
-          const { inserted, error } = await insertMetadataToSupabase(insertObj);
-          if (error) {
-            console.error('Supabase insert error:', error && (error.message || error));
-            newDocBase.supabase_error = (newDocBase.supabase_error ? newDocBase.supabase_error + '; ' : '') + (error.message || String(error));
-          } else if (inserted) {
-            newDocBase.supabase_row = inserted;
-            // if inserted has id, we might want to fetch initial chunk_count (0)
-            newDocBase.chunk_count = 0;
-          }
+        const file = { originalname: item.filename, path: item.path, buffer: item.buffer, size: item.size, mimetype: item.detected.mime, detected: item.detected };
+        const { doc, existing } = await createDocument({ file, uploadedBy: req.currentUser.id, tags: item.tags, force });
+        if (existing) {
+          files.push(Object.assign(report, { status: 'duplicate', existing }));
+          continue;
+        }
+        if (doc.supabase_error) {
+          files.push(Object.assign(report, { status: 'failed', document_id: doc.id, error: doc.supabase_error }));
+          continue;
+        }
+        Object.assign(report, { status: 'created', document_id: doc.id });
+
+        if (courseId) {
+          const { error } = await db
+            .from('course_documents')
+            .upsert({ course_id: courseId, document_id: doc.id }, { onConflict: 'course_id,document_id' });
+          if (error) report.course_error = error.message || String(error);
+        }
+        if (processAfter) {
+          const blocked = processingBlocked(doc);
+          if (blocked) report.process_error = blocked.body.message;
+          else report.job_id = (await enqueueProcessing(doc, req.currentUser.id)).id;
         }
       } catch (e) {
-        console.error('Exception during supabase storage/upload:', e && (e.stack || e.message || e));
-        newDocBase.supabase_error = (newDocBase.supabase_error ? newDocBase.supabase_error + '; ' : '') + (e.message || String(e));
+        console.error('bulk import item error', item.name, e && (e.stack || e.message || e));
+        Object.assign(report, { status: 'failed', error: e.message || String(e) });
       }
-    } else if (file) {
-      const diskFilename = storageFilename || `${Date.now()}-${safeOriginal}`;
-      const diskPath = path.join(uploadsDir, diskFilename);
-      fs.writeFileSync(diskPath, file.buffer);
-      newDocBase.local_filename = diskFilename;
-      newDocBase.storage_path = null;
-      newDocBase.path = `/uploads/${diskFilename}`;
-    }
-
-    // Push into in-memory docs (id numeric) OR if supabase_row exists prefer UUID id
-    const memEntry = Object.assign({}, newDocBase);
-    if (memEntry.supabase_row && memEntry.supabase_row.id) {
-      memEntry.id = memEntry.supabase_row.id; // use uuid
-    } else {
-      memEntry.id = nextId();
+      files.push(report);
     }
-    docs.push(memEntry);
 
-    return res.status(201).json({ status: 'ok', data: memEntry });
+    const summary = { created: 0, duplicate: 0, failed: 0, skipped: 0 };
+    for (const f of files) summary[f.status]++;
+    return res.status(summary.created ? 201 : 200).json({ status: 'ok', data: { summary, files } });
   } catch (err) {
-    console.error('POST /documents error', err && (err.stack || err.message || err));
-    return res.status(500).json({ status: 'error', message: err && (err.message || 'Internal server error') });
+    console.error('POST /documents/bulk error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
   }
 });
 
 /**
  * Compatibility: POST /api/admin/documents/upload
+ * Stores the file only (no documents row); responds { filename: storage key, path: url }.
  */
-router.post('/documents/upload', upload.single('file'), async (req, res) => {
+router.post('/documents/upload', requirePermission('documents:upload'), upload.single('file'), validateUpload, async (req, res) => {
   try {
     const file = req.file;
     if (!file) return res.status(400).json({ status: 'error', message: 'No file uploaded' });
-    const safeOriginal = sanitizeFilename(file.originalname);
-    const storagePath = `${Date.now()}-${safeOriginal}`;
 
-    let publicUrl = null;
-    try {
-      if (supabase) {
-        const { error } = await supabase.storage.from(SUPABASE_BUCKET).upload(storagePath, file.buffer, {
-          contentType: file.mimetype,
-          upsert: false
-        });
-        if (!error) {
-          if (SUPABASE_PUBLIC) {
-            const { data: pub } = supabase.storage.from(SUPABASE_BUCKET).getPublicUrl(storagePath);
-            publicUrl = pub?.publicUrl || null;
-          } else {
-            const { data: signed } = await supabase.storage.from(SUPABASE_BUCKET).createSignedUrl(storagePath, 60 * 60);
-            publicUrl = signed?.signedUrl || null;
-          }
-        } else {
-          console.error('Supabase upload (compat) error:', error);
-        }
-      } else {
-        fs.writeFileSync(path.join(uploadsDir, storagePath), file.buffer);
-        publicUrl = `/uploads/${storagePath}`;
-      }
-    } catch (e) {
-      console.error('compat upload exception:', e && (e.stack || e.message || e));
+    const stored = await storeUploadedFile(file);
+    if (stored.error) {
+      console.error('Storage upload (compat) error:', stored.error && (stored.error.message || stored.error));
+      return res.status(502).json({ status: 'error', message: stored.error.message || 'Storage upload failed' });
     }
-
-    return res.json({ status: 'ok', filename: storagePath, path: publicUrl });
+    return res.json({ status: 'ok', filename: stored.storage_path, path: stored.path });
   } catch (e) {
     console.error('documents/upload exception', e && (e.stack || e.message || e));
     return res.status(500).json({ status: 'error', message: e && (e.message || 'Upload failed') });
@@ -403,104 +530,113 @@ router.post('/documents/upload', upload.single('file'), async (req, res) => {
 });
 
 /**
- * GET /api/admin/documents/:id/view
- * Redirect to public url / signed url / local uploads
+ * GET /api/admin/documents/:id/view?page=N&version=V
+ * Redirect to public url / signed url / local uploads.
+ * Open to students too: chat citations link here. ?page=N is forwarded as a #page=N fragment for PDF viewers;
+ * ?version=V opens an earlier file of the document (citations of older answers carry it).
+ * Documents of courses the caller isn't enrolled in are not found for students (same rule as chat
+ * retrieval, lib/courses).
  */
-router.get('/documents/:id/view', async (req, res) => {
+router.get('/documents/:id/view', requirePermission('documents:view'), async (req, res) => {
   const idParam = req.params.id;
-  const doc = await resolveDocByParam(idParam);
+  let doc = await resolveDocByParam(idParam);
   if (!doc) return res.status(404).send('Not found');
 
-  // if we have a public http path, redirect there
-  if (doc.path && typeof doc.path === 'string' && doc.path.startsWith('http')) return res.redirect(doc.path);
+  if (!hasPermission(req.currentUser.role, 'courses:manage')) {
+    try {
+      const { scope } = await resolveRetrievalScope({ userId: req.currentUser.id });
+      if (!documentInScope(scope, doc.id)) return res.status(404).send('Not found');
+    } catch (e) {
+      console.error('view scope lookup error', e && (e.stack || e.message || e));
+      return res.status(500).send('Server error');
+    }
+  }
 
-  // if stored in supabase and we have storage_path, generate public or signed url
-  if (supabase && doc.storage_path) {
+  const version = parseInt(req.query.version, 10);
+  if (Number.isFinite(version) && doc.supabase_row?.id && version !== doc.current_version) {
+    let v = null;
     try {
-      if (SUPABASE_PUBLIC) {
-        const { data } = supabase.storage.from(SUPABASE_BUCKET).getPublicUrl(doc.storage_path);
-        if (data?.publicUrl) return res.redirect(data.publicUrl);
-      } else {
-        const { data: signed } = await supabase.storage.from(SUPABASE_BUCKET).createSignedUrl(doc.storage_path, 60 * 60);
-        if (signed?.signedUrl) return res.redirect(signed.signedUrl);
-      }
+      v = await getVersion(db, doc.supabase_row.id, version);
     } catch (e) {
-      console.warn('view redirect supabase error', e && (e.message || e));
+      console.warn('view version lookup error', e && (e.message || e));
     }
+    if (!v) return res.status(404).send('Version not found');
+    doc = { path: v.path, storage_path: v.storage_path, local_filename: null };
   }
 
-  // local fallback (dev)
-  if (doc.local_filename) {
-    const localPath = `/uploads/${doc.local_filename}`;
-    return res.redirect(localPath);
+  const page = parseInt(req.query.page, 10);
+  const fragment = Number.isFinite(page) && page > 0 ? `#page=${page}` : '';
+
+  // a fresh public / signed url from storage (a stored signed path may have expired)
+  const key = doc.storage_path || doc.local_filename;
+  if (key) {
+    const url = await storageUrl(key);
+    if (url) return res.redirect(url + fragment);
   }
 
+  // otherwise a public http path recorded with the document
+  if (doc.path && typeof doc.path === 'string' && doc.path.startsWith('http')) return res.redirect(doc.path + fragment);
+
   return res.status(404).send('No file available');
 });
 
 /**
  * DELETE /api/admin/documents/:id
- * Remove storage object, DB row, chunks, and in-memory doc
+ * Remove storage object, DB row and chunks
  */
-router.delete('/documents/:id', async (req, res) => {
+router.delete('/documents/:id', requirePermission('documents:delete'), async (req, res) => {
   try {
-    const idParam = req.params.id;
-    // find mem index by numeric id or uuid
-    let idx = docs.findIndex(d => (typeof d.id === 'number' && String(d.id) === String(idParam)) || String(d.id) === String(idParam));
-    let removed = null;
-    if (idx !== -1) {
-      removed = docs.splice(idx, 1)[0];
-    } else {
-      // not in memory: try resolve via supabase
-      const doc = await resolveDocByParam(idParam);
-      if (doc) removed = doc;
-    }
-
+    const removed = await resolveDocByParam(req.params.id);
     if (!removed) return res.status(404).json({ status: 'error', message: 'Not found' });
 
-    // delete storage file if present
-    if (supabase && removed && removed.storage_path) {
+    // delete storage files if present (the current one and every earlier version)
+    const storagePaths = new Set([removed.storage_path, removed.local_filename].filter(Boolean));
+    if (removed.supabase_row?.id) {
       try {
-        const { error } = await supabase.storage.from(SUPABASE_BUCKET).remove([removed.storage_path]);
-        if (error) console.warn('Failed to remove storage object:', error);
+        for (const v of await listVersions(db, removed.supabase_row.id)) {
+          if (v.storage_path) storagePaths.add(v.storage_path);
+        }
       } catch (e) {
-        console.warn('Exception removing storage object:', e && (e.message || e));
+        console.warn('Could not list document versions:', e && (e.message || e));
       }
     }
-
-    // delete DB row by storage_path or filename or id
-    if (supabase) {
+    if (storagePaths.size) {
       try {
-        if (removed.storage_path) {
-          await supabase.from('documents').delete().eq('storage_path', removed.storage_path).limit(1);
-        } else if (removed.filename) {
-          await supabase.from('documents').delete().eq('filename', removed.filename).limit(1);
-        } else if (removed.supabase_row?.id) {
-          await supabase.from('documents').delete().eq('id', removed.supabase_row.id).limit(1);
-        } else if (isUuid(removed.id)) {
-          await supabase.from('documents').delete().eq('id', removed.id).limit(1);
-        }
+        await storage.remove(Array.from(storagePaths));
       } catch (e) {
-        console.warn('Supabase delete row error', e && (e.message || e));
+        console.warn('Failed to remove storage object:', e && (e.message || e));
       }
+    }
 
-      // delete chunks by document_id (try supabase_row.id then storage_path then filename)
-      try {
-        const docIdKey = removed.supabase_row?.id || removed.storage_path || removed.filename || String(removed.id);
-        await supabase.from('chunks').delete().eq('document_id', docIdKey);
-      } catch (e) {
-        console.warn('Supabase delete chunks error', e && (e.message || e));
+    // delete DB row by storage_path or filename or id
+    try {
+      // by id first: storage_path / filename change when a new version is uploaded
+      if (removed.supabase_row?.id) {
+        await db.from('documents').delete().eq('id', removed.supabase_row.id).limit(1);
+      } else if (removed.storage_path) {
+        await db.from('documents').delete().eq('storage_path', removed.storage_path).limit(1);
+      } else if (removed.filename) {
+        await db.from('documents').delete().eq('filename', removed.filename).limit(1);
+      } else if (isUuid(removed.id)) {
+        await db.from('documents').delete().eq('id', removed.id).limit(1);
       }
+    } catch (e) {
+      console.warn('delete document row error', e && (e.message || e));
     }
 
-    // delete local file if present
-    const maybeLocal = removed.local_filename || removed.storage_path;
-    if (maybeLocal) {
-      try {
-        const p = path.join(uploadsDir, maybeLocal);
-        if (fs.existsSync(p)) fs.unlinkSync(p);
-      } catch (e) {}
+    // delete chunks by document_id (try supabase_row.id then storage_path then filename)
+    try {
+      const docIdKey = removed.supabase_row?.id || removed.storage_path || removed.filename || String(removed.id);
+      await db.from('chunks').delete().eq('document_id', docIdKey);
+    } catch (e) {
+      console.warn('delete chunks error', e && (e.message || e));
     }
+    invalidateKeywordIndex();
+    answerCache.invalidateDocument(docKey(removed));
+
+    // stop any processing still queued/running for it
+    const activeJob = jobQueue.findActive('document.process', docKey(removed));
+    if (activeJob) await jobQueue.cancel(activeJob.id);
 
     return res.json({ status: 'ok', message: 'deleted', data: removed });
   } catch (err) {
@@ -511,19 +647,17 @@ router.delete('/documents/:id', async (req, res) => {
 
 /**
  * GET /api/admin/documents/:id/chunks
- * Query Supabase chunks table by document id (prefers supabase_row.id)
+ * Query the chunks table by document id (prefers supabase_row.id)
  */
-router.get('/documents/:id/chunks', async (req, res) => {
+router.get('/documents/:id/chunks', requirePermission('documents:read'), async (req, res) => {
   try {
     const idParam = req.params.id;
     const doc = await resolveDocByParam(idParam);
     if (!doc) return res.status(404).json({ status: 'error', message: 'Not found' });
 
-    if (!supabase) return res.status(500).json({ status: 'error', message: 'Supabase not configured' });
-
     const docIdKey = doc.supabase_row?.id || doc.storage_path || doc.filename || String(doc.id);
 
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('chunks')
       // schema: id, document_id, chunk_index, text, tokens, embedding, created_at
       .select('id,document_id,chunk_index,text,tokens,created_at')
@@ -553,89 +687,368 @@ router.get('/documents/:id/chunks', async (req, res) => {
   }
 });
 
+/* ----------------- Document processing jobs ----------------- */
+
+const RAG_SERVICE_TIMEOUT_MS = Number(process.env.RAG_SERVICE_TIMEOUT_MS || 120000);
+
+function docKey(doc) {
+  // prefer DB uuid if available (doc.supabase_row.id) else storage_path/filename/string id
+  return doc.supabase_row?.id || doc.storage_path || doc.filename || String(doc.id);
+}
+
+/**
+ * External processing: hand the document to the python RAG service.
+ * Success means the service accepted it. With INDEXER_CALLBACK_SECRET set, the indexer reports
+ * progress / completion through the signed callback (routes/indexerCallback.js) using job_id.
+ */
+async function submitToRagService(doc, signal, jobId) {
+  const RAG_SERVICE_URL = process.env.RAG_SERVICE_URL;
+  if (!RAG_SERVICE_URL) {
+    const err = new Error('RAG_SERVICE_URL not configured on backend');
+    err.retryable = false;
+    throw err;
+  }
+
+  const payload = {
+    document_id: docKey(doc),
+    document_version: doc.supabase_row ? currentVersionOf(doc.supabase_row) : null,
+    public_url: doc.path || null,
+    storage_path: doc.storage_path || null,
+    filename: doc.filename || null,
+    job_id: jobId || null,
+    callback_url: process.env.INDEXER_CALLBACK_URL || null
+  };
+
+  const timeout = AbortSignal.timeout(RAG_SERVICE_TIMEOUT_MS);
+  return timeCall('rag_service', 'process', async () => {
+    const r = await fetch(RAG_SERVICE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.any ? AbortSignal.any([signal, timeout]) : timeout
+    });
+
+    const text = await r.text();
+    let j;
+    try { j = JSON.parse(text); } catch { j = { raw: text }; }
+
+    if (!r.ok) {
+      const err = new Error(`RAG service error (status ${r.status}): ${typeof j.raw === 'string' ? j.raw.slice(0, 300) : JSON.stringify(j).slice(0, 300)}`);
+      // 4xx means the request itself is wrong; retrying won't help
+      if (r.status >= 400 && r.status < 500) err.retryable = false;
+      throw err;
+    }
+    return j;
+  });
+}
+
+jobQueue.registerHandler('document.process', {
+  async run(job, ctx) {
+    const doc = await resolveDocByParam(job.payload.doc_ref);
+    if (!doc) {
+      const err = new Error('Document no longer exists');
+      err.retryable = false;
+      throw err;
+    }
+    await setDocStatus(doc, 'processing');
+
+    if (job.payload.mode === 'local') {
+      let result;
+      try {
+        result = await processDocumentLocally(doc, ctx.progress);
+      } catch (e) {
+        // unsupported type / no text: same outcome on every attempt
+        if (e.status && e.status < 500) e.retryable = false;
+        throw e;
+      }
+      if (ctx.signal.aborted) return null;
+      await setDocStatus(doc, 'chunked', result.pages ? { pages: result.pages } : {});
+      if (result.pages) {
+        await updateVersion(db, doc.supabase_row.id, currentVersionOf(doc.supabase_row), { pages: result.pages })
+          .catch(e => console.warn('Could not record version pages:', e.message));
+      }
+      return { mode: 'local', chunk_count: result.chunk_count, pages: result.pages, tokens: result.tokens };
+    }
+
+    ctx.progress(10, 'submitting');
+    const rag = await submitToRagService(doc, ctx.signal, job.id);
+
+    // indexer accepted the job: wait for its callback, which moves the document to 'embedded' / 'error'
+    if (process.env.INDEXER_CALLBACK_SECRET) {
+      ctx.progress(15, 'submitted');
+      return ctx.detach('indexing');
+    }
+
+    // no callback configured: all we know is that the indexer accepted it;
+    // chunks are (re)written by the indexer, so make the keyword fallback pick them up
+    invalidateKeywordIndex();
+    answerCache.invalidateDocument(docKey(doc));
+    ctx.progress(100, 'submitted');
+    return { mode: 'external', rag };
+  },
+  async onFailed(job) {
+    const doc = await resolveDocByParam(job.payload.doc_ref);
+    if (doc) await setDocStatus(doc, 'error');
+  },
+  async onCancelled(job) {
+    const doc = await resolveDocByParam(job.payload.doc_ref);
+    if (doc) await setDocStatus(doc, 'uploaded');
+  }
+});
+jobQueue.start();
+
+/**
+ * Reason the document can't be (re)processed right now, as { status, body } for the response; null when it can.
+ */
+function processingBlocked(doc) {
+  if (ingestionMode() === 'external' && !process.env.RAG_SERVICE_URL) {
+    return { status: 500, body: { status: 'error', message: 'RAG_SERVICE_URL not configured on backend' } };
+  }
+  const active = jobQueue.findActive('document.process', docKey(doc));
+  if (active) return { status: 409, body: { status: 'error', message: 'Document is already being processed', data: active } };
+  return null;
+}
+
+async function enqueueProcessing(doc, userId) {
+  const job = jobQueue.enqueue('document.process', { doc_ref: String(doc.id), mode: ingestionMode() }, { document_id: docKey(doc), created_by: userId });
+
+  // set status 'processing' asap (DB best-effort, for immediate UI feedback)
+  await setDocStatus(doc, 'processing');
+  // cached answers citing this document were built from the chunks that are about to be replaced
+  answerCache.invalidateDocument(docKey(doc));
+  return job;
+}
+
 /**
  * POST /api/admin/documents/:id/process
- * Trigger python RAG service to process (chunk & embed).
+ * Enqueues a 'document.process' job and returns 202 with the job (poll GET /jobs/:id for progress).
+ * INGESTION_MODE=external: the job triggers the python RAG service (chunk & embed).
+ * INGESTION_MODE=local: the job extracts + chunks in-process (see lib/ingestion).
  * Marks document as 'processing' in DB immediately so UI won't hang.
  */
-router.post('/documents/:id/process', async (req, res) => {
+router.post('/documents/:id/process', requirePermission('documents:process'), async (req, res) => {
   try {
     const idParam = req.params.id;
     const doc = await resolveDocByParam(idParam);
     if (!doc) return res.status(404).json({ status: 'error', message: 'Not found' });
 
-    // prefer DB uuid if available (doc.supabase_row.id) else storage_path/filename/string id
-    const document_id = doc.supabase_row?.id || doc.storage_path || doc.filename || String(doc.id);
+    const blocked = processingBlocked(doc);
+    if (blocked) return res.status(blocked.status).json(blocked.body);
 
-    // set status 'processing' asap in DB (best-effort)
-    if (supabase && doc.supabase_row?.id) {
-      try {
-        await supabase.from('documents').update({ status: 'processing' }).eq('id', doc.supabase_row.id);
-      } catch (e) {
-        console.warn('Could not set document status=processing in DB:', e);
+    const job = await enqueueProcessing(doc, req.currentUser.id);
+    return res.status(202).json({ status: 'ok', message: 'processing queued', data: job });
+  } catch (e) {
+    console.error('POST process error', e && (e.stack || e.message || e));
+    return res.status(500).json({ status: 'error', message: e && e.message });
+  }
+});
+
+/* ----------------- Document versions ----------------- */
+
+/**
+ * PUT /api/admin/documents/:id/file[?force=true]   (multipart, field "file")
+ * Uploads a new version of the document's file under the same id. Earlier versions keep their
+ * storage objects and metadata (GET /documents/:id/versions); processing is re-run for the new file.
+ * Responds 202 with { document, version, job }; 409 when the file is identical to the current version
+ * or to another document (unless force=true).
+ */
+router.put('/documents/:id/file', requirePermission('documents:upload'), upload.single('file'), validateUpload, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ status: 'error', message: 'No file uploaded' });
+
+    const doc = await resolveDocByParam(req.params.id);
+    if (!doc || !doc.supabase_row?.id) return res.status(404).json({ status: 'error', message: 'Not found' });
+
+    const blocked = processingBlocked(doc);
+    if (blocked) return res.status(blocked.status).json(blocked.body);
+
+    const hash = await uploadContentHash(req.file);
+    if (!wantsForce(req)) {
+      if (hash === doc.content_hash) {
+        return res.status(409).json({ status: 'error', code: 'duplicate_content', message: 'File is identical to the current version' });
       }
-    }
-    // also update in-memory docs entry for immediate UI feedback
-    const memIndex = docs.findIndex(d => String(d.id) === String(doc.id) || String(d.storage_path) === String(doc.storage_path));
-    if (memIndex !== -1) {
-      docs[memIndex].status = 'processing';
+      const existing = await findDuplicateDocument(hash, { excludeId: doc.supabase_row.id });
+      if (existing) return duplicateResponse(res, existing);
     }
 
-    const payload = {
-      document_id,
-      public_url: doc.path || null,
-      storage_path: doc.storage_path || null,
-      filename: doc.filename || null
-    };
-
-    const RAG_SERVICE_URL = process.env.RAG_SERVICE_URL;
-    if (!RAG_SERVICE_URL) {
-      // mark error if no RAG configured
-      if (supabase && doc.supabase_row?.id) {
-        try { await supabase.from('documents').update({ status: 'error' }).eq('id', doc.supabase_row.id); } catch(e){}
-      }
-      if (memIndex !== -1) docs[memIndex].status = 'error';
-      return res.status(500).json({ status: 'error', message: 'RAG_SERVICE_URL not configured on backend' });
+    const stored = await storeUploadedFile(req.file);
+    if (stored.error) {
+      console.error('Storage upload error:', stored.error && (stored.error.message || stored.error));
+      return res.status(502).json({ status: 'error', message: stored.error.message || 'Storage upload failed' });
     }
 
-    // fire the RAG worker (don't block UI longer than necessary) -> still wait for response to propagate errors
-    try {
-      const r = await fetch(RAG_SERVICE_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-
-      const text = await r.text();
-      let j;
-      try { j = JSON.parse(text); } catch { j = { raw: text }; }
-
-      if (!r.ok) {
-        // mark error
-        if (supabase && doc.supabase_row?.id) {
-          try { await supabase.from('documents').update({ status: 'error' }).eq('id', doc.supabase_row.id); } catch(e){}
-        }
-        if (memIndex !== -1) docs[memIndex].status = 'error';
-        return res.status(500).json({ status: 'error', message: 'RAG service error', detail: j });
-      }
+    const version = await addVersion(db, doc.supabase_row, {
+      filename: req.file.originalname,
+      storage_path: stored.storage_path,
+      path: stored.path,
+      file_size: req.file.size,
+      content_hash: hash
+    }, { uploadedBy: isUuid(req.currentUser.id) ? req.currentUser.id : null, includePath: SUPABASE_INCLUDE_PATH });
+
+    const updated = await resolveDocByParam(doc.supabase_row.id);
+    const job = await enqueueProcessing(updated, req.currentUser.id);
+    return res.status(202).json({ status: 'ok', message: 'new version uploaded, processing queued', data: { document: updated, version, job } });
+  } catch (err) {
+    console.error('PUT /documents/:id/file error', err && (err.stack || err.message || err));
+    return res.status(err.status || 500).json({ status: 'error', message: err && err.message });
+  }
+});
 
-      // success: indexer accepted job. Indexer itself should update documents.status -> 'embedded'
-      // We still return success here so frontend can poll DB for final status
-      return res.json({ status: 'ok', message: 'processing triggered', rag: j });
-    } catch (e) {
-      console.error('Failed to call RAG service', e && (e.stack || e.message || e));
-      // mark error
-      if (supabase && doc.supabase_row?.id) {
-        try { await supabase.from('documents').update({ status: 'error' }).eq('id', doc.supabase_row.id); } catch(e){}
-      }
-      if (memIndex !== -1) docs[memIndex].status = 'error';
-      return res.status(500).json({ status: 'error', message: 'Failed to contact RAG service', detail: e && e.message });
+/**
+ * GET /api/admin/documents/:id/versions
+ * Newest first; the version the document currently uses has current: true.
+ */
+router.get('/documents/:id/versions', requirePermission('documents:read'), async (req, res) => {
+  try {
+    const doc = await resolveDocByParam(req.params.id);
+    if (!doc || !doc.supabase_row?.id) return res.status(404).json({ status: 'error', message: 'Not found' });
+
+    await ensureCurrentVersion(db, doc.supabase_row);
+    const versions = await listVersions(db, doc.supabase_row.id);
+    const data = versions.map(v => Object.assign({}, v, { current: v.version === doc.current_version }));
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('GET /documents/:id/versions error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * POST /api/admin/documents/:id/versions/:version/rollback
+ * Makes an earlier version current again (no new version is created) and re-runs processing,
+ * so chunks match the restored file.
+ */
+router.post('/documents/:id/versions/:version/rollback', requirePermission('documents:upload'), async (req, res) => {
+  try {
+    const doc = await resolveDocByParam(req.params.id);
+    if (!doc || !doc.supabase_row?.id) return res.status(404).json({ status: 'error', message: 'Not found' });
+
+    const versionNumber = parseInt(req.params.version, 10);
+    const version = Number.isFinite(versionNumber) ? await getVersion(db, doc.supabase_row.id, versionNumber) : null;
+    if (!version) return res.status(404).json({ status: 'error', message: 'Version not found' });
+    if (version.version === doc.current_version) {
+      return res.status(409).json({ status: 'error', message: `Version ${version.version} is already current` });
     }
+
+    const blocked = processingBlocked(doc);
+    if (blocked) return res.status(blocked.status).json(blocked.body);
+
+    // keep the version being replaced, even for rows uploaded before versioning
+    await ensureCurrentVersion(db, doc.supabase_row);
+    await setCurrentVersion(db, doc.supabase_row.id, version, { includePath: SUPABASE_INCLUDE_PATH });
+
+    const updated = await resolveDocByParam(doc.supabase_row.id);
+    const job = await enqueueProcessing(updated, req.currentUser.id);
+    return res.status(202).json({ status: 'ok', message: `rolled back to version ${version.version}, processing queued`, data: { document: updated, version, job } });
+  } catch (err) {
+    console.error('POST /documents/:id/versions/:version/rollback error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/* ----------------- Maintenance ----------------- */
+
+/**
+ * POST /api/admin/maintenance/content-hashes?limit=50&offset=0
+ * Backfills documents.content_hash for rows uploaded before hashing existed (downloads each file).
+ * Works in batches: repeat with offset=next_offset until remaining reaches 0 (or only failures remain).
+ * Also reports hashes that turned out to be shared by several documents (existing duplicates).
+ */
+router.post('/maintenance/content-hashes', requirePermission('documents:maintain'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const data = await backfillContentHashes(db, {
+      limit,
+      offset,
+      download: row => downloadDocumentFile(normalizeRowToDoc(row))
+    });
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('POST /maintenance/content-hashes error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+function parseJobLimit(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 500) : 100;
+}
+
+/**
+ * GET /api/admin/jobs?status=&type=&limit=
+ * Newest first; each job carries status, progress (0-100), stage, attempts and the last error.
+ */
+router.get('/jobs', requirePermission('jobs:read'), (req, res) => {
+  const data = jobQueue.list({
+    status: req.query.status || undefined,
+    type: req.query.type || undefined,
+    limit: parseJobLimit(req.query.limit)
+  });
+  return res.json({ status: 'ok', data });
+});
+
+/**
+ * GET /api/admin/jobs/:jobId
+ */
+router.get('/jobs/:jobId', requirePermission('jobs:read'), (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job) return res.status(404).json({ status: 'error', message: 'Job not found' });
+  return res.json({ status: 'ok', data: job });
+});
+
+/**
+ * GET /api/admin/documents/:id/jobs
+ * Processing history of one document (newest first).
+ */
+router.get('/documents/:id/jobs', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const doc = await resolveDocByParam(req.params.id);
+    if (!doc) return res.status(404).json({ status: 'error', message: 'Not found' });
+    const data = jobQueue.list({ document_id: docKey(doc), limit: parseJobLimit(req.query.limit) });
+    return res.json({ status: 'ok', data });
   } catch (e) {
-    console.error('POST process error', e && (e.stack || e.message || e));
+    console.error('GET document jobs error', e && (e.stack || e.message || e));
     return res.status(500).json({ status: 'error', message: e && e.message });
   }
 });
 
+/**
+ * POST /api/admin/jobs/:jobId/cancel
+ * Cancels a queued or running job; the document goes back to 'uploaded'.
+ */
+router.post('/jobs/:jobId/cancel', requirePermission('documents:process'), async (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job) return res.status(404).json({ status: 'error', message: 'Job not found' });
+  if (job.status !== 'queued' && job.status !== 'running') {
+    return res.status(409).json({ status: 'error', message: `Job is already ${job.status}`, data: job });
+  }
+  const cancelled = await jobQueue.cancel(job.id);
+  return res.json({ status: 'ok', message: 'cancelled', data: cancelled });
+});
+
+/**
+ * POST /api/admin/jobs/:jobId/rerun
+ * Enqueues a fresh job with the same payload (only for finished jobs).
+ */
+router.post('/jobs/:jobId/rerun', requirePermission('documents:process'), async (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job) return res.status(404).json({ status: 'error', message: 'Job not found' });
+  if (job.status === 'queued' || job.status === 'running') {
+    return res.status(409).json({ status: 'error', message: 'Job is still active', data: job });
+  }
+  const active = job.document_id ? jobQueue.findActive(job.type, job.document_id) : null;
+  if (active) {
+    return res.status(409).json({ status: 'error', message: 'Document is already being processed', data: active });
+  }
+
+  const rerun = jobQueue.rerun(job.id, { created_by: req.currentUser.id });
+  if (job.type === 'document.process') {
+    const doc = await resolveDocByParam(job.payload.doc_ref);
+    if (doc) await setDocStatus(doc, 'processing');
+  }
+  return res.status(202).json({ status: 'ok', message: 'rerun queued', data: rerun });
+});
+
 
 module.exports = router;
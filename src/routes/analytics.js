@@ -0,0 +1,72 @@
+// src/routes/analytics.js
+// Admin dashboard analytics. Mounted at /api/admin/analytics (before the admin router).
+// All endpoints accept ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC, inclusive; default last 30 days).
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate, requirePermission } = require('../middleware/checkAdmin');
+const { parseRange, usageOverview, topSources, serviceStats } = require('../lib/analytics');
+const { answerCache } = require('../lib/answerCache');
+
+router.use(authenticate, requirePermission('analytics:read'));
+
+function parseLimit(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 100) : 10;
+}
+
+// wraps a handler: 400 for bad ranges, 500 otherwise
+function handle(label, fn) {
+  return async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      const data = await fn(req, range);
+      return res.json({ status: 'ok', data });
+    } catch (err) {
+      if (err && err.status === 400) return res.status(400).json({ status: 'error', message: err.message });
+      console.error(`GET /analytics${label} error`, err && (err.stack || err.message || err));
+      return res.status(500).json({ status: 'error', message: err && err.message });
+    }
+  };
+}
+
+/**
+ * GET /api/admin/analytics?from&to&document_id
+ * Everything the dashboard shows in one call: { usage, sources, services, cache }.
+ */
+router.get('/', handle('', async (req, range) => {
+  const document_id = req.query.document_id || undefined;
+  const [usage, sources, services] = await Promise.all([
+    usageOverview(range, { document_id }),
+    topSources(range, { document_id, limit: parseLimit(req.query.limit) }),
+    serviceStats(range)
+  ]);
+  return { usage, sources, services, cache: answerCache.stats() };
+}));
+
+/**
+ * GET /api/admin/analytics/usage?from&to&document_id
+ * Questions per day, active students, out-of-context rate, average top similarity and cache hit rate.
+ */
+router.get('/usage', handle('/usage', (req, range) => usageOverview(range, { document_id: req.query.document_id || undefined })));
+
+/**
+ * GET /api/admin/analytics/sources?from&to&document_id&limit=10
+ * Most cited / retrieved documents and chunks (document_id drills down into one document's chunks).
+ */
+router.get('/sources', handle('/sources', (req, range) => topSources(range, { document_id: req.query.document_id || undefined, limit: parseLimit(req.query.limit) })));
+
+/**
+ * GET /api/admin/analytics/services?from&to
+ * Latency (avg / p50 / p95) and error rate of LLM provider and RAG worker / service calls.
+ */
+router.get('/services', handle('/services', (req, range) => serviceStats(range)));
+
+/**
+ * GET /api/admin/analytics/cache
+ * Live answer cache state of this process: { enabled, store, entries, hits, misses } (counters since start).
+ * Per-day hit rates come from /usage.
+ */
+router.get('/cache', (req, res) => res.json({ status: 'ok', data: answerCache.stats() }));
+
+module.exports = router;
@@ -2,69 +2,60 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../lib/supabaseClient');
-const { generateText } = require('../lib/gemini');
+const { db } = require('../lib/db');
+const { devUser } = require('../middleware/checkAdmin');
+const { generateText, streamText } = require('../lib/llm');
 const { fetch } = require('../lib/fetcher');
+const { keywordSearch } = require('../lib/keywordRetriever');
+const { extractCitations } = require('../lib/citations');
+const { recordServiceCall } = require('../lib/metrics');
+const { resolveRetrievalScope, documentInScope, userRole } = require('../lib/courses');
+const { currentVersions } = require('../lib/documentVersions');
+const { findOwnedChat, generateChatTitle, loadHistory, fitHistory, rewriteStandaloneQuery } = require('../lib/conversation');
+const { RETRIEVAL_LANGUAGE, identifyLanguage, needsTranslation, answerLanguage, preferredLanguage } = require('../lib/language');
+const { createLruCache } = require('../lib/lruCache');
+const { answerCache } = require('../lib/answerCache');
+const { enforceQuota } = require('../middleware/quota');
+const { promptSetFor, promptRefs, promptFragments, buildAnswerPrompt, buildTranslationPrompt } = require('../lib/prompts');
+const { guardrails } = require('../lib/guardrails');
 
 const RAG_WORKER_URL = process.env.RAG_WORKER_URL; // e.g., http://localhost:8000 or https://tutor-rag-worker.railway.app
 
+const RETRIEVAL_K = 2;
+// with a course scope the worker is asked for more candidates, since out-of-scope ones are dropped afterwards
+const SCOPED_OVERFETCH = 5;
+
 if (!RAG_WORKER_URL) {
-  console.warn('RAG_WORKER_URL not set. Set to RAG worker base URL. Chat will work but without retrieval context.');
+  console.warn('RAG_WORKER_URL not set. Set to RAG worker base URL. Chat will fall back to keyword retrieval over the chunks table.');
 }
 
 /**
- * Simple in-memory translate cache (keyed by text). Replace with Redis for production.
+ * Bounded in-memory translate cache (keyed by translation template, target language + text).
  */
-const translateCache = new Map();
-const TRANSLATE_CACHE_TTL_MS = 1000 * 60 * 60; // 1 hour
+const translateCache = createLruCache({ maxEntries: 1000, ttlMs: 1000 * 60 * 60 }); // 1 hour
 
 function cacheSetTranslate(key, value) {
-  translateCache.set(key, { value, ts: Date.now() });
+  translateCache.set(key, value);
 }
 function cacheGetTranslate(key) {
-  const entry = translateCache.get(key);
-  if (!entry) return null;
-  if (Date.now() - entry.ts > TRANSLATE_CACHE_TTL_MS) {
-    translateCache.delete(key);
-    return null;
-  }
-  return entry.value;
-}
-
-/**
- * Lightweight heuristic to decide if text is likely Indonesian.
- * Checks presence of common Indonesian function words. It's not perfect,
- * but avoids calling translation for short English queries.
- */
-function isLikelyIndonesian(text) {
-  if (!text || typeof text !== 'string') return false;
-  const lowered = text.toLowerCase();
-  // common Indonesian words
-  const commonId = [' dan ', ' yang ', ' untuk ', ' apa ', ' siapa ', ' kapan ', ' mengapa ', ' bagaimana ', ' ini ', ' itu ', ' solusi ', ' contoh ', ' apakah '];
-  for (const w of commonId) {
-    if (lowered.includes(w)) return true;
-  }
-  // if text contains characters outside ASCII (rare for Indonesian) treat as Indonesian
-  // but since Indonesian is ASCII too, this is just a tiny heuristic; main thing is common words above.
-  return false;
+  return translateCache.get(key);
 }
 
 /**
- * translateToEnglish:
- * - Uses your existing generateText (Gemini wrapper) to get a clean English translation.
- * - Keeps code/library names and proper nouns unchanged by asking Gemini to not alter them.
+ * translateText(text, from, to, prompts):
+ * - Uses the configured LLM provider (lib/llm generateText) to get a clean translation.
+ * - The prompt is the translation template of `prompts` (lib/prompts); the built-in one keeps
+ *   code/library names and proper nouns unchanged by asking the model to not alter them.
  * - Caches results in-memory.
  */
-async function translateToEnglish(text) {
+async function translateText(text, from, to, prompts) {
   if (!text || typeof text !== 'string') return '';
 
-  const cacheKey = `t:en:${text}`;
+  const cacheKey = `t:${prompts.translation.ref}:${to}:${text}`;
   const cached = cacheGetTranslate(cacheKey);
   if (cached) return cached;
 
-  // Build a strict translation prompt for Gemini.
-  const prompt = `Translate the following Indonesian text to fluent, idiomatic English.\n` +
-    `Keep code snippets, library names, technical terms, and proper nouns exactly as they are (do not translate them). ` +
-    `Provide only the translated text (no commentary, no extra notes).\n\nIndonesian:\n${text}\n\nEnglish:`;
+  const prompt = buildTranslationPrompt({ text, from, to, prompts });
 
   try {
     // low temperature for deterministic translation
@@ -87,202 +78,555 @@ async function translateToEnglish(text) {
       return text;
     }
   } catch (e) {
-    console.warn('translateToEnglish failed:', e && e.message ? e.message : e);
+    console.warn('translateText failed:', e && e.message ? e.message : e);
     // fallback: return original text to avoid breaking retrieval flow
     return text;
   }
 }
 
+/* ---------- Answer pipeline stages (shared by JSON and SSE responses) ---------- */
+
 /**
- * POST /api/chat
- * body: { question, chat_id (optional), filter_document (optional) }
- * Header: Authorization: Bearer <supabase_access_token>
+ * Determine query to send to RAG worker
+ * - If the question is (confidently) in another language than RETRIEVAL_LANGUAGE, translate it first.
+ * - Otherwise, or when the language is undetermined, send question as-is.
  */
-router.post('/', async (req, res) => {
+async function resolveSearchQuery(question, prompts) {
   try {
-    const supabaseToken = (req.headers.authorization || '').replace('Bearer ', '');
-    const { question, chat_id, filter_document } = req.body;
-    if (!question) return res.status(400).json({ error: 'question required' });
+    const detected = identifyLanguage(question);
+    if (needsTranslation(detected)) {
+      return await translateText(question, detected.language, RETRIEVAL_LANGUAGE, prompts);
+    }
+    return question;
+  } catch (e) {
+    console.warn('Translation step failed, proceeding with original question for retrieval. Error:', (e && e.message) || e);
+    return question;
+  }
+}
 
-    // -------------------------------
-    // 0) Determine query to send to RAG worker
-    //    - If question likely Indonesian, translate to English first.
-    //    - Otherwise, send question as-is.
-    // -------------------------------
-    let queryForSearch = question;
+/**
+ * Call RAG worker /search for top-k chunks.
+ * Returns the raw items, or null when the worker is not configured or the call failed
+ * (so the caller can fall back to the keyword retriever).
+ * With a scope (lib/courses) the allowed documents are sent as filter_documents, and items outside
+ * the scope are dropped here as well so access rules don't depend on the worker honouring the filter.
+ */
+async function searchRagWorker(queryForSearch, filter_document, scope) {
+  if (!RAG_WORKER_URL) return null;
+  const started = Date.now();
+  const k = scope ? RETRIEVAL_K * SCOPED_OVERFETCH : RETRIEVAL_K;
+  const filter_documents = scope && scope.include ? Array.from(scope.include) : undefined;
+  const items = await requestRagWorkerSearch(queryForSearch, { k, filter_document, filter_documents });
+  recordServiceCall({ service: 'rag_worker', operation: 'search', ms: Date.now() - started, ok: items !== null, error: 'search failed' });
+  if (!items || !scope) return items;
+  return items.filter(c => documentInScope(scope, c.document_id || c.doc_id || c.document)).slice(0, RETRIEVAL_K);
+}
+
+async function requestRagWorkerSearch(queryForSearch, { k, filter_document, filter_documents }) {
+  try {
+    const searchUrl = `${RAG_WORKER_URL.replace(/\/+$/,'')}/search`;
+    // send the translated (or original) query for retrieval/embedding
+    const searchResp = await fetch(searchUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-SERVICE-KEY': process.env.WORKER_SERVICE_KEY || '' },
+      body: JSON.stringify({ query: queryForSearch, k, filter_document, filter_documents })
+    });
+
+    if (!searchResp.ok) {
+      const text = await searchResp.text().catch(()=>'<no-body>');
+      console.warn('RAG worker search failed, status=', searchResp.status, 'body=', text);
+      return null;
+    }
+    // parse json safely
+    const searchData = await searchResp.json().catch(e => {
+      console.warn('Failed to parse RAG worker JSON:', e);
+      return null;
+    });
+    if (!searchData) return null;
+    // accept both { items: [...] } or plain array
+    if (Array.isArray(searchData.items)) return searchData.items;
+    if (Array.isArray(searchData)) return searchData;
+    if (Array.isArray(searchData.items?.results)) return searchData.items.results;
+    return [];
+  } catch (e) {
+    console.warn('RAG worker call error:', (e && e.message) || e);
+    return null;
+  }
+}
+
+// first page of a chunk when the retriever knows it (page_start from local ingestion, page / metadata.page from the worker)
+function pageOf(c) {
+  const page = Number(c.page ?? c.page_start ?? (c.metadata && c.metadata.page));
+  return Number.isFinite(page) && page > 0 ? page : null;
+}
+
+// slide / section number for non-PDF materials (location_type + location_start from local ingestion)
+function locationOf(c) {
+  const type = c.location_type || (c.metadata && c.metadata.location_type) || null;
+  const location = Number(c.location_start ?? c.location ?? (c.metadata && c.metadata.location));
+  if (!type || !(Number.isFinite(location) && location > 0)) return { location_type: null, location: null };
+  return { location_type: type, location };
+}
+
+function versionOf(c) {
+  const v = c.document_version ?? (c.metadata && c.metadata.document_version);
+  return v === null || v === undefined || v === '' || !Number.isInteger(Number(v)) ? null : Number(v);
+}
+
+/**
+ * Chunks without a version (e.g. from a RAG worker that doesn't return it) get the document's
+ * current version, so citations keep pointing at this file after a newer upload. Best-effort.
+ */
+async function fillDocumentVersions(chunks) {
+  const missing = chunks.filter(c => c.document_version === null).map(c => c.document_id);
+  if (!missing.length) return chunks;
+  try {
+    const versions = await currentVersions(db, missing);
+    for (const c of chunks) {
+      if (c.document_version === null && versions.has(String(c.document_id))) c.document_version = versions.get(String(c.document_id));
+    }
+  } catch (e) {
+    console.warn('document version lookup failed:', (e && e.message) || e);
+  }
+  return chunks;
+}
+
+/**
+ * Retrieve top-k chunks and normalize their fields.
+ * - RAG worker first (embedding search on the translated query).
+ * - Falls back to the in-process keyword retriever when the worker is absent or failed;
+ *   keyword search uses both the original and translated wording since chunk language is unknown.
+ * - scope ({ include?, exclude? } from lib/courses) limits which documents may be retrieved.
+ * Never throws. Returns { chunks, retriever } where retriever is 'rag_worker' | 'keyword' | 'none'.
+ */
+async function retrieveChunks(queryForSearch, { filter_document, originalQuery, scope } = {}) {
+  let chunks = [];
+  let retriever = 'none';
+
+  // a course without (matching) documents has nothing to retrieve
+  if (scope && scope.include && scope.include.size === 0) return { chunks, retriever };
+
+  const workerItems = await searchRagWorker(queryForSearch, filter_document, scope);
+  if (workerItems) {
+    chunks = workerItems;
+    retriever = 'rag_worker';
+  } else {
     try {
-      if (isLikelyIndonesian(question)) {
-        // translate only when heuristic says likely Indonesian
-        queryForSearch = await translateToEnglish(question);
-      } else {
-        // not clearly Indonesian -> send as-is (assume English or short phrase)
-        queryForSearch = question;
-      }
+      const keywordQueries = originalQuery && originalQuery !== queryForSearch ? [originalQuery, queryForSearch] : [queryForSearch];
+      chunks = await keywordSearch(keywordQueries, { k: RETRIEVAL_K, filter_document, allow: scope ? id => documentInScope(scope, id) : undefined });
+      if (chunks.length) retriever = 'keyword';
     } catch (e) {
-      console.warn('Translation step failed, proceeding with original question for retrieval. Error:', (e && e.message) || e);
-      queryForSearch = question;
+      console.warn('Keyword retriever error:', (e && e.message) || e);
+      chunks = [];
     }
+  }
 
-    // 1) call RAG worker for top-k chunks (if configured)
-    let chunks = [];
-    if (RAG_WORKER_URL) {
-      try {
-        const searchUrl = `${RAG_WORKER_URL.replace(/\/+$/,'')}/search`;
-        // send the translated (or original) query for retrieval/embedding
-        const searchResp = await fetch(searchUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'X-SERVICE-KEY': process.env.WORKER_SERVICE_KEY || '' },
-          body: JSON.stringify({ query: queryForSearch, k: 2, filter_document })
-        });
+  // Normalize chunk fields (avoid crashes if some fields missing)
+  chunks = (Array.isArray(chunks) ? chunks : []).map((c, idx) => Object.assign({
+    document_id: c.document_id || c.doc_id || c.document || `doc_${idx}`,
+    document_title: c.document_title || c.title || c.name || c.document_id || `doc_${idx}`,
+    document_version: versionOf(c),
+    chunk_index: Number.isFinite(c.chunk_index) ? c.chunk_index : (c.index ?? idx),
+    similarity: typeof c.similarity === 'string' ? parseFloat(c.similarity) : (Number.isFinite(c.similarity) ? c.similarity : (c.score ?? 0)),
+    page: pageOf(c),
+    text: (typeof c.text === 'string') ? c.text : (c.content || c.body || '')
+  }, locationOf(c)));
+  await fillDocumentVersions(chunks);
+  return { chunks, retriever };
+}
+
+/**
+ * { detected, confidence, answer }: the question's language and the language to answer in.
+ */
+function questionLanguage(question, preferred) {
+  const detected = identifyLanguage(question);
+  return { detected: detected.language, confidence: detected.confidence, answer: answerLanguage({ preferred, detected }) };
+}
+
+/**
+ * Run follow-up rewriting + translation + retrieval and build the prompt for a question.
+ * The answer is written in `preferred` (the student's profile language) when set, else in the
+ * question's language (lib/language answerLanguage).
+ * Prompts come from the templates assigned to course_id, its subject or globally (lib/prompts);
+ * `prompt_templates` lists the template versions used.
+ * Retrieved chunks pass the context guardrail (instructions hidden in material are removed);
+ * `guardrails` lists what it found.
+ * Questions without conversation history are looked up in lib/answerCache: `cache` is { key, reply },
+ * reply being the cached model output on a hit (null otherwise; key null when not cacheable).
+ */
+async function prepareAnswer(question, { filter_document, history, scope, preferred, course_id, userId } = {}) {
+  const language = questionLanguage(question, preferred);
+  const prompts = await promptSetFor({ course_id });
+
+  // follow-ups ("yang kedua bagaimana?") are made standalone before retrieval
+  const standalone_question = await rewriteStandaloneQuery(history, question);
+  const queryForSearch = await resolveSearchQuery(standalone_question, prompts);
+  const retrieved = await retrieveChunks(queryForSearch, { filter_document, originalQuery: standalone_question, scope });
+  const { retriever } = retrieved;
+  const screened = await guardrails.screenChunks(retrieved.chunks, { userId });
+  const { chunks } = screened;
+
+  // decide out_of_context based on top similarity threshold
+  const topSim = (chunks[0] && Number(chunks[0].similarity)) || 0;
+  const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD || '0.25');
+  const out_of_context = chunks.length === 0 || topSim < SIMILARITY_THRESHOLD;
+  const has_context = !out_of_context; // true if we have at least one chunk with sim >= threshold
+
+  const prompt = buildAnswerPrompt({ question, chunks, has_context, history, language: language.answer, prompts });
+  const prompt_templates = promptRefs(prompts);
+  const hasHistory = Boolean(history && (history.summary || (history.turns && history.turns.length)));
+  const cache = hasHistory
+    ? { key: null, reply: null }
+    : answerCache.lookup({ question, language: language.answer, chunks, has_context, prompt: prompt_templates });
+  return {
+    chunks, retriever, has_context, out_of_context, prompt, standalone_question, language, cache, prompt_templates,
+    guardrails: screened.findings,
+    prompt_fragments: promptFragments(prompts)
+  };
+}
+
+/**
+ * Resolve the Supabase user id for a token (null when missing/invalid).
+ * Without Supabase Auth (offline) every request is the DEV_AUTH_ROLE user, if one is set.
+ */
+async function resolveUserId(supabaseToken) {
+  if (!supabaseAdmin) return devUser()?.id || null;
+  if (!supabaseToken) return null;
+  try {
+    const { data: userData, error: userErr } = await supabaseAdmin.auth.getUser(supabaseToken);
+    if (userErr) {
+      console.warn('Failed to get user from token:', userErr);
+      return null;
+    }
+    return userData?.user?.id || null;
+  } catch (e) {
+    console.warn('resolveUserId failed', e && e.message ? e.message : e);
+    return null;
+  }
+}
+
+/**
+ * Quota identity of a chat request (middleware/quota): the token's user with their profile role, or
+ * null for anonymous callers (counted per IP). The resolved id is kept on req for the handler.
+ */
+async function chatCaller(req) {
+  const userId = await resolveUserId((req.headers.authorization || '').replace('Bearer ', ''));
+  req.chatUserId = userId;
+  return userId ? { id: userId, role: await userRole(userId) } : null;
+}
 
-        if (!searchResp.ok) {
-          const text = await searchResp.text().catch(()=>'<no-body>');
-          console.warn('RAG worker search failed, status=', searchResp.status, 'body=', text);
-          // do not throw — proceed without retrieved context
-        } else {
-          // parse json safely
-          const searchData = await searchResp.json().catch(e => {
-            console.warn('Failed to parse RAG worker JSON:', e);
-            return null;
-          });
-          // accept both { items: [...] } or plain array
-          if (searchData) {
-            if (Array.isArray(searchData.items)) {
-              chunks = searchData.items;
-            } else if (Array.isArray(searchData)) {
-              chunks = searchData;
-            } else if (Array.isArray(searchData.items?.results)) {
-              chunks = searchData.items.results;
-            } else {
-              chunks = [];
-            }
-          }
+/**
+ * Save chat & message to the database (if user known). Returns { chat_id } or null.
+ * A new chat gets its title from the question unless autoTitle is false (questions stopped by the
+ * input guardrail are never sent to the LLM).
+ */
+async function saveExchange({ userId, chat_id, question, reply, chunks, citations, out_of_context, retriever, language, cached, prompt_templates, guardrails: findings, autoTitle = true }) {
+  if (!userId) return null;
+  try {
+    let chatId = chat_id;
+    if (!chatId) {
+      const { data: chatData, error: chatErr } = await db
+        .from('chats').insert({ user_id: userId, title: 'Chat' })
+        .select().single();
+      if (chatErr) {
+        console.warn('Failed to create chat:', chatErr);
+      } else {
+        chatId = chatData.id;
+        // title from the first question; done in background so the answer isn't delayed
+        if (autoTitle) {
+          generateChatTitle(question)
+            .then(title => db.from('chats').update({ title }).eq('id', chatData.id))
+            .then(r => { if (r && r.error) console.warn('Failed to set chat title:', r.error); })
+            .catch(e => console.warn('chat title update failed', e && e.message ? e.message : e));
         }
-      } catch (e) {
-        console.warn('RAG worker call error:', (e && e.message) || e);
-        chunks = [];
       }
-    } else {
-      // No worker configured
-      chunks = [];
     }
 
-    // Normalize chunk fields (avoid crashes if some fields missing)
-    chunks = (Array.isArray(chunks) ? chunks : []).map((c, idx) => ({
-      document_id: c.document_id || c.doc_id || c.document || `doc_${idx}`,
-      document_title: c.document_title || c.title || c.name || c.document_id || `doc_${idx}`,
-      chunk_index: Number.isFinite(c.chunk_index) ? c.chunk_index : (c.index ?? idx),
-      similarity: typeof c.similarity === 'string' ? parseFloat(c.similarity) : (Number.isFinite(c.similarity) ? c.similarity : (c.score ?? 0)),
-      text: (typeof c.text === 'string') ? c.text : (c.content || c.body || '')
-    }));
-
-    // decide out_of_context based on top similarity threshold
-    const topSim = (chunks[0] && Number(chunks[0].similarity)) || 0;
-    const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD || '0.25');
-    const out_of_context = chunks.length === 0 || topSim < SIMILARITY_THRESHOLD;
-    const has_context = !out_of_context; // true if we have at least one chunk with sim >= threshold
-
-    // 2) build prompt (IMPORTANT: prompt still uses original `question` in Indonesian)
-    const systemPrompt =
-      "Kamu adalah tutor cerdas dan sopan yang menjawab dalam Bahasa Indonesia. Gunakan materi yang relevan dari konteks yang disediakan. Jika pertanyaan di luar konteks materi, awali jawaban dengan 'Catatan: pertanyaan ini berada di luar cakupan materi. Jawaban berikut dibuat menggunakan model generatif.'";
-
-    // Only include context when has_context === true
-    let contextText = '';
-    if (has_context && chunks.length > 0) {
-      // include up to k chunks (we'll include all retrieved but order is top->down)
-      contextText = chunks
-        .map((c, i) => `---chunk ${i+1} (doc: ${c.document_title || c.document_id} | idx:${c.chunk_index} | sim:${(c.similarity || 0).toFixed(3)})---\n${c.text}`)
-        .join("\n\n");
+    if (!chatId) return null;
+    // prepare messages payload; history is ordered by created_at, so the answer is stamped 1 ms after the
+    // question (one insert would give both rows the same now())
+    const askedAt = Date.now();
+    const messagesPayload = [
+      { chat_id: chatId, role: 'user', content: question, created_at: new Date(askedAt).toISOString() },
+      { chat_id: chatId, role: 'assistant', content: reply, created_at: new Date(askedAt + 1).toISOString(), metadata: { chunks, citations: citations || [], out_of_context, retriever, language: language ? language.answer : null, cache_hit: Boolean(cached), prompt_templates: prompt_templates || null, guardrails: findings || [] } }
+    ];
+    const { error: msgErr } = await db.from('messages').insert(messagesPayload);
+    if (msgErr) {
+      console.warn('Failed to insert messages:', msgErr);
+      return null;
     }
+    return { chat_id: chatId };
+  } catch (e) {
+    console.warn('saving chat failed', e && e.message ? e.message : e);
+    return null;
+  }
+}
+
+// prepare top_chunks (first 1-3) for frontend convenience
+function topChunksOf(chunks) {
+  return (Array.isArray(chunks) && chunks.length > 0)
+    ? chunks.slice(0, 3).map(c => ({
+        document_id: c.document_id,
+        document_title: c.document_title || c.document_id,
+        chunk_index: c.chunk_index,
+        similarity: Number(c.similarity || 0),
+        page: c.page,
+        text: c.text
+      }))
+    : [];
+}
+
+/* ---------- Server-Sent Events ---------- */
 
-    let prompt;
-    if (has_context && contextText) {
-      prompt = `${systemPrompt}\n\nKonteks (ambil hanya yang relevan):\n${contextText}\n\nPertanyaan pengguna:\n${question}\n\nJawab secara ringkas dan sertakan referensi chunk (sebutkan doc & chunk index) jika relevan. Jika jawaban tidak bisa langsung diambil dari konteks, jawab tetapi awali dengan peringatan sesuai instruksi system.`;
+/**
+ * Streaming is requested with `Accept: text/event-stream` or `?stream=1`.
+ */
+function wantsStream(req) {
+  const q = String(req.query.stream || '').toLowerCase();
+  if (q === '1' || q === 'true') return true;
+  return String(req.headers.accept || '').includes('text/event-stream');
+}
+
+function openSse(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+function sendSse(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression() buffers output; flush so each event reaches the client immediately
+  if (typeof res.flush === 'function') res.flush();
+}
+
+// what responses and message metadata say about a guardrail verdict (the full event is in guardrail_events)
+function findingOf(verdict) {
+  return { stage: verdict.stage, category: verdict.category, action: verdict.action };
+}
+
+/**
+ * Output guardrail for a finished reply: null when it passes, else the verdict (reply = safe message).
+ * Cached replies passed the full check when they were generated, so they only get the rules again.
+ */
+function checkAnswer(reply, { userId, question, prepared, cached }) {
+  return guardrails.checkReply(reply, {
+    userId,
+    language: prepared.language.answer,
+    question,
+    fragments: prepared.prompt_fragments,
+    rulesOnly: cached
+  });
+}
+
+/**
+ * Answer to a question stopped by the input guardrail: the verdict's reply, without retrieval or an
+ * LLM call, as JSON or as SSE (meta, one delta, done) like a normal answer.
+ */
+async function sendGuardedReply(req, res, { userId, chat_id, question, verdict, language }) {
+  const reply = verdict.reply;
+  const findings = [findingOf(verdict)];
+  const saved = await saveExchange({ userId, chat_id, question, reply, chunks: [], citations: [], out_of_context: true, retriever: 'none', language, cached: false, prompt_templates: null, guardrails: findings, autoTitle: false });
+
+  if (wantsStream(req)) {
+    openSse(res);
+    sendSse(res, 'meta', { top_chunks: [], has_context: false, out_of_context: true, standalone_question: question, retriever: 'none', language, cached: false, prompt_templates: null, guardrails: findings });
+    sendSse(res, 'delta', { text: reply });
+    sendSse(res, 'done', { chat_id: saved ? saved.chat_id : (chat_id || null), saved, reply, citations: [], guardrails: findings });
+    return res.end();
+  }
+  return res.json({
+    reply,
+    citations: [],
+    chunks: [],
+    top_chunks: [],
+    has_context: false,
+    out_of_context: true,
+    standalone_question: question,
+    retriever: 'none',
+    language,
+    cached: false,
+    prompt_templates: null,
+    guardrails: findings,
+    saved
+  });
+}
+
+/**
+ * Stream an answer as SSE events:
+ *   meta    -> { top_chunks, has_context, out_of_context, standalone_question, retriever, language, cached, guardrails }
+ *   delta   -> { text }            (repeated; a cached answer arrives as one delta)
+ *   retract -> { reply, guardrail } the reply failed the output guardrail: discard the streamed text and
+ *              show `reply` instead (generation is stopped as soon as a rule matches)
+ *   done    -> { chat_id, saved, reply, citations, guardrails }   (reply with invalid citation markers removed)
+ *   error   -> { error, detail }
+ * The exchange is persisted only after the stream completes; a closed client connection aborts the upstream request.
+ */
+async function streamAnswer(res, { userId, chat_id, question, prepared }) {
+  const { chunks, has_context, out_of_context, prompt } = prepared;
+  const cached = Boolean(prepared.cache.reply);
+
+  openSse(res);
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  sendSse(res, 'meta', { top_chunks: topChunksOf(chunks), has_context, out_of_context, standalone_question: prepared.standalone_question, retriever: prepared.retriever, language: prepared.language, cached, guardrails: prepared.guardrails });
+
+  let reply = '';
+  let blocked = null;
+  try {
+    if (cached) {
+      reply = prepared.cache.reply;
+      blocked = await checkAnswer(reply, { userId, question, prepared, cached });
+      if (!blocked) sendSse(res, 'delta', { text: reply });
     } else {
-      // no context found
-      prompt = `${systemPrompt}\n\n(Peringatan: tidak ditemukan konteks relevan dari dokumen.)\n\nPertanyaan pengguna:\n${question}\n\nJawab secara ringkas.`;
+      for await (const delta of streamText(prompt, { temperature: 0.2, maxTokens: 512, signal: controller.signal })) {
+        reply += delta;
+        // rules only while streaming (cheap); the delta that completes a match is never sent
+        blocked = await checkAnswer(reply, { userId, question, prepared, cached: true });
+        if (blocked) break;
+        sendSse(res, 'delta', { text: delta });
+      }
+      if (!blocked) blocked = await checkAnswer(reply, { userId, question, prepared, cached: false });
+      if (!blocked) answerCache.save(prepared.cache.key, { reply, chunks });
+    }
+  } catch (e) {
+    if (controller.signal.aborted) {
+      console.warn('Client closed SSE stream; upstream generation aborted.');
+      return;
     }
+    console.error('LLM streaming error:', e && e.message ? e.message : e);
+    sendSse(res, 'error', {
+      error: 'Generation service error. Periksa LLM_PROVIDER / LLM_MODEL dan kredensialnya. Detail logged di server.',
+      detail: (e && e.message) ? e.message : String(e)
+    });
+    return res.end();
+  }
 
-    // 3) call Gemini (with error handling and informative logs)
-    let genText = '';
-    try {
-      genText = await generateText(prompt, { temperature: 0.2, maxTokens: 512 });
-      if (!genText || typeof genText !== 'string') {
-        // ensure reply is string
-        genText = (typeof genText === 'object') ? JSON.stringify(genText) : String(genText || '');
-      }
-    } catch (e) {
-      // Gemini failed (404 or other). Log full error for debugging and return friendly message.
-      console.error('Gemini generation error:', e && e.message ? e.message : e);
-      // Return helpful client-side response instead of crashing; include indicator for operator to check env.
-      return res.status(502).json({
-        error: 'Generation service error. Periksa GEMINI_API_KEY / GEMINI_MODEL. Detail logged di server.',
-        detail: (e && e.message) ? e.message : String(e)
-      });
+  let findings = prepared.guardrails;
+  if (blocked) {
+    reply = blocked.reply;
+    findings = findings.concat(findingOf(blocked));
+    sendSse(res, 'retract', { reply, guardrail: findingOf(blocked) });
+  }
+
+  const cited = extractCitations(reply, chunks);
+  const saved = await saveExchange({ userId, chat_id, question, reply: cited.reply, chunks, citations: cited.citations, out_of_context, retriever: prepared.retriever, language: prepared.language, cached, prompt_templates: prepared.prompt_templates, guardrails: findings });
+  sendSse(res, 'done', { chat_id: saved ? saved.chat_id : (chat_id || null), saved, reply: cited.reply, citations: cited.citations, guardrails: findings });
+  return res.end();
+}
+
+/**
+ * POST /api/chat
+ * body: { question, chat_id (optional), filter_document (optional), course_id (optional) }
+ * When chat_id belongs to the caller, recent turns are loaded and used as conversation memory.
+ * course_id restricts retrieval to that course's documents; documents of courses the caller isn't
+ * enrolled in are never retrieved (see lib/courses).
+ * The answer language is the caller's profile preference (PATCH /api/profile) or the question's language.
+ * Header: Authorization: Bearer <supabase_access_token>
+ * Streaming: send `Accept: text/event-stream` or `?stream=1` to receive SSE (see streamAnswer).
+ * Subject to per-user request / token quotas (middleware/quota): 429 with an Indonesian message when used up.
+ * Guardrails (lib/guardrails): self-harm or abusive questions get a fixed reply without an LLM call,
+ * instructions hidden in retrieved chunks are removed, and a reply that fails the output check is
+ * replaced; `guardrails` lists the findings.
+ */
+router.post('/', enforceQuota(chatCaller), async (req, res) => {
+  try {
+    const supabaseToken = (req.headers.authorization || '').replace('Bearer ', '');
+    const { question, chat_id, filter_document, course_id } = req.body;
+    if (!question) return res.status(400).json({ error: 'question required' });
+
+    const userId = req.chatUserId !== undefined ? req.chatUserId : await resolveUserId(supabaseToken);
+
+    // a chat_id must belong to the caller; never read from or append to someone else's chat
+    if (chat_id && userId && !(await findOwnedChat(chat_id, userId))) {
+      return res.status(404).json({ error: 'chat not found' });
     }
 
-    // 4) Save chat & message to Supabase (if token present)
-    let saved = null;
-    if (supabaseToken) {
+    const { scope, error: scopeErr } = await resolveRetrievalScope({ userId, course_id, filter_document });
+    if (scopeErr) return res.status(scopeErr.status).json({ error: scopeErr.message });
+
+    // previous turns of this chat (only when the chat belongs to the caller)
+    const history = chat_id && userId ? await fitHistory(chat_id, await loadHistory(chat_id, userId)) : null;
+
+    // 0) input guardrail: self-harm / abusive questions are answered here and never reach the LLM
+    const preferred = await preferredLanguage(userId);
+    const questionLang = questionLanguage(question, preferred);
+    const verdict = await guardrails.checkQuestion(question, { userId, language: questionLang.answer });
+    if (verdict) return sendGuardedReply(req, res, { userId, chat_id, question, verdict, language: questionLang });
+
+    // 1-2) rewrite follow-up, translate (if needed), retrieve (and screen) context and build prompt
+    const prepared = await prepareAnswer(question, { filter_document, history, scope, preferred, course_id, userId });
+    const { chunks, retriever, has_context, out_of_context, prompt, standalone_question, language, cache, prompt_templates } = prepared;
+    const cached = Boolean(cache.reply);
+
+    if (wantsStream(req)) {
+      return streamAnswer(res, { userId, chat_id, question, prepared });
+    }
+
+    // 3) call the LLM provider (with error handling and informative logs), unless the answer is cached
+    let genText = cached ? cache.reply : '';
+    if (!cached) {
       try {
-        const { data: userData, error: userErr } = await supabaseAdmin.auth.getUser(supabaseToken);
-        if (userErr) {
-          console.warn('Failed to get user from token:', userErr);
-        } else {
-          const userId = userData?.user?.id;
-          let chatId = chat_id;
-          if (!chatId) {
-            const { data: chatData, error: chatErr } = await supabaseAdmin
-              .from('chats').insert({ user_id: userId, title: 'Chat' })
-              .select().single();
-            if (chatErr) {
-              console.warn('Failed to create chat:', chatErr);
-            } else {
-              chatId = chatData.id;
-            }
-          }
-
-          if (chatId) {
-            // prepare messages payload
-            const messagesPayload = [
-              { chat_id: chatId, role: 'user', content: question },
-              { chat_id: chatId, role: 'assistant', content: genText, metadata: { chunks, out_of_context } }
-            ];
-            const { error: msgErr } = await supabaseAdmin.from('messages').insert(messagesPayload);
-            if (msgErr) {
-              console.warn('Failed to insert messages:', msgErr);
-            } else {
-              saved = { chat_id: chatId };
-            }
-          }
+        genText = await generateText(prompt, { temperature: 0.2, maxTokens: 512 });
+        if (!genText || typeof genText !== 'string') {
+          // ensure reply is string
+          genText = (typeof genText === 'object') ? JSON.stringify(genText) : String(genText || '');
         }
       } catch (e) {
-        console.warn('saving chat failed', e && e.message ? e.message : e);
+        // Generation failed (404 or other). Log full error for debugging and return friendly message.
+        console.error('LLM generation error:', e && e.message ? e.message : e);
+        // Return helpful client-side response instead of crashing; include indicator for operator to check env.
+        return res.status(502).json({
+          error: 'Generation service error. Periksa LLM_PROVIDER / LLM_MODEL dan kredensialnya. Detail logged di server.',
+          detail: (e && e.message) ? e.message : String(e)
+        });
       }
     }
 
-    // prepare top_chunks (first 1-3) for frontend convenience
-    const top_chunks = (Array.isArray(chunks) && chunks.length > 0)
-      ? chunks.slice(0, 3).map(c => ({
-          document_id: c.document_id,
-          document_title: c.document_title || c.document_id,
-          chunk_index: c.chunk_index,
-          similarity: Number(c.similarity || 0),
-          text: c.text
-        }))
-      : [];
-
-    // 5) return enriched payload
+    // 4) output guardrail; only answers that pass are cached
+    let findings = prepared.guardrails;
+    const blocked = await checkAnswer(genText, { userId, question, prepared, cached });
+    if (blocked) {
+      genText = blocked.reply;
+      findings = findings.concat(findingOf(blocked));
+    } else if (!cached) {
+      answerCache.save(cache.key, { reply: genText, chunks });
+    }
+
+    // 5) turn [n] markers into structured citations (markers without a matching chunk are stripped)
+    const { reply, citations } = extractCitations(genText, chunks);
+
+    // 6) Save chat & message (if the user is known)
+    const saved = await saveExchange({ userId, chat_id, question, reply, chunks, citations, out_of_context, retriever, language, cached, prompt_templates, guardrails: findings });
+
+    const top_chunks = topChunksOf(chunks);
+
+    // 7) return enriched payload
     return res.json({
-      reply: genText,
+      reply,
+      citations,      // [{ marker, document_id, document_title, document_version, chunk_index, page, location_type, location, url }] for [n] markers in reply
       chunks,         // full retrieved chunks (useful for debugging / pagination)
       top_chunks,     // 1-3 chunk items with full text (for UI display)
       has_context,    // true if we consider model had relevant context (sim >= threshold)
       out_of_context, // same as before
+      standalone_question, // query actually used for retrieval (differs from question for follow-ups)
+      retriever,      // which retriever produced the context: 'rag_worker' | 'keyword' | 'none'
+      language,       // { detected, confidence, answer }: question language ('und' = unsure) and answer language
+      cached,         // true when the answer came from lib/answerCache (no LLM call)
+      prompt_templates, // { <kind>: '<template id>@<version>' | 'builtin' } prompts used (lib/prompts)
+      guardrails: findings, // [{ stage: 'context' | 'output', category, action }] guardrail findings (lib/guardrails)
       saved
     });
   } catch (err) {
     console.error('Unexpected /api/chat error', err);
+    if (res.headersSent) return res.end();
     return res.status(500).json({ error: err && err.message ? err.message : 'server error' });
   }
 });
@@ -0,0 +1,208 @@
+// src/routes/chatHistory.js
+// Student-facing chat history: list / read / rename / archive / delete the caller's own chats.
+// Mounted next to routes/chat.js under /api/chat.
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate } = require('../middleware/checkAdmin');
+const { findOwnedChat } = require('../lib/conversation');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_TITLE_LENGTH = 120;
+
+router.use('/chats', authenticate);
+
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.page_size, 10) || DEFAULT_PAGE_SIZE));
+  return { page, pageSize, from: (page - 1) * pageSize, to: page * pageSize - 1 };
+}
+
+async function loadOwnedChatOr404(req, res) {
+  const chat = await findOwnedChat(req.params.id, req.currentUser.id);
+  if (!chat) {
+    res.status(404).json({ status: 'error', message: 'Chat not found' });
+    return null;
+  }
+  return chat;
+}
+
+/**
+ * GET /api/chat/chats?page=1&page_size=20&archived=false
+ * Lists the caller's chats, newest first. archived=true lists archived chats instead.
+ */
+router.get('/chats', async (req, res) => {
+  try {
+    const { page, pageSize, from, to } = parsePagination(req.query);
+    const archived = String(req.query.archived || 'false') === 'true';
+
+    let q = db
+      .from('chats')
+      .select('id, title, created_at, archived_at', { count: 'exact' })
+      .eq('user_id', req.currentUser.id);
+    q = archived ? q.not('archived_at', 'is', null) : q.is('archived_at', null);
+
+    const { data, error, count } = await q
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (error) {
+      console.error('list chats error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+
+    const total = typeof count === 'number' ? count : null;
+    return res.json({
+      status: 'ok',
+      data: data || [],
+      pagination: { page, page_size: pageSize, total, has_more: total !== null ? to + 1 < total : (data || []).length === pageSize }
+    });
+  } catch (err) {
+    console.error('GET /chats error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * GET /api/chat/chats/:id?page=1&page_size=100
+ * Chat detail plus its messages (oldest first). Assistant messages expose the stored
+ * metadata.chunks / metadata.citations as `chunks` / `citations` so the UI can show sources
+ * without reading metadata itself.
+ */
+router.get('/chats/:id', async (req, res) => {
+  try {
+    const chat = await loadOwnedChatOr404(req, res);
+    if (!chat) return;
+
+    const { page, pageSize, from, to } = parsePagination({ page: req.query.page, page_size: req.query.page_size || MAX_PAGE_SIZE });
+    const { data, error, count } = await db
+      .from('messages')
+      .select('id, role, content, metadata, created_at', { count: 'exact' })
+      .eq('chat_id', chat.id)
+      .order('created_at', { ascending: true })
+      .range(from, to);
+
+    if (error) {
+      console.error('chat messages select error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+
+    // the caller's own ratings (routes/feedback.js), best-effort
+    const feedbackByMessage = new Map();
+    const answerIds = (data || []).filter(m => m.role === 'assistant').map(m => m.id);
+    if (answerIds.length) {
+      const { data: feedback, error: fbErr } = await db
+        .from('message_feedback')
+        .select('message_id, rating, category, comment')
+        .eq('user_id', req.currentUser.id)
+        .in('message_id', answerIds);
+      if (fbErr) console.warn('chat feedback select error', fbErr);
+      for (const f of feedback || []) feedbackByMessage.set(String(f.message_id), { rating: f.rating, category: f.category, comment: f.comment });
+    }
+
+    const messages = (data || []).map(m => ({
+      id: m.id,
+      role: m.role,
+      content: m.content,
+      created_at: m.created_at,
+      chunks: (m.metadata && Array.isArray(m.metadata.chunks)) ? m.metadata.chunks : [],
+      citations: (m.metadata && Array.isArray(m.metadata.citations)) ? m.metadata.citations : [],
+      out_of_context: m.metadata ? Boolean(m.metadata.out_of_context) : false,
+      feedback: feedbackByMessage.get(String(m.id)) || null,
+      metadata: m.metadata || null
+    }));
+
+    return res.json({
+      status: 'ok',
+      data: {
+        id: chat.id,
+        title: chat.title,
+        created_at: chat.created_at,
+        archived_at: chat.archived_at || null,
+        messages
+      },
+      pagination: { page, page_size: pageSize, total: typeof count === 'number' ? count : null }
+    });
+  } catch (err) {
+    console.error('GET /chats/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * PATCH /api/chat/chats/:id
+ * body: { title?, archived? } -> rename and/or archive (archived=true) / restore (archived=false)
+ */
+router.patch('/chats/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const update = {};
+
+    if (body.title !== undefined) {
+      const title = String(body.title || '').trim();
+      if (!title) return res.status(400).json({ status: 'error', message: 'title must not be empty' });
+      update.title = title.slice(0, MAX_TITLE_LENGTH);
+    }
+    if (body.archived !== undefined) {
+      update.archived_at = (body.archived === true || body.archived === 'true') ? new Date().toISOString() : null;
+    }
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ status: 'error', message: 'Nothing to update (title, archived)' });
+    }
+
+    const chat = await loadOwnedChatOr404(req, res);
+    if (!chat) return;
+
+    const { data, error } = await db
+      .from('chats')
+      .update(update)
+      .eq('id', chat.id)
+      .eq('user_id', req.currentUser.id)
+      .select('id, title, created_at, archived_at')
+      .single();
+
+    if (error) {
+      console.error('chat update error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('PATCH /chats/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * DELETE /api/chat/chats/:id
+ * Removes the chat and all of its messages.
+ */
+router.delete('/chats/:id', async (req, res) => {
+  try {
+    const chat = await loadOwnedChatOr404(req, res);
+    if (!chat) return;
+
+    const { error: msgErr } = await db.from('messages').delete().eq('chat_id', chat.id);
+    if (msgErr) {
+      console.error('delete chat messages error', msgErr);
+      return res.status(500).json({ status: 'error', message: msgErr.message || String(msgErr) });
+    }
+
+    const { error } = await db
+      .from('chats')
+      .delete()
+      .eq('id', chat.id)
+      .eq('user_id', req.currentUser.id);
+    if (error) {
+      console.error('delete chat error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+
+    return res.json({ status: 'ok', message: 'deleted', data: { id: chat.id } });
+  } catch (err) {
+    console.error('DELETE /chats/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+// src/routes/courses.js
+// Courses group documents and students. Mounted at /api/courses.
+// Teachers/admins (courses:manage) create courses, attach documents and enroll students;
+// students see the courses they're enrolled in (and pass course_id to POST /api/chat).
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate, requirePermission } = require('../middleware/checkAdmin');
+const { hasPermission } = require('../lib/permissions');
+const { courseDocumentIds, isEnrolled, enrolledCourseIds } = require('../lib/courses');
+const { normalizeSubject } = require('../lib/prompts');
+
+const COURSE_COLUMNS = 'id, code, name, description, subject, created_at, updated_at';
+const MAX_NAME_LENGTH = 200;
+
+router.use(authenticate);
+
+function canManage(req) {
+  return hasPermission(req.currentUser.role, 'courses:manage');
+}
+
+function dbError(res, label, error) {
+  console.error(label, error);
+  // unique violation on courses.code
+  if (error && error.code === '23505') return res.status(409).json({ status: 'error', message: 'Course code already exists' });
+  return res.status(500).json({ status: 'error', message: error.message || String(error) });
+}
+
+/**
+ * Course visible to the caller (managers: any, students: enrolled only); responds 404 otherwise.
+ */
+async function loadCourseOr404(req, res) {
+  const { data: course, error } = await db.from('courses').select(COURSE_COLUMNS).eq('id', req.params.id).maybeSingle();
+  if (error) console.warn('course select error', error);
+  if (!course || (!canManage(req) && !(await isEnrolled(course.id, req.currentUser.id)))) {
+    res.status(404).json({ status: 'error', message: 'Course not found' });
+    return null;
+  }
+  return course;
+}
+
+function courseFromBody(body, { partial } = {}) {
+  const update = {};
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'name must not be empty' };
+    update.name = name.slice(0, MAX_NAME_LENGTH);
+  }
+  if (body.code !== undefined) update.code = body.code ? String(body.code).trim().slice(0, 50) : null;
+  if (body.description !== undefined) update.description = body.description ? String(body.description).trim() : null;
+  // subject groups courses for prompt template assignments (lib/prompts)
+  if (body.subject !== undefined) update.subject = normalizeSubject(body.subject);
+  return { update };
+}
+
+/**
+ * GET /api/courses
+ * Managers: all courses. Students: courses they are enrolled in.
+ */
+router.get('/', requirePermission('courses:read'), async (req, res) => {
+  try {
+    let q = db.from('courses').select(COURSE_COLUMNS);
+    if (!canManage(req)) {
+      const ids = await enrolledCourseIds(req.currentUser.id);
+      if (!ids.length) return res.json({ status: 'ok', data: [] });
+      q = q.in('id', ids);
+    }
+    const { data, error } = await q.order('name', { ascending: true });
+    if (error) return dbError(res, 'courses select error', error);
+    return res.json({ status: 'ok', data: data || [] });
+  } catch (err) {
+    console.error('GET /courses error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * POST /api/courses
+ * body: { name, code?, description?, subject? }
+ */
+router.post('/', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const { update, error: invalid } = courseFromBody(req.body || {});
+    if (invalid) return res.status(400).json({ status: 'error', message: invalid });
+    const { data, error } = await db
+      .from('courses')
+      .insert(Object.assign(update, { created_by: req.currentUser.id }))
+      .select(COURSE_COLUMNS)
+      .single();
+    if (error) return dbError(res, 'course insert error', error);
+    return res.status(201).json({ status: 'ok', data });
+  } catch (err) {
+    console.error('POST /courses error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * GET /api/courses/:id
+ * Course with its documents (and, for managers, the enrolled user ids).
+ */
+router.get('/:id', requirePermission('courses:read'), async (req, res) => {
+  try {
+    const course = await loadCourseOr404(req, res);
+    if (!course) return;
+
+    const documentIds = await courseDocumentIds(course.id);
+    let documents = [];
+    if (documentIds.length) {
+      const { data, error } = await db.from('documents').select('id, title, filename, status, pages, created_at').in('id', documentIds);
+      if (error) return dbError(res, 'course documents select error', error);
+      documents = data || [];
+    }
+
+    const result = Object.assign({}, course, { documents });
+    if (canManage(req)) {
+      const { data, error } = await db.from('course_enrollments').select('user_id, created_at').eq('course_id', course.id);
+      if (error) return dbError(res, 'course enrollments select error', error);
+      result.enrollments = data || [];
+    }
+    return res.json({ status: 'ok', data: result });
+  } catch (err) {
+    console.error('GET /courses/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * PATCH /api/courses/:id
+ * body: { name?, code?, description?, subject? }
+ */
+router.patch('/:id', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const { update, error: invalid } = courseFromBody(req.body || {}, { partial: true });
+    if (invalid) return res.status(400).json({ status: 'error', message: invalid });
+    if (!Object.keys(update).length) return res.status(400).json({ status: 'error', message: 'Nothing to update (name, code, description)' });
+    update.updated_at = new Date().toISOString();
+
+    const { data, error } = await db.from('courses').update(update).eq('id', req.params.id).select(COURSE_COLUMNS).maybeSingle();
+    if (error) return dbError(res, 'course update error', error);
+    if (!data) return res.status(404).json({ status: 'error', message: 'Course not found' });
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('PATCH /courses/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * DELETE /api/courses/:id
+ * Document links and enrollments go with it (cascade); the documents themselves stay.
+ */
+router.delete('/:id', requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const { data, error } = await db.from('courses').delete().eq('id', req.params.id).select('id');
+    if (error) return dbError(res, 'course delete error', error);
+    if (!data || !data.length) return res.status(404).json({ status: 'error', message: 'Course not found' });
+    return res.json({ status: 'ok', message: 'deleted', data: { id: req.params.id } });
+  } catch (err) {
+    console.error('DELETE /courses/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * Link helpers for PUT/DELETE /:id/documents/:documentId and /:id/enrollments/:userId.
+ * PUT is idempotent (upsert); DELETE responds 404 when there was no link.
+ */
+function linkRoutes(path, table, column, label) {
+  router.put(`/:id/${path}/:value`, requirePermission('courses:manage'), async (req, res) => {
+    try {
+      const { data: course, error: courseErr } = await db.from('courses').select('id').eq('id', req.params.id).maybeSingle();
+      if (courseErr) return dbError(res, 'course select error', courseErr);
+      if (!course) return res.status(404).json({ status: 'error', message: 'Course not found' });
+
+      const row = { course_id: course.id, [column]: req.params.value };
+      const { data, error } = await db
+        .from(table)
+        .upsert(row, { onConflict: `course_id,${column}` })
+        .select('*')
+        .single();
+      if (error) {
+        // foreign key violation: the document doesn't exist
+        if (error.code === '23503') return res.status(404).json({ status: 'error', message: `${label} not found` });
+        return dbError(res, `${table} upsert error`, error);
+      }
+      return res.json({ status: 'ok', data });
+    } catch (err) {
+      console.error(`PUT /courses/:id/${path} error`, err && (err.stack || err.message || err));
+      return res.status(500).json({ status: 'error', message: err && err.message });
+    }
+  });
+
+  router.delete(`/:id/${path}/:value`, requirePermission('courses:manage'), async (req, res) => {
+    try {
+      const { data, error } = await db
+        .from(table)
+        .delete()
+        .eq('course_id', req.params.id)
+        .eq(column, req.params.value)
+        .select('course_id');
+      if (error) return dbError(res, `${table} delete error`, error);
+      if (!data || !data.length) return res.status(404).json({ status: 'error', message: `${label} is not linked to this course` });
+      return res.json({ status: 'ok', message: 'deleted', data: { course_id: req.params.id, [column]: req.params.value } });
+    } catch (err) {
+      console.error(`DELETE /courses/:id/${path} error`, err && (err.stack || err.message || err));
+      return res.status(500).json({ status: 'error', message: err && err.message });
+    }
+  });
+}
+
+// PUT|DELETE /api/courses/:id/documents/:documentId
+linkRoutes('documents', 'course_documents', 'document_id', 'Document');
+// PUT|DELETE /api/courses/:id/enrollments/:userId
+linkRoutes('enrollments', 'course_enrollments', 'user_id', 'User');
+
+module.exports = router;
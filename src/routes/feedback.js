@@ -0,0 +1,106 @@
+// src/routes/feedback.js
+// Students rate assistant answers (thumbs up/down + category + comment). Mounted under /api/chat.
+// Low-rated answers show up in the teacher review queue (routes/feedbackReview.js).
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate } = require('../middleware/checkAdmin');
+const { findOwnedChat } = require('../lib/conversation');
+const { FEEDBACK_RATINGS, FEEDBACK_CATEGORIES, MAX_COMMENT_LENGTH, normalizeCategory } = require('../lib/feedback');
+
+router.use('/messages', authenticate);
+
+/**
+ * Load an assistant message from one of the caller's chats; responds 404 otherwise.
+ */
+async function loadOwnedAnswerOr404(req, res) {
+  const { data: message, error } = await db
+    .from('messages')
+    .select('id, chat_id, role')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  if (error) console.warn('feedback message select error', error);
+
+  const chat = message ? await findOwnedChat(message.chat_id, req.currentUser.id) : null;
+  if (!message || !chat) {
+    res.status(404).json({ status: 'error', message: 'Message not found' });
+    return null;
+  }
+  if (message.role !== 'assistant') {
+    res.status(400).json({ status: 'error', message: 'Only assistant answers can be rated' });
+    return null;
+  }
+  return message;
+}
+
+/**
+ * PUT /api/chat/messages/:id/feedback
+ * body: { rating: 'up' | 'down', category?, comment? }
+ * One feedback per user and message; sending again replaces it.
+ */
+router.put('/messages/:id/feedback', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const rating = String(body.rating || '').toLowerCase();
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({ status: 'error', message: `rating must be one of ${FEEDBACK_RATINGS.join(', ')}` });
+    }
+    const category = normalizeCategory(body.category);
+    if (category === undefined) {
+      return res.status(400).json({ status: 'error', message: `category must be one of ${FEEDBACK_CATEGORIES.join(', ')}` });
+    }
+    const comment = body.comment ? String(body.comment).trim().slice(0, MAX_COMMENT_LENGTH) : null;
+
+    const message = await loadOwnedAnswerOr404(req, res);
+    if (!message) return;
+
+    const { data, error } = await db
+      .from('message_feedback')
+      .upsert({
+        message_id: message.id,
+        user_id: req.currentUser.id,
+        rating,
+        category,
+        comment: comment || null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'message_id,user_id' })
+      .select('id, message_id, rating, category, comment, created_at, updated_at')
+      .single();
+
+    if (error) {
+      console.error('feedback upsert error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('PUT /messages/:id/feedback error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * DELETE /api/chat/messages/:id/feedback
+ * Withdraws the caller's feedback on a message.
+ */
+router.delete('/messages/:id/feedback', async (req, res) => {
+  try {
+    const message = await loadOwnedAnswerOr404(req, res);
+    if (!message) return;
+
+    const { error } = await db
+      .from('message_feedback')
+      .delete()
+      .eq('message_id', message.id)
+      .eq('user_id', req.currentUser.id);
+    if (error) {
+      console.error('feedback delete error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+    return res.json({ status: 'ok', message: 'deleted', data: { message_id: message.id } });
+  } catch (err) {
+    console.error('DELETE /messages/:id/feedback error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+module.exports = router;
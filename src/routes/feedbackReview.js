@@ -0,0 +1,164 @@
+// src/routes/feedbackReview.js
+// Teacher/admin review queue for rated answers. Mounted at /api/admin/feedback (before the admin router).
+// Each item carries the stored retrieval metadata (chunks, out_of_context, retriever) next to the
+// question and answer, so reviewers can tell whether retrieval or generation went wrong.
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate, requirePermission } = require('../middleware/checkAdmin');
+const { FEEDBACK_RATINGS, REVIEW_FAULTS, MAX_COMMENT_LENGTH, normalizeCategory, suspectedFault } = require('../lib/feedback');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+router.use(authenticate, requirePermission('feedback:review'));
+
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.page_size, 10) || DEFAULT_PAGE_SIZE));
+  return { page, pageSize, from: (page - 1) * pageSize, to: page * pageSize - 1 };
+}
+
+/**
+ * The user question an answer replied to: the latest user message in the chat at or before the answer.
+ */
+async function questionFor(answer) {
+  const { data, error } = await db
+    .from('messages')
+    .select('id, content, created_at')
+    .eq('chat_id', answer.chat_id)
+    .eq('role', 'user')
+    .lte('created_at', answer.created_at)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (error) {
+    console.warn('review queue question select error', error);
+    return null;
+  }
+  return (data && data[0]) || null;
+}
+
+/**
+ * GET /api/admin/feedback?rating=down&status=open&category=&page=1&page_size=20
+ * - rating: 'down' (default), 'up' or 'all'
+ * - status: 'open' (not reviewed yet, default), 'reviewed' or 'all'
+ * Newest first.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page, pageSize, from, to } = parsePagination(req.query);
+    const rating = String(req.query.rating || 'down').toLowerCase();
+    const status = String(req.query.status || 'open').toLowerCase();
+    if (rating !== 'all' && !FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({ status: 'error', message: `rating must be one of ${FEEDBACK_RATINGS.join(', ')}, all` });
+    }
+    if (!['open', 'reviewed', 'all'].includes(status)) {
+      return res.status(400).json({ status: 'error', message: 'status must be one of open, reviewed, all' });
+    }
+    const category = normalizeCategory(req.query.category);
+    if (category === undefined) return res.status(400).json({ status: 'error', message: 'Unknown category' });
+
+    let q = db.from('message_feedback').select('*', { count: 'exact' });
+    if (rating !== 'all') q = q.eq('rating', rating);
+    if (status === 'open') q = q.is('reviewed_at', null);
+    if (status === 'reviewed') q = q.not('reviewed_at', 'is', null);
+    if (category) q = q.eq('category', category);
+
+    const { data: feedback, error, count } = await q
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    if (error) {
+      console.error('review queue select error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+
+    const messageIds = Array.from(new Set((feedback || []).map(f => f.message_id)));
+    const answers = new Map();
+    if (messageIds.length) {
+      const { data: rows, error: msgErr } = await db
+        .from('messages')
+        .select('id, chat_id, content, metadata, created_at')
+        .in('id', messageIds);
+      if (msgErr) {
+        console.error('review queue messages select error', msgErr);
+        return res.status(500).json({ status: 'error', message: msgErr.message || String(msgErr) });
+      }
+      for (const m of rows || []) answers.set(String(m.id), m);
+    }
+
+    const items = await Promise.all((feedback || []).map(async f => {
+      const answer = answers.get(String(f.message_id)) || null;
+      const meta = (answer && answer.metadata) || {};
+      const question = answer ? await questionFor(answer) : null;
+      return {
+        id: f.id,
+        rating: f.rating,
+        category: f.category,
+        comment: f.comment,
+        user_id: f.user_id,
+        created_at: f.created_at,
+        reviewed_at: f.reviewed_at || null,
+        reviewed_by: f.reviewed_by || null,
+        review_fault: f.review_fault || null,
+        review_note: f.review_note || null,
+        chat_id: answer ? answer.chat_id : null,
+        question: question ? question.content : null,
+        answer: answer ? { id: answer.id, content: answer.content, created_at: answer.created_at } : null,
+        chunks: Array.isArray(meta.chunks) ? meta.chunks : [],
+        citations: Array.isArray(meta.citations) ? meta.citations : [],
+        out_of_context: Boolean(meta.out_of_context),
+        retriever: meta.retriever || null,
+        suspected_fault: suspectedFault(meta)
+      };
+    }));
+
+    const total = typeof count === 'number' ? count : null;
+    return res.json({
+      status: 'ok',
+      data: items,
+      pagination: { page, page_size: pageSize, total, has_more: total !== null ? to + 1 < total : items.length === pageSize }
+    });
+  } catch (err) {
+    console.error('GET /feedback error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * PATCH /api/admin/feedback/:id
+ * body: { fault?: 'retrieval' | 'generation' | 'content' | 'none', note?, reviewed? (default true) }
+ * reviewed=false puts the item back into the open queue.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const reviewed = !(body.reviewed === false || body.reviewed === 'false');
+    if (body.fault !== undefined && body.fault !== null && !REVIEW_FAULTS.includes(body.fault)) {
+      return res.status(400).json({ status: 'error', message: `fault must be one of ${REVIEW_FAULTS.join(', ')}` });
+    }
+
+    const update = reviewed
+      ? { reviewed_at: new Date().toISOString(), reviewed_by: req.currentUser.id }
+      : { reviewed_at: null, reviewed_by: null };
+    if (body.fault !== undefined) update.review_fault = body.fault || null;
+    if (body.note !== undefined) update.review_note = body.note ? String(body.note).trim().slice(0, MAX_COMMENT_LENGTH) : null;
+
+    const { data, error } = await db
+      .from('message_feedback')
+      .update(update)
+      .eq('id', req.params.id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('feedback review update error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+    if (!data) return res.status(404).json({ status: 'error', message: 'Feedback not found' });
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('PATCH /feedback/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+// src/routes/guardrails.js
+// Admin review of chat guardrail findings (lib/guardrails). Mounted at /api/admin/guardrails (before the
+// admin router). Events are written by the chat pipeline; admins mark them reviewed with a note, e.g.
+// after following up on a self-harm question or fixing a document with injected instructions.
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate, requirePermission } = require('../middleware/checkAdmin');
+const { guardrails } = require('../lib/guardrails');
+const { STAGES } = require('../lib/guardrails/rules');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_NOTE_LENGTH = 1000;
+
+router.use(authenticate, requirePermission('guardrails:review'));
+
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.page_size, 10) || DEFAULT_PAGE_SIZE));
+  return { page, pageSize, from: (page - 1) * pageSize, to: page * pageSize - 1 };
+}
+
+/**
+ * GET /api/admin/guardrails/rules
+ * The checks in effect: { enabled, classifier, chunk_action, rules: { <stage>: { <category>: [patterns] } } }
+ */
+router.get('/rules', (req, res) => {
+  return res.json({
+    status: 'ok',
+    data: { enabled: guardrails.enabled, classifier: guardrails.classifier, chunk_action: guardrails.chunkAction, rules: guardrails.rules }
+  });
+});
+
+/**
+ * GET /api/admin/guardrails/events?stage=&category=&status=open&user_id=&page=1&page_size=20
+ * - stage: input | context | output (default all)
+ * - status: 'open' (not reviewed yet, default), 'reviewed' or 'all'
+ * Newest first.
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const { page, pageSize, from, to } = parsePagination(req.query);
+    const status = String(req.query.status || 'open').toLowerCase();
+    const stage = req.query.stage ? String(req.query.stage).toLowerCase() : null;
+    if (!['open', 'reviewed', 'all'].includes(status)) {
+      return res.status(400).json({ status: 'error', message: 'status must be one of open, reviewed, all' });
+    }
+    if (stage && !STAGES.includes(stage)) {
+      return res.status(400).json({ status: 'error', message: `stage must be one of ${STAGES.join(', ')}` });
+    }
+
+    let q = db.from('guardrail_events').select('*', { count: 'exact' });
+    if (stage) q = q.eq('stage', stage);
+    if (req.query.category) q = q.eq('category', String(req.query.category));
+    if (req.query.user_id) q = q.eq('user_id', String(req.query.user_id));
+    if (status === 'open') q = q.is('reviewed_at', null);
+    if (status === 'reviewed') q = q.not('reviewed_at', 'is', null);
+
+    const { data, error, count } = await q
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    if (error) {
+      console.error('guardrail events select error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+
+    const items = data || [];
+    const total = typeof count === 'number' ? count : null;
+    return res.json({
+      status: 'ok',
+      data: items,
+      pagination: { page, page_size: pageSize, total, has_more: total !== null ? to + 1 < total : items.length === pageSize }
+    });
+  } catch (err) {
+    console.error('GET /guardrails/events error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * GET /api/admin/guardrails/events/:id
+ */
+router.get('/events/:id', async (req, res) => {
+  try {
+    const { data, error } = await db.from('guardrail_events').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) {
+      console.error('guardrail event select error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+    if (!data) return res.status(404).json({ status: 'error', message: 'Event not found' });
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('GET /guardrails/events/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * PATCH /api/admin/guardrails/events/:id
+ * body: { note?, reviewed? (default true) }
+ * reviewed=false puts the event back into the open queue.
+ */
+router.patch('/events/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const reviewed = !(body.reviewed === false || body.reviewed === 'false');
+
+    const update = reviewed
+      ? { reviewed_at: new Date().toISOString(), reviewed_by: req.currentUser.id }
+      : { reviewed_at: null, reviewed_by: null };
+    if (body.note !== undefined) update.review_note = body.note ? String(body.note).trim().slice(0, MAX_NOTE_LENGTH) : null;
+
+    const { data, error } = await db
+      .from('guardrail_events')
+      .update(update)
+      .eq('id', req.params.id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      console.error('guardrail event update error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+    if (!data) return res.status(404).json({ status: 'error', message: 'Event not found' });
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('PATCH /guardrails/events/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+module.exports = router;
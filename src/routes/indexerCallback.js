@@ -0,0 +1,124 @@
+// src/routes/indexerCallback.js
+// Inbound webhook for the python indexing worker. Mounted at /api/admin/indexer before the admin
+// router, so it is authenticated by an HMAC signature instead of a user token.
+//
+// Signing (worker side):
+//   X-Indexer-Timestamp: <unix seconds>
+//   X-Indexer-Signature: sha256=<hex HMAC-SHA256(INDEXER_CALLBACK_SECRET, `${timestamp}.${raw body}`)>
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { transitionDocumentStatus } = require('../lib/documentStatus');
+const { invalidateKeywordIndex } = require('../lib/keywordRetriever');
+const { answerCache } = require('../lib/answerCache');
+const { jobQueue } = require('../lib/jobs');
+
+const SIGNATURE_TOLERANCE_SECONDS = Number(process.env.INDEXER_CALLBACK_TOLERANCE_SECONDS || 300);
+const EVENTS = ['progress', 'completed', 'failed'];
+
+/**
+ * verifySignature(req, secret) -> null when valid, otherwise the reason it was rejected.
+ * Needs req.rawBody (captured by the express.json verify hook in index.js).
+ */
+function verifySignature(req, secret) {
+  const timestamp = req.get('X-Indexer-Timestamp');
+  const header = req.get('X-Indexer-Signature') || '';
+  if (!timestamp || !header) return 'Missing signature headers';
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > SIGNATURE_TOLERANCE_SECONDS) {
+    return 'Signature timestamp outside tolerance';
+  }
+
+  const raw = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${raw}`).digest('hex');
+  const given = header.replace(/^sha256=/i, '');
+  const a = Buffer.from(expected, 'utf8');
+  const b = Buffer.from(given, 'utf8');
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return 'Invalid signature';
+  return null;
+}
+
+function findJob(body) {
+  if (body.job_id) return jobQueue.get(String(body.job_id));
+  // older workers don't echo job_id back; fall back to the document's active job
+  return jobQueue.findActive('document.process', body.document_id);
+}
+
+function transitionStatusCode(error) {
+  if (error.code === 'not_found') return 404;
+  if (error.code === 'illegal_transition' || error.code === 'conflict') return 409;
+  return 500;
+}
+
+/**
+ * POST /api/admin/indexer/callback
+ * body: { document_id, job_id?, event: 'progress' | 'completed' | 'failed', progress?, stage?, chunk_count?, error?, retryable? }
+ * - progress: updates the job's progress (and heartbeat)
+ * - completed: documents.status -> 'embedded', job succeeded
+ * - failed: job goes through the normal retry path; documents.status -> 'error' once retries are exhausted
+ */
+router.post('/callback', async (req, res) => {
+  try {
+    const secret = process.env.INDEXER_CALLBACK_SECRET;
+    if (!secret) return res.status(503).json({ status: 'error', message: 'INDEXER_CALLBACK_SECRET not configured' });
+
+    const rejected = verifySignature(req, secret);
+    if (rejected) {
+      console.warn('indexer callback rejected:', rejected);
+      return res.status(401).json({ status: 'error', message: rejected });
+    }
+    const body = req.body || {};
+    if (!body.document_id) return res.status(400).json({ status: 'error', message: 'document_id required' });
+    if (!EVENTS.includes(body.event)) {
+      return res.status(400).json({ status: 'error', message: `event must be one of ${EVENTS.join(', ')}` });
+    }
+
+    const documentId = String(body.document_id);
+    const job = findJob(body);
+    if (job && String(job.document_id) !== documentId) {
+      return res.status(400).json({ status: 'error', message: 'job_id does not belong to document_id' });
+    }
+
+    if (body.event === 'progress') {
+      const progress = Number(body.progress);
+      const updated = job ? jobQueue.report(job.id, { progress, stage: body.stage || 'indexing' }) : null;
+      return res.json({ status: 'ok', data: { document_id: documentId, job: updated || job || null } });
+    }
+
+    if (body.event === 'completed') {
+      const result = await transitionDocumentStatus(db, documentId, 'embedded');
+      if (!result.ok) return res.status(transitionStatusCode(result.error)).json({ status: 'error', message: result.error.message, data: result });
+
+      invalidateKeywordIndex();
+      answerCache.invalidateDocument(documentId);
+      const completed = job
+        ? jobQueue.complete(job.id, { mode: 'external', chunk_count: Number.isFinite(Number(body.chunk_count)) ? Number(body.chunk_count) : null })
+        : null;
+      return res.json({ status: 'ok', data: { document_id: documentId, status: result.to, job: completed || job || null } });
+    }
+
+    // failed
+    const err = new Error(body.error ? String(body.error).slice(0, 1000) : 'Indexer reported failure');
+    if (body.retryable === false) err.retryable = false;
+
+    if (job) {
+      const after = await jobQueue.failJob(job.id, err);
+      if (after) {
+        // queued again = a retry is scheduled and the document stays 'processing';
+        // otherwise the job handler's onFailed hook has already marked it 'error'
+        return res.json({ status: 'ok', data: { document_id: documentId, retrying: after.status === 'queued', job: after } });
+      }
+    }
+
+    const result = await transitionDocumentStatus(db, documentId, 'error');
+    if (!result.ok) return res.status(transitionStatusCode(result.error)).json({ status: 'error', message: result.error.message, data: result });
+    return res.json({ status: 'ok', data: { document_id: documentId, status: result.to, retrying: false, job: job || null } });
+  } catch (err) {
+    console.error('POST /indexer/callback error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// src/routes/profile.js
+// The signed-in user's own profile settings. Mounted at /api/profile.
+// preferred_language decides the language of chat answers (lib/language); /quota shows LLM quota usage.
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate, devUser } = require('../middleware/checkAdmin');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage, preferredLanguage } = require('../lib/language');
+const { quotaFor, usageOf } = require('../lib/quotas');
+
+router.use(authenticate);
+
+function profileOf(user, preferred_language) {
+  return { id: user.id, role: user.role, email: user.email, preferred_language, supported_languages: SUPPORTED_LANGUAGES };
+}
+
+/**
+ * GET /api/profile
+ * -> { id, role, email, preferred_language, supported_languages }
+ */
+router.get('/', async (req, res) => {
+  try {
+    return res.json({ status: 'ok', data: profileOf(req.currentUser, await preferredLanguage(req.currentUser.id)) });
+  } catch (err) {
+    console.error('GET /api/profile error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * PATCH /api/profile
+ * body: { preferred_language: 'id' | 'en' | 'jv' | 'su' | null }
+ * null (or 'auto') clears the preference: answers follow the language of each question.
+ */
+router.patch('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.preferred_language === undefined) {
+      return res.status(400).json({ status: 'error', message: 'preferred_language required' });
+    }
+    const raw = body.preferred_language === null ? 'auto' : String(body.preferred_language).toLowerCase();
+    if (raw !== 'auto' && !isSupportedLanguage(raw)) {
+      return res.status(400).json({ status: 'error', message: `preferred_language must be one of ${SUPPORTED_LANGUAGES.join(', ')} or null` });
+    }
+    const preferred_language = raw === 'auto' ? null : raw;
+
+    // only preferred_language is written: the role read at authentication may be stale by now
+    const { data: updated, error } = await db
+      .from('profiles')
+      .update({ preferred_language })
+      .eq('id', req.currentUser.id)
+      .select('id');
+    if (error) {
+      console.error('profile update error', error);
+      return res.status(500).json({ status: 'error', message: error.message || String(error) });
+    }
+    if (!updated || !updated.length) {
+      // the offline dev user (DEV_AUTH_ROLE) has no profiles row until its first change
+      const dev = devUser();
+      if (!dev || dev.id !== req.currentUser.id) return res.status(404).json({ status: 'error', message: 'Profile not found' });
+      const { error: insErr } = await db.from('profiles').insert({ id: dev.id, role: dev.role, preferred_language });
+      if (insErr) {
+        console.error('profile insert error', insErr);
+        return res.status(500).json({ status: 'error', message: insErr.message || String(insErr) });
+      }
+    }
+    return res.json({ status: 'ok', data: profileOf(req.currentUser, preferred_language) });
+  } catch (err) {
+    console.error('PATCH /api/profile error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * GET /api/profile/quota
+ * -> { limits: { daily_requests, daily_tokens, monthly_requests, monthly_tokens } (null = unlimited),
+ *      usage: { day: { period, requests, tokens, reset_at }, month: { ... } } }
+ */
+router.get('/quota', async (req, res) => {
+  try {
+    const [limits, usage] = await Promise.all([quotaFor(req.currentUser), usageOf(req.currentUser)]);
+    return res.json({ status: 'ok', data: { limits, usage } });
+  } catch (err) {
+    console.error('GET /api/profile/quota error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+module.exports = router;
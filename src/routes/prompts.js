@@ -0,0 +1,463 @@
+// src/routes/prompts.js
+// Admin-managed prompt templates (lib/prompts). Mounted at /api/admin/prompts (before the admin router).
+// Templates are versioned: editing the body adds a version, and any earlier version can be made current
+// again. Assignments pick the template of a kind per course, per subject or globally; changes apply to
+// the next chat request without a redeploy.
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate, requirePermission } = require('../middleware/checkAdmin');
+const {
+  KINDS, PROMPT_KINDS, ASSIGNMENT_SCOPES, GLOBAL_TARGET, normalizeSubject, validateTemplate, templateVariables,
+  promptSetFor, promptRefs, invalidatePrompts, buildAnswerPrompt, buildTranslationPrompt
+} = require('../lib/prompts');
+const { keywordSearch } = require('../lib/keywordRetriever');
+const { resolveRetrievalScope, documentInScope } = require('../lib/courses');
+const { RETRIEVAL_LANGUAGE, SUPPORTED_LANGUAGES, identifyLanguage, isSupportedLanguage, answerLanguage } = require('../lib/language');
+const { estimateTokens } = require('../lib/tokens');
+
+const TEMPLATE_COLUMNS = 'id, kind, name, description, current_version, created_by, created_at, updated_at';
+const VERSION_COLUMNS = 'id, template_id, version, body, note, created_by, created_at';
+const MAX_NAME_LENGTH = 200;
+const PREVIEW_K = 2;
+
+// used by answer_context previews when retrieval finds nothing for the sample question
+const SAMPLE_CHUNK = {
+  document_id: 'contoh',
+  document_title: 'Contoh materi',
+  chunk_index: 0,
+  page: 1,
+  text: 'Fotosintesis adalah proses tumbuhan hijau mengubah air dan karbon dioksida menjadi glukosa dan oksigen dengan bantuan cahaya matahari.'
+};
+
+router.use(authenticate, requirePermission('prompts:manage'));
+
+function dbError(res, label, error) {
+  console.error(label, error);
+  return res.status(500).json({ status: 'error', message: error.message || String(error) });
+}
+
+function serverError(res, label, err) {
+  console.error(label, err && (err.stack || err.message || err));
+  return res.status(500).json({ status: 'error', message: err && err.message });
+}
+
+async function loadTemplateOr404(req, res) {
+  const { data, error } = await db.from('prompt_templates').select(TEMPLATE_COLUMNS).eq('id', req.params.id).maybeSingle();
+  if (error) console.warn('prompt template select error', error);
+  if (!data) {
+    res.status(404).json({ status: 'error', message: 'Template not found' });
+    return null;
+  }
+  return data;
+}
+
+async function loadVersion(templateId, version) {
+  const { data, error } = await db
+    .from('prompt_template_versions')
+    .select(VERSION_COLUMNS)
+    .eq('template_id', templateId)
+    .eq('version', version)
+    .maybeSingle();
+  if (error) throw new Error(error.message || String(error));
+  return data || null;
+}
+
+// numbered after the highest existing version (the current one may be older after a rollback)
+async function addVersion(templateId, { body, note }, userId) {
+  const { data: latest, error: latestErr } = await db
+    .from('prompt_template_versions')
+    .select('version')
+    .eq('template_id', templateId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (latestErr) throw new Error(latestErr.message || String(latestErr));
+  const { data, error } = await db
+    .from('prompt_template_versions')
+    .insert({ template_id: templateId, version: (latest ? latest.version : 0) + 1, body, note: note ? String(note).trim() : null, created_by: userId })
+    .select(VERSION_COLUMNS)
+    .single();
+  if (error) throw new Error(error.message || String(error));
+  return data;
+}
+
+function parseVersion(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * GET /api/admin/prompts/kinds
+ * -> [{ kind, description, variables, required, builtin_body }]
+ */
+router.get('/kinds', (req, res) => {
+  const data = PROMPT_KINDS.map(kind => ({
+    kind,
+    description: KINDS[kind].description,
+    variables: KINDS[kind].variables,
+    required: KINDS[kind].required,
+    builtin_body: KINDS[kind].body
+  }));
+  return res.json({ status: 'ok', data });
+});
+
+/**
+ * GET /api/admin/prompts?kind=
+ * Templates with the body of their current version.
+ */
+router.get('/', async (req, res) => {
+  try {
+    let q = db.from('prompt_templates').select(TEMPLATE_COLUMNS);
+    if (req.query.kind) q = q.eq('kind', req.query.kind);
+    const { data: templates, error } = await q.order('updated_at', { ascending: false });
+    if (error) return dbError(res, 'prompt templates select error', error);
+    const ids = (templates || []).map(t => t.id);
+    let versions = [];
+    if (ids.length) {
+      const { data, error: vErr } = await db.from('prompt_template_versions').select('template_id, version, body').in('template_id', ids);
+      if (vErr) return dbError(res, 'prompt versions select error', vErr);
+      versions = data || [];
+    }
+    const result = (templates || []).map(t => {
+      const current = versions.find(v => v.template_id === t.id && v.version === t.current_version);
+      return Object.assign({}, t, { body: current ? current.body : null });
+    });
+    return res.json({ status: 'ok', data: result });
+  } catch (err) {
+    return serverError(res, 'GET /prompts error', err);
+  }
+});
+
+/**
+ * POST /api/admin/prompts
+ * body: { kind, name, body, description?, note? } -> template at version 1
+ * The body may only use the variables of its kind (GET /kinds) and must use the required ones.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const input = req.body || {};
+    const invalid = validateTemplate(input.kind, input.body);
+    if (invalid) return res.status(400).json({ status: 'error', message: invalid });
+    const name = String(input.name || '').trim();
+    if (!name) return res.status(400).json({ status: 'error', message: 'name must not be empty' });
+
+    const { data: template, error } = await db
+      .from('prompt_templates')
+      .insert({ kind: input.kind, name: name.slice(0, MAX_NAME_LENGTH), description: input.description ? String(input.description).trim() : null, current_version: 1, created_by: req.currentUser.id })
+      .select(TEMPLATE_COLUMNS)
+      .single();
+    if (error) return dbError(res, 'prompt template insert error', error);
+    const version = await addVersion(template.id, input, req.currentUser.id);
+    return res.status(201).json({ status: 'ok', data: Object.assign({}, template, { body: version.body }) });
+  } catch (err) {
+    return serverError(res, 'POST /prompts error', err);
+  }
+});
+
+/**
+ * GET /api/admin/prompts/assignments
+ * -> [{ kind, scope, target, template_id, template_name, template_version, assigned_by, created_at }]
+ */
+router.get('/assignments', async (req, res) => {
+  try {
+    const { data: assignments, error } = await db.from('prompt_assignments').select('kind, scope, target, template_id, assigned_by, created_at');
+    if (error) return dbError(res, 'prompt assignments select error', error);
+    const ids = Array.from(new Set((assignments || []).map(a => a.template_id)));
+    let templates = [];
+    if (ids.length) {
+      const { data, error: tErr } = await db.from('prompt_templates').select('id, name, current_version').in('id', ids);
+      if (tErr) return dbError(res, 'prompt templates select error', tErr);
+      templates = data || [];
+    }
+    const byId = new Map(templates.map(t => [t.id, t]));
+    const data = (assignments || []).map(a => Object.assign({}, a, {
+      template_name: byId.has(a.template_id) ? byId.get(a.template_id).name : null,
+      template_version: byId.has(a.template_id) ? byId.get(a.template_id).current_version : null
+    }));
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    return serverError(res, 'GET /prompts/assignments error', err);
+  }
+});
+
+/**
+ * Validates :kind/:scope/:target? of an assignment route; responds 400/404 and returns null when invalid.
+ * target: course id (course), subject name (subject), omitted or '*' (global).
+ */
+async function assignmentParams(req, res) {
+  const { kind, scope } = req.params;
+  if (!PROMPT_KINDS.includes(kind)) {
+    res.status(400).json({ status: 'error', message: `kind must be one of: ${PROMPT_KINDS.join(', ')}` });
+    return null;
+  }
+  if (!ASSIGNMENT_SCOPES.includes(scope)) {
+    res.status(400).json({ status: 'error', message: `scope must be one of: ${ASSIGNMENT_SCOPES.join(', ')}` });
+    return null;
+  }
+  if (scope === 'global') return { kind, scope, target: GLOBAL_TARGET };
+  if (scope === 'subject') {
+    const target = normalizeSubject(req.params.target);
+    if (!target) {
+      res.status(400).json({ status: 'error', message: 'subject required' });
+      return null;
+    }
+    return { kind, scope, target };
+  }
+  const { data: course, error } = await db.from('courses').select('id').eq('id', req.params.target || '').maybeSingle();
+  if (error) console.warn('course select error', error);
+  if (!course) {
+    res.status(404).json({ status: 'error', message: 'Course not found' });
+    return null;
+  }
+  return { kind, scope, target: String(course.id) };
+}
+
+/**
+ * PUT /api/admin/prompts/assignments/:kind/:scope/:target?
+ * body: { template_id } (a template of the same kind). scope: course | subject | global.
+ */
+router.put('/assignments/:kind/:scope/:target?', async (req, res) => {
+  try {
+    const params = await assignmentParams(req, res);
+    if (!params) return;
+    const templateId = (req.body || {}).template_id;
+    const { data: template, error: tErr } = templateId
+      ? await db.from('prompt_templates').select('id, kind').eq('id', templateId).maybeSingle()
+      : { data: null, error: null };
+    if (tErr) console.warn('prompt template select error', tErr);
+    if (!template) return res.status(404).json({ status: 'error', message: 'Template not found' });
+    if (template.kind !== params.kind) return res.status(400).json({ status: 'error', message: `template is a ${template.kind} template, not ${params.kind}` });
+
+    const { data, error } = await db
+      .from('prompt_assignments')
+      .upsert(Object.assign({}, params, { template_id: template.id, assigned_by: req.currentUser.id, created_at: new Date().toISOString() }), { onConflict: 'kind,scope,target' })
+      .select('kind, scope, target, template_id, assigned_by, created_at')
+      .single();
+    if (error) return dbError(res, 'prompt assignment upsert error', error);
+    invalidatePrompts();
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    return serverError(res, 'PUT /prompts/assignments error', err);
+  }
+});
+
+/**
+ * DELETE /api/admin/prompts/assignments/:kind/:scope/:target?
+ * The course / subject falls back to the next assignment (subject, global) or the built-in template.
+ */
+router.delete('/assignments/:kind/:scope/:target?', async (req, res) => {
+  try {
+    const params = await assignmentParams(req, res);
+    if (!params) return;
+    const { data, error } = await db
+      .from('prompt_assignments')
+      .delete()
+      .eq('kind', params.kind)
+      .eq('scope', params.scope)
+      .eq('target', params.target)
+      .select('kind');
+    if (error) return dbError(res, 'prompt assignment delete error', error);
+    if (!data || !data.length) return res.status(404).json({ status: 'error', message: 'No assignment' });
+    invalidatePrompts();
+    return res.json({ status: 'ok', data: Object.assign({ deleted: true }, params) });
+  } catch (err) {
+    return serverError(res, 'DELETE /prompts/assignments error', err);
+  }
+});
+
+/**
+ * GET /api/admin/prompts/:id
+ * Template with the current body, its version history (newest first) and where it is assigned.
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+    const [{ data: versions, error: vErr }, { data: assignments, error: aErr }] = await Promise.all([
+      db.from('prompt_template_versions').select(VERSION_COLUMNS).eq('template_id', template.id).order('version', { ascending: false }),
+      db.from('prompt_assignments').select('kind, scope, target, assigned_by, created_at').eq('template_id', template.id)
+    ]);
+    if (vErr) return dbError(res, 'prompt versions select error', vErr);
+    if (aErr) return dbError(res, 'prompt assignments select error', aErr);
+    const current = (versions || []).find(v => v.version === template.current_version);
+    return res.json({ status: 'ok', data: Object.assign({}, template, { body: current ? current.body : null, versions: versions || [], assignments: assignments || [] }) });
+  } catch (err) {
+    return serverError(res, 'GET /prompts/:id error', err);
+  }
+});
+
+/**
+ * GET /api/admin/prompts/:id/versions/:version
+ */
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+    const version = parseVersion(req.params.version);
+    const data = version ? await loadVersion(template.id, version) : null;
+    if (!data) return res.status(404).json({ status: 'error', message: 'Version not found' });
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    return serverError(res, 'GET /prompts/:id/versions/:version error', err);
+  }
+});
+
+/**
+ * PUT /api/admin/prompts/:id
+ * body: { body?, note?, name?, description? }
+ * A changed body is stored as a new version and becomes current; name / description are edited in place.
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+    const input = req.body || {};
+    const update = {};
+    if (input.name !== undefined) {
+      const name = String(input.name || '').trim();
+      if (!name) return res.status(400).json({ status: 'error', message: 'name must not be empty' });
+      update.name = name.slice(0, MAX_NAME_LENGTH);
+    }
+    if (input.description !== undefined) update.description = input.description ? String(input.description).trim() : null;
+
+    let version = null;
+    if (input.body !== undefined) {
+      const invalid = validateTemplate(template.kind, input.body);
+      if (invalid) return res.status(400).json({ status: 'error', message: invalid });
+      const current = await loadVersion(template.id, template.current_version);
+      if (!current || current.body !== input.body) {
+        version = await addVersion(template.id, input, req.currentUser.id);
+        update.current_version = version.version;
+      }
+    }
+    if (!Object.keys(update).length) return res.json({ status: 'ok', data: template, message: 'No changes' });
+
+    update.updated_at = new Date().toISOString();
+    const { data, error } = await db.from('prompt_templates').update(update).eq('id', template.id).select(TEMPLATE_COLUMNS).single();
+    if (error) return dbError(res, 'prompt template update error', error);
+    invalidatePrompts();
+    return res.json({ status: 'ok', data: version ? Object.assign({}, data, { body: version.body }) : data });
+  } catch (err) {
+    return serverError(res, 'PUT /prompts/:id error', err);
+  }
+});
+
+/**
+ * POST /api/admin/prompts/:id/activate
+ * body: { version } -> makes an earlier (or later) version current again (rollback)
+ */
+router.post('/:id/activate', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+    const version = parseVersion((req.body || {}).version);
+    const found = version ? await loadVersion(template.id, version) : null;
+    if (!found) return res.status(404).json({ status: 'error', message: 'Version not found' });
+    const { data, error } = await db
+      .from('prompt_templates')
+      .update({ current_version: found.version, updated_at: new Date().toISOString() })
+      .eq('id', template.id)
+      .select(TEMPLATE_COLUMNS)
+      .single();
+    if (error) return dbError(res, 'prompt template update error', error);
+    invalidatePrompts();
+    return res.json({ status: 'ok', data: Object.assign({}, data, { body: found.body }) });
+  } catch (err) {
+    return serverError(res, 'POST /prompts/:id/activate error', err);
+  }
+});
+
+/**
+ * DELETE /api/admin/prompts/:id
+ * Removes the template, its versions and its assignments (those fall back to the next match).
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+    const { error } = await db.from('prompt_templates').delete().eq('id', template.id);
+    if (error) return dbError(res, 'prompt template delete error', error);
+    invalidatePrompts();
+    return res.json({ status: 'ok', data: { id: template.id, deleted: true } });
+  } catch (err) {
+    return serverError(res, 'DELETE /prompts/:id error', err);
+  }
+});
+
+/**
+ * POST /api/admin/prompts/:id/preview
+ * body: { question, version? (default current), body? (unsaved draft), course_id?, language?, history? }
+ * Renders the template against a sample question without calling the LLM. Context comes from the
+ * keyword retriever (scoped to course_id when given); the other kinds use whatever course_id resolves
+ * to, as in chat. history: [{ role: 'user' | 'assistant', content }].
+ * -> { prompt, tokens, language, chunks, prompt_templates, variables }
+ */
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+    const input = req.body || {};
+    const question = String(input.question || '').trim();
+    if (!question) return res.status(400).json({ status: 'error', message: 'question required' });
+    if (input.language !== undefined && input.language !== null && !isSupportedLanguage(input.language)) {
+      return res.status(400).json({ status: 'error', message: `language must be one of ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+
+    let body;
+    let ref;
+    if (input.body !== undefined) {
+      const invalid = validateTemplate(template.kind, input.body);
+      if (invalid) return res.status(400).json({ status: 'error', message: invalid });
+      body = input.body;
+      ref = `${template.id}@draft`;
+    } else {
+      const version = input.version === undefined ? template.current_version : parseVersion(input.version);
+      const found = version ? await loadVersion(template.id, version) : null;
+      if (!found) return res.status(404).json({ status: 'error', message: 'Version not found' });
+      body = found.body;
+      ref = `${template.id}@${found.version}`;
+    }
+
+    const { scope, error: scopeErr } = await resolveRetrievalScope({ userId: req.currentUser.id, course_id: input.course_id });
+    if (scopeErr) return res.status(scopeErr.status).json({ status: 'error', message: scopeErr.message });
+    const prompts = await promptSetFor({ course_id: input.course_id });
+    prompts[template.kind] = { template_id: template.id, name: template.name, version: template.current_version, body, ref };
+
+    const detected = identifyLanguage(question);
+    const language = { detected: detected.language, confidence: detected.confidence, answer: answerLanguage({ preferred: input.language || null, detected }) };
+
+    let prompt;
+    let chunks = [];
+    if (template.kind === 'translation') {
+      const from = detected.language === 'und' ? 'id' : detected.language;
+      prompt = buildTranslationPrompt({ text: question, from, to: RETRIEVAL_LANGUAGE, prompts });
+    } else {
+      if (template.kind !== 'answer_no_context') {
+        chunks = await keywordSearch(question, { k: PREVIEW_K, allow: scope ? id => documentInScope(scope, id) : undefined });
+      }
+      if (template.kind === 'answer_context' && !chunks.length) chunks = [SAMPLE_CHUNK];
+      const turns = Array.isArray(input.history)
+        ? input.history.filter(t => t && ['user', 'assistant'].includes(t.role) && t.content).map(t => ({ role: t.role, content: String(t.content) }))
+        : [];
+      const history = turns.length ? { summary: null, turns } : null;
+      prompt = buildAnswerPrompt({ question, chunks, has_context: template.kind === 'persona' ? chunks.length > 0 : template.kind === 'answer_context', history, language: language.answer, prompts });
+    }
+
+    return res.json({
+      status: 'ok',
+      data: {
+        prompt,
+        tokens: estimateTokens(prompt),
+        language,
+        chunks: chunks.map(c => ({ document_id: c.document_id, document_title: c.document_title, chunk_index: c.chunk_index, similarity: c.similarity ?? null })),
+        prompt_templates: promptRefs(prompts),
+        variables: templateVariables(body)
+      }
+    });
+  } catch (err) {
+    return serverError(res, 'POST /prompts/:id/preview error', err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,447 @@
+// src/routes/quizzes.js
+// Practice quizzes generated from processed documents. Mounted at /api/quizzes.
+// Teachers/admins (quizzes:manage) generate, edit and publish; everyone with quizzes:take
+// starts attempts on published quizzes and gets them graded (lib/quiz.js).
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate, requirePermission } = require('../middleware/checkAdmin');
+const { enforceQuota } = require('../middleware/quota');
+const { hasPermission } = require('../lib/permissions');
+const { resolveRetrievalScope, documentInScope } = require('../lib/courses');
+const { generateQuestions, gradeResponses, validateQuestion } = require('../lib/quiz');
+
+const QUESTION_COLUMNS = 'id, quiz_id, position, type, question, options, answer_index, answer, rubric, explanation, sources, points';
+const MAX_TITLE_LENGTH = 200;
+
+router.use(authenticate);
+
+function canManage(req) {
+  return hasPermission(req.currentUser.role, 'quizzes:manage');
+}
+
+function dbError(res, label, error) {
+  console.error(label, error);
+  return res.status(500).json({ status: 'error', message: error.message || String(error) });
+}
+
+// students never see answer keys before submitting
+function publicQuestion(q) {
+  return { id: q.id, position: q.position, type: q.type, question: q.question, options: q.type === 'mcq' ? q.options : null, points: q.points };
+}
+
+async function loadQuestions(quizId) {
+  const { data, error } = await db
+    .from('quiz_questions')
+    .select(QUESTION_COLUMNS)
+    .eq('quiz_id', quizId)
+    .order('position', { ascending: true });
+  if (error) throw new Error(error.message || String(error));
+  return data || [];
+}
+
+/**
+ * Documents the caller may take quizzes on: null (all) for managers, else the chat retrieval scope
+ * (lib/courses), so students never see quizzes on material of courses they aren't enrolled in.
+ */
+async function quizScope(req) {
+  if (canManage(req)) return null;
+  const { scope } = await resolveRetrievalScope({ userId: req.currentUser.id });
+  return scope;
+}
+
+/**
+ * Quiz visible to the caller (managers see drafts too); responds 404 otherwise.
+ */
+async function loadQuizOr404(req, res, quizId = req.params.id) {
+  const { data: quiz, error } = await db.from('quizzes').select('*').eq('id', quizId).maybeSingle();
+  if (error) console.warn('quiz select error', error);
+  if (!quiz || (quiz.status !== 'published' && !canManage(req)) || !documentInScope(await quizScope(req), quiz.document_id)) {
+    res.status(404).json({ status: 'error', message: 'Quiz not found' });
+    return null;
+  }
+  return quiz;
+}
+
+async function loadDocumentChunks(documentId) {
+  const { data: doc, error: docErr } = await db.from('documents').select('id, title, filename').eq('id', documentId).maybeSingle();
+  if (docErr) throw new Error(docErr.message || String(docErr));
+  if (!doc) return null;
+
+  const { data, error } = await db
+    .from('chunks')
+    .select('chunk_index, page_start, text')
+    .eq('document_id', documentId)
+    .order('chunk_index', { ascending: true });
+  if (error) throw new Error(error.message || String(error));
+
+  const title = doc.title || doc.filename || String(doc.id);
+  return {
+    doc,
+    chunks: (data || []).map(c => ({ document_id: doc.id, document_title: title, chunk_index: c.chunk_index, page: c.page_start ?? null, text: c.text || '' }))
+  };
+}
+
+/**
+ * POST /api/quizzes/generate
+ * body: { document_id, title?, mcq_count? (default 5), short_count? (default 2) }
+ * Generates questions from the document's chunks and stores them as a draft quiz.
+ * Counts against the caller's LLM quota (middleware/quota).
+ */
+router.post('/generate', requirePermission('quizzes:manage'), enforceQuota(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.document_id) return res.status(400).json({ status: 'error', message: 'document_id required' });
+
+    const material = await loadDocumentChunks(body.document_id);
+    if (!material) return res.status(404).json({ status: 'error', message: 'Document not found' });
+
+    const questions = await generateQuestions({
+      chunks: material.chunks,
+      mcqCount: body.mcq_count ?? 5,
+      shortCount: body.short_count ?? 2
+    });
+
+    const title = String(body.title || `Latihan: ${material.chunks[0] ? material.chunks[0].document_title : material.doc.id}`).trim().slice(0, MAX_TITLE_LENGTH);
+    const { data: quiz, error } = await db
+      .from('quizzes')
+      .insert({ document_id: material.doc.id, title, status: 'draft', created_by: req.currentUser.id })
+      .select('*')
+      .single();
+    if (error) return dbError(res, 'quiz insert error', error);
+
+    const rows = questions.map((q, i) => Object.assign({ quiz_id: quiz.id, position: i }, q));
+    const { data: inserted, error: qErr } = await db.from('quiz_questions').insert(rows).select(QUESTION_COLUMNS);
+    if (qErr) {
+      await db.from('quizzes').delete().eq('id', quiz.id);
+      return dbError(res, 'quiz questions insert error', qErr);
+    }
+
+    return res.status(201).json({ status: 'ok', data: Object.assign({}, quiz, { questions: inserted || [] }) });
+  } catch (err) {
+    if (err && err.status && err.status < 600) return res.status(err.status).json({ status: 'error', message: err.message });
+    console.error('POST /quizzes/generate error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * GET /api/quizzes?document_id=
+ * Managers see drafts and published quizzes; students only published ones on material they can access.
+ */
+router.get('/', requirePermission('quizzes:take'), async (req, res) => {
+  try {
+    let q = db.from('quizzes').select('id, document_id, title, status, created_at, updated_at');
+    if (!canManage(req)) q = q.eq('status', 'published');
+    if (req.query.document_id) q = q.eq('document_id', req.query.document_id);
+    const { data, error } = await q.order('created_at', { ascending: false });
+    if (error) return dbError(res, 'quizzes select error', error);
+    const scope = await quizScope(req);
+    return res.json({ status: 'ok', data: (data || []).filter(quiz => documentInScope(scope, quiz.document_id)) });
+  } catch (err) {
+    console.error('GET /quizzes error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * GET /api/quizzes/:id
+ * Managers get answer keys, rubrics and sources; students get questions and options only.
+ */
+router.get('/:id', requirePermission('quizzes:take'), async (req, res) => {
+  try {
+    const quiz = await loadQuizOr404(req, res);
+    if (!quiz) return;
+    const questions = await loadQuestions(quiz.id);
+    return res.json({ status: 'ok', data: Object.assign({}, quiz, { questions: canManage(req) ? questions : questions.map(publicQuestion) }) });
+  } catch (err) {
+    console.error('GET /quizzes/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * PATCH /api/quizzes/:id
+ * body: { title?, status?: 'draft' | 'published' }
+ */
+router.patch('/:id', requirePermission('quizzes:manage'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const update = {};
+    if (body.title !== undefined) {
+      const title = String(body.title || '').trim();
+      if (!title) return res.status(400).json({ status: 'error', message: 'title must not be empty' });
+      update.title = title.slice(0, MAX_TITLE_LENGTH);
+    }
+    if (body.status !== undefined) {
+      if (!['draft', 'published'].includes(body.status)) return res.status(400).json({ status: 'error', message: "status must be 'draft' or 'published'" });
+      update.status = body.status;
+    }
+    if (!Object.keys(update).length) return res.status(400).json({ status: 'error', message: 'Nothing to update (title, status)' });
+    update.updated_at = new Date().toISOString();
+
+    const { data, error } = await db.from('quizzes').update(update).eq('id', req.params.id).select('*').maybeSingle();
+    if (error) return dbError(res, 'quiz update error', error);
+    if (!data) return res.status(404).json({ status: 'error', message: 'Quiz not found' });
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('PATCH /quizzes/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * DELETE /api/quizzes/:id  (questions and attempts are removed by cascade)
+ */
+router.delete('/:id', requirePermission('quizzes:manage'), async (req, res) => {
+  try {
+    const { data, error } = await db.from('quizzes').delete().eq('id', req.params.id).select('id');
+    if (error) return dbError(res, 'quiz delete error', error);
+    if (!data || !data.length) return res.status(404).json({ status: 'error', message: 'Quiz not found' });
+    return res.json({ status: 'ok', message: 'deleted', data: { id: req.params.id } });
+  } catch (err) {
+    console.error('DELETE /quizzes/:id error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+const EDITABLE_QUESTION_FIELDS = ['position', 'type', 'question', 'options', 'answer_index', 'answer', 'rubric', 'explanation', 'sources', 'points'];
+
+function questionFromBody(body, existing = {}) {
+  const q = Object.assign({ type: 'mcq', points: 1, sources: [] }, existing);
+  for (const field of EDITABLE_QUESTION_FIELDS) {
+    if (body[field] !== undefined) q[field] = body[field];
+  }
+  if (q.answer_index !== null && q.answer_index !== undefined) q.answer_index = Number(q.answer_index);
+  if (q.type === 'short') {
+    q.options = null;
+    q.answer_index = null;
+  }
+  if (!Array.isArray(q.sources)) q.sources = [];
+  return q;
+}
+
+function questionRow(q) {
+  const row = {};
+  for (const field of EDITABLE_QUESTION_FIELDS) {
+    if (q[field] !== undefined) row[field] = q[field];
+  }
+  return row;
+}
+
+/**
+ * POST /api/quizzes/:id/questions
+ * Adds a question written by hand (same fields as generated ones).
+ */
+router.post('/:id/questions', requirePermission('quizzes:manage'), async (req, res) => {
+  try {
+    const quiz = await loadQuizOr404(req, res);
+    if (!quiz) return;
+
+    const q = questionFromBody(req.body || {});
+    if (q.position === undefined) q.position = (await loadQuestions(quiz.id)).length;
+    const invalid = validateQuestion(q);
+    if (invalid) return res.status(400).json({ status: 'error', message: invalid });
+
+    const { data, error } = await db
+      .from('quiz_questions')
+      .insert(Object.assign({ quiz_id: quiz.id }, questionRow(q)))
+      .select(QUESTION_COLUMNS)
+      .single();
+    if (error) return dbError(res, 'quiz question insert error', error);
+    return res.status(201).json({ status: 'ok', data });
+  } catch (err) {
+    console.error('POST /quizzes/:id/questions error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * PATCH /api/quizzes/:id/questions/:questionId
+ * Edits any of: position, type, question, options, answer_index, answer, rubric, explanation, sources, points.
+ */
+router.patch('/:id/questions/:questionId', requirePermission('quizzes:manage'), async (req, res) => {
+  try {
+    const { data: existing, error: readErr } = await db
+      .from('quiz_questions')
+      .select(QUESTION_COLUMNS)
+      .eq('id', req.params.questionId)
+      .eq('quiz_id', req.params.id)
+      .maybeSingle();
+    if (readErr) return dbError(res, 'quiz question select error', readErr);
+    if (!existing) return res.status(404).json({ status: 'error', message: 'Question not found' });
+
+    const q = questionFromBody(req.body || {}, existing);
+    const invalid = validateQuestion(q);
+    if (invalid) return res.status(400).json({ status: 'error', message: invalid });
+
+    const { data, error } = await db
+      .from('quiz_questions')
+      .update(Object.assign(questionRow(q), { updated_at: new Date().toISOString() }))
+      .eq('id', existing.id)
+      .select(QUESTION_COLUMNS)
+      .single();
+    if (error) return dbError(res, 'quiz question update error', error);
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('PATCH /quizzes/:id/questions/:questionId error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * DELETE /api/quizzes/:id/questions/:questionId
+ */
+router.delete('/:id/questions/:questionId', requirePermission('quizzes:manage'), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from('quiz_questions')
+      .delete()
+      .eq('id', req.params.questionId)
+      .eq('quiz_id', req.params.id)
+      .select('id');
+    if (error) return dbError(res, 'quiz question delete error', error);
+    if (!data || !data.length) return res.status(404).json({ status: 'error', message: 'Question not found' });
+    return res.json({ status: 'ok', message: 'deleted', data: { id: req.params.questionId } });
+  } catch (err) {
+    console.error('DELETE /quizzes/:id/questions/:questionId error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/* ---------- Attempts ---------- */
+
+/**
+ * POST /api/quizzes/:id/attempts
+ * Starts an attempt on a published quiz; returns it with the questions (no answer keys).
+ */
+router.post('/:id/attempts', requirePermission('quizzes:take'), async (req, res) => {
+  try {
+    const quiz = await loadQuizOr404(req, res);
+    if (!quiz) return;
+    if (quiz.status !== 'published') return res.status(409).json({ status: 'error', message: 'Quiz is not published yet' });
+
+    const questions = await loadQuestions(quiz.id);
+    if (!questions.length) return res.status(409).json({ status: 'error', message: 'Quiz has no questions' });
+
+    const { data: attempt, error } = await db
+      .from('quiz_attempts')
+      .insert({ quiz_id: quiz.id, user_id: req.currentUser.id, status: 'in_progress' })
+      .select('*')
+      .single();
+    if (error) return dbError(res, 'quiz attempt insert error', error);
+    return res.status(201).json({ status: 'ok', data: Object.assign({}, attempt, { title: quiz.title, questions: questions.map(publicQuestion) }) });
+  } catch (err) {
+    console.error('POST /quizzes/:id/attempts error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * GET /api/quizzes/:id/attempts
+ * Managers: every attempt of the quiz. Students: their own attempts.
+ */
+router.get('/:id/attempts', requirePermission('quizzes:take'), async (req, res) => {
+  try {
+    const quiz = await loadQuizOr404(req, res);
+    if (!quiz) return;
+    let q = db
+      .from('quiz_attempts')
+      .select('id, quiz_id, user_id, status, score, max_score, started_at, submitted_at')
+      .eq('quiz_id', quiz.id);
+    if (!canManage(req)) q = q.eq('user_id', req.currentUser.id);
+    const { data, error } = await q.order('started_at', { ascending: false });
+    if (error) return dbError(res, 'quiz attempts select error', error);
+    return res.json({ status: 'ok', data: data || [] });
+  } catch (err) {
+    console.error('GET /quizzes/:id/attempts error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+async function loadAttemptOr404(req, res) {
+  const { data: attempt, error } = await db
+    .from('quiz_attempts')
+    .select('*')
+    .eq('id', req.params.attemptId)
+    .eq('quiz_id', req.params.id)
+    .maybeSingle();
+  if (error) console.warn('quiz attempt select error', error);
+  if (!attempt || (attempt.user_id !== req.currentUser.id && !canManage(req))) {
+    res.status(404).json({ status: 'error', message: 'Attempt not found' });
+    return null;
+  }
+  return attempt;
+}
+
+/**
+ * GET /api/quizzes/:id/attempts/:attemptId
+ * Own attempt (managers: any). Submitted attempts include the graded results.
+ */
+router.get('/:id/attempts/:attemptId', requirePermission('quizzes:take'), async (req, res) => {
+  try {
+    const attempt = await loadAttemptOr404(req, res);
+    if (!attempt) return;
+    return res.json({ status: 'ok', data: attempt });
+  } catch (err) {
+    console.error('GET /quizzes/:id/attempts/:attemptId error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * POST /api/quizzes/:id/attempts/:attemptId/submit
+ * body: { answers: [{ question_id, choice? (mcq option index), text? (short answer) }] }
+ * Grades the attempt (MCQ exact, short answers LLM-assisted) and returns score + per-question results
+ * with explanations and citations to the source material. An attempt can be submitted once.
+ * Counts against the caller's LLM quota (short answer grading).
+ */
+router.post('/:id/attempts/:attemptId/submit', requirePermission('quizzes:take'), enforceQuota(), async (req, res) => {
+  try {
+    const attempt = await loadAttemptOr404(req, res);
+    if (!attempt) return;
+    if (attempt.user_id !== req.currentUser.id) return res.status(403).json({ status: 'error', message: 'Only the student who started the attempt can submit it' });
+    if (attempt.status === 'submitted') return res.status(409).json({ status: 'error', message: 'Attempt already submitted', data: attempt });
+
+    const answers = (req.body && req.body.answers) || [];
+    if (!Array.isArray(answers)) return res.status(400).json({ status: 'error', message: 'answers must be an array' });
+
+    const { data: quiz } = await db.from('quizzes').select('id, document_id').eq('id', attempt.quiz_id).maybeSingle();
+    // the material may have moved into a course the student isn't enrolled in since the attempt started
+    if (quiz && !documentInScope(await quizScope(req), quiz.document_id)) return res.status(404).json({ status: 'error', message: 'Quiz not found' });
+    const questions = await loadQuestions(attempt.quiz_id);
+    const material = quiz ? await loadDocumentChunks(quiz.document_id) : null;
+    const chunks = material ? material.chunks : [];
+    const chunkText = new Map(chunks.map(c => [String(c.chunk_index), c.text]));
+    const titles = new Map(chunks.slice(0, 1).map(c => [String(c.document_id), c.document_title]));
+
+    const graded = await gradeResponses(questions, answers, {
+      sourceText: s => chunkText.get(String(s.chunk_index)) || null,
+      titles,
+      userId: req.currentUser.id
+    });
+
+    const { data, error } = await db
+      .from('quiz_attempts')
+      .update({
+        status: 'submitted',
+        responses: answers,
+        results: graded.results,
+        score: graded.score,
+        max_score: graded.max_score,
+        submitted_at: new Date().toISOString()
+      })
+      .eq('id', attempt.id)
+      .eq('status', 'in_progress')
+      .select('*')
+      .maybeSingle();
+    if (error) return dbError(res, 'quiz attempt update error', error);
+    if (!data) return res.status(409).json({ status: 'error', message: 'Attempt already submitted' });
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error('POST /quizzes/:id/attempts/:attemptId/submit error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+// src/routes/quotas.js
+// Admin view and adjustment of LLM quotas (lib/quotas). Mounted at /api/admin/quotas (before the admin router).
+// Limits: daily_requests, daily_tokens, monthly_requests, monthly_tokens; null means unlimited.
+// A role override replaces the built-in defaults of that role; a user override replaces the role's limits.
+// Only the fields present in an override apply, the rest are inherited.
+const express = require('express');
+const router = express.Router();
+const { db } = require('../lib/db');
+const { authenticate, requirePermission } = require('../middleware/checkAdmin');
+const { QUOTA_ROLES, DEFAULT_QUOTAS, periodsOf, validateLimits, quotaFor, invalidateOverrides, usageOf, flushUsage } = require('../lib/quotas');
+const { userRole } = require('../lib/courses');
+
+router.use(authenticate, requirePermission('quotas:manage'));
+
+function dbError(res, label, error) {
+  console.error(label, error);
+  return res.status(500).json({ status: 'error', message: error.message || String(error) });
+}
+
+async function loadOverride(scope, subject) {
+  const { data, error } = await db
+    .from('quota_overrides')
+    .select('scope, subject, limits, updated_by, updated_at')
+    .eq('scope', scope)
+    .eq('subject', subject)
+    .maybeSingle();
+  if (error) throw new Error(error.message || String(error));
+  return data || null;
+}
+
+// PUT body -> merged limits of the existing override (fields not sent are kept)
+async function saveOverride(req, res, scope, subject) {
+  const { limits, error: invalid } = validateLimits(req.body || {});
+  if (invalid) return res.status(400).json({ status: 'error', message: invalid });
+  if (!Object.keys(limits).length) return res.status(400).json({ status: 'error', message: 'at least one quota field required' });
+  try {
+    const existing = await loadOverride(scope, subject);
+    const { data, error } = await db
+      .from('quota_overrides')
+      .upsert({
+        scope,
+        subject,
+        limits: Object.assign({}, existing ? existing.limits : {}, limits),
+        updated_by: req.currentUser.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'scope,subject' })
+      .select('scope, subject, limits, updated_by, updated_at')
+      .single();
+    if (error) return dbError(res, `PUT /quotas/${scope} error`, error);
+    invalidateOverrides();
+    return res.json({ status: 'ok', data });
+  } catch (err) {
+    console.error(`PUT /quotas/${scope} error`, err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+}
+
+async function deleteOverride(req, res, scope, subject) {
+  try {
+    const { data, error } = await db
+      .from('quota_overrides')
+      .delete()
+      .eq('scope', scope)
+      .eq('subject', subject)
+      .select('scope');
+    if (error) return dbError(res, `DELETE /quotas/${scope} error`, error);
+    if (!data || !data.length) return res.status(404).json({ status: 'error', message: 'No override' });
+    invalidateOverrides();
+    return res.json({ status: 'ok', data: { scope, subject, deleted: true } });
+  } catch (err) {
+    console.error(`DELETE /quotas/${scope} error`, err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+}
+
+function roleParam(req, res) {
+  const role = req.params.role;
+  if (!QUOTA_ROLES.includes(role)) {
+    res.status(400).json({ status: 'error', message: `role must be one of: ${QUOTA_ROLES.join(', ')}` });
+    return null;
+  }
+  return role;
+}
+
+/**
+ * GET /api/admin/quotas
+ * -> { defaults, roles: { <role>: effective limits }, role_overrides: [...], user_overrides: [...] }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from('quota_overrides')
+      .select('scope, subject, limits, updated_by, updated_at')
+      .order('updated_at', { ascending: false });
+    if (error) return dbError(res, 'GET /quotas error', error);
+    const roles = {};
+    for (const role of QUOTA_ROLES) roles[role] = await quotaFor({ id: null, role });
+    const rows = data || [];
+    return res.json({
+      status: 'ok',
+      data: {
+        defaults: DEFAULT_QUOTAS,
+        roles,
+        role_overrides: rows.filter(r => r.scope === 'role'),
+        user_overrides: rows.filter(r => r.scope === 'user')
+      }
+    });
+  } catch (err) {
+    console.error('GET /quotas error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * GET /api/admin/quotas/usage?period=day|month&date=YYYY-MM-DD&limit=
+ * Heaviest users of a day (default today) or month, by tokens: [{ subject, period, requests, tokens, updated_at }].
+ * subject is a user id, or ip:<address> for anonymous chat.
+ */
+router.get('/usage', async (req, res) => {
+  const kind = req.query.period || 'day';
+  if (!['day', 'month'].includes(kind)) return res.status(400).json({ status: 'error', message: 'period must be day or month' });
+  let period = periodsOf()[kind].key;
+  if (req.query.date) {
+    if (!/^\d{4}-\d{2}(-\d{2})?$/.test(req.query.date)) return res.status(400).json({ status: 'error', message: 'date must be YYYY-MM-DD or YYYY-MM' });
+    period = kind === 'day' ? req.query.date : req.query.date.slice(0, 7);
+    if (period.length !== (kind === 'day' ? 10 : 7)) return res.status(400).json({ status: 'error', message: 'a day needs date=YYYY-MM-DD' });
+  }
+  const n = parseInt(req.query.limit, 10);
+  const limit = Number.isFinite(n) && n > 0 ? Math.min(n, 500) : 50;
+  try {
+    await flushUsage(); // include this process's unsaved counters
+    const { data, error } = await db
+      .from('usage_counters')
+      .select('subject, period, requests, tokens, updated_at')
+      .eq('period', period)
+      .order('tokens', { ascending: false })
+      .limit(limit);
+    if (error) return dbError(res, 'GET /quotas/usage error', error);
+    return res.json({ status: 'ok', data: { period, users: data || [] } });
+  } catch (err) {
+    console.error('GET /quotas/usage error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * PUT /api/admin/quotas/roles/:role
+ * body: any of { daily_requests, daily_tokens, monthly_requests, monthly_tokens } (integer >= 0, or null = unlimited)
+ */
+router.put('/roles/:role', (req, res) => {
+  const role = roleParam(req, res);
+  if (role) return saveOverride(req, res, 'role', role);
+});
+
+/**
+ * DELETE /api/admin/quotas/roles/:role -> back to the built-in defaults
+ */
+router.delete('/roles/:role', (req, res) => {
+  const role = roleParam(req, res);
+  if (role) return deleteOverride(req, res, 'role', role);
+});
+
+/**
+ * GET /api/admin/quotas/users/:userId
+ * -> { user_id, role, override, limits (effective), usage: { day, month } }
+ */
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const userId = req.params.userId;
+    const role = await userRole(userId);
+    const caller = { id: userId, role: role || 'student' };
+    const [override, limits, usage] = await Promise.all([loadOverride('user', userId), quotaFor(caller), usageOf(caller)]);
+    return res.json({ status: 'ok', data: { user_id: userId, role, override, limits, usage } });
+  } catch (err) {
+    console.error('GET /quotas/users error', err && (err.stack || err.message || err));
+    return res.status(500).json({ status: 'error', message: err && err.message });
+  }
+});
+
+/**
+ * PUT /api/admin/quotas/users/:userId
+ * body: as for roles; overrides the user's role limits for the fields given
+ */
+router.put('/users/:userId', (req, res) => saveOverride(req, res, 'user', req.params.userId));
+
+/**
+ * DELETE /api/admin/quotas/users/:userId -> the user gets their role's limits again
+ */
+router.delete('/users/:userId', (req, res) => deleteOverride(req, res, 'user', req.params.userId));
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// src/routes/uploads.js
+// Files of the local storage driver (lib/storage/local), mounted at /uploads. There is no user token
+// here: a request must carry the expires / signature pair of a URL made by storage.url(), which the
+// document routes only hand out after their permission and course-scope checks.
+const express = require('express');
+const router = express.Router();
+const { storage } = require('../lib/storage');
+
+/**
+ * GET /uploads/:key?expires=<unix seconds>&signature=<hex>
+ */
+router.get('/:key', (req, res) => {
+  if (storage.driver !== 'local') return res.status(404).send('Not found');
+
+  const reason = storage.verifySignature(req.params.key, req.query);
+  if (reason) return res.status(403).send(reason);
+
+  let file;
+  try {
+    file = storage.fileFor(req.params.key);
+  } catch (e) {
+    return res.status(404).send('Not found');
+  }
+  // the link is bearer access for a while; don't let shared caches keep the file
+  res.set('Cache-Control', 'private, no-store');
+  return res.sendFile(file, { dotfiles: 'allow' }, err => {
+    if (!err) return;
+    if (err.code === 'ENOENT' || err.status === 404) {
+      if (!res.headersSent) res.status(404).send('Not found');
+      return;
+    }
+    console.error('uploads send error', err && (err.stack || err.message || err));
+    if (!res.headersSent) res.status(500).send('Server error');
+  });
+});
+
+module.exports = router;
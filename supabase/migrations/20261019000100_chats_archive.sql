@@ -0,0 +1,5 @@
+-- Chat history API (routes/chatHistory.js): archiving + fast per-user listing.
+alter table public.chats add column if not exists archived_at timestamptz;
+
+create index if not exists chats_user_created_idx on public.chats (user_id, created_at desc);
+create index if not exists messages_chat_created_idx on public.messages (chat_id, created_at);
@@ -0,0 +1,4 @@
+-- Page numbers for chunks (lib/ingestion writes them for PDFs); used by chat citations to link
+-- back to /api/admin/documents/:id/view?page=N.
+alter table public.chunks add column if not exists page_start integer;
+alter table public.chunks add column if not exists page_end integer;
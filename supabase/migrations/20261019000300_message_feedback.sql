@@ -0,0 +1,18 @@
+-- Answer feedback (routes/feedback.js) and the teacher review queue (routes/feedbackReview.js).
+create table if not exists public.message_feedback (
+  id uuid primary key default gen_random_uuid(),
+  message_id uuid not null references public.messages (id) on delete cascade,
+  user_id uuid not null,
+  rating text not null check (rating in ('up', 'down')),
+  category text,
+  comment text,
+  reviewed_at timestamptz,
+  reviewed_by uuid,
+  review_fault text check (review_fault in ('retrieval', 'generation', 'content', 'none')),
+  review_note text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (message_id, user_id)
+);
+
+create index if not exists message_feedback_queue_idx on public.message_feedback (rating, reviewed_at, created_at desc);
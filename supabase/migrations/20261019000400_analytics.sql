@@ -0,0 +1,14 @@
+-- Admin analytics (routes/analytics.js): outbound call metrics written by lib/metrics.js,
+-- plus a created_at index so date-range scans over messages stay cheap.
+create table if not exists public.service_calls (
+  id bigint generated always as identity primary key,
+  service text not null,
+  operation text,
+  latency_ms integer not null,
+  ok boolean not null,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists service_calls_created_idx on public.service_calls (created_at);
+create index if not exists messages_created_idx on public.messages (created_at);
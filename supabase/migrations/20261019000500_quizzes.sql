@@ -0,0 +1,47 @@
+-- Practice quizzes generated from a document's chunks (routes/quizzes.js, lib/quiz.js).
+create table if not exists public.quizzes (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null references public.documents (id) on delete cascade,
+  title text not null,
+  status text not null default 'draft' check (status in ('draft', 'published')),
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- type 'mcq': options + answer_index; type 'short': answer (reference answer) + rubric.
+-- sources: [{ document_id, chunk_index, page }] the question was written from.
+create table if not exists public.quiz_questions (
+  id uuid primary key default gen_random_uuid(),
+  quiz_id uuid not null references public.quizzes (id) on delete cascade,
+  position integer not null default 0,
+  type text not null check (type in ('mcq', 'short')),
+  question text not null,
+  options jsonb,
+  answer_index integer,
+  answer text,
+  rubric text,
+  explanation text,
+  sources jsonb not null default '[]'::jsonb,
+  points numeric not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- responses: [{ question_id, choice?, text? }]; results: per-question grading written on submit.
+create table if not exists public.quiz_attempts (
+  id uuid primary key default gen_random_uuid(),
+  quiz_id uuid not null references public.quizzes (id) on delete cascade,
+  user_id uuid not null,
+  status text not null default 'in_progress' check (status in ('in_progress', 'submitted')),
+  responses jsonb,
+  results jsonb,
+  score numeric,
+  max_score numeric,
+  started_at timestamptz not null default now(),
+  submitted_at timestamptz
+);
+
+create index if not exists quizzes_document_idx on public.quizzes (document_id);
+create index if not exists quiz_questions_quiz_idx on public.quiz_questions (quiz_id, position);
+create index if not exists quiz_attempts_quiz_user_idx on public.quiz_attempts (quiz_id, user_id);
@@ -0,0 +1,29 @@
+-- Courses group documents and scope chat retrieval (routes/courses.js, lib/courses.js).
+-- Documents in at least one course are only retrievable by students enrolled in one of those courses;
+-- documents in no course stay available to everyone.
+create table if not exists public.courses (
+  id uuid primary key default gen_random_uuid(),
+  code text unique,
+  name text not null,
+  description text,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.course_documents (
+  course_id uuid not null references public.courses (id) on delete cascade,
+  document_id uuid not null references public.documents (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (course_id, document_id)
+);
+
+create table if not exists public.course_enrollments (
+  course_id uuid not null references public.courses (id) on delete cascade,
+  user_id uuid not null,
+  created_at timestamptz not null default now(),
+  primary key (course_id, user_id)
+);
+
+create index if not exists course_documents_document_idx on public.course_documents (document_id);
+create index if not exists course_enrollments_user_idx on public.course_enrollments (user_id);
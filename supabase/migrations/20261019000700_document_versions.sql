@@ -0,0 +1,28 @@
+-- Document versions (PUT /api/admin/documents/:id/file, lib/documentVersions.js).
+-- documents.* file columns always describe the current version; every version (including the
+-- current one) has a row here and keeps its storage object until the document is deleted.
+alter table public.documents add column if not exists current_version integer not null default 1;
+
+create table if not exists public.document_versions (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null references public.documents (id) on delete cascade,
+  version integer not null,
+  filename text,
+  storage_path text,
+  path text,
+  file_size bigint,
+  pages integer,
+  uploaded_by uuid,
+  created_at timestamptz not null default now(),
+  unique (document_id, version)
+);
+
+-- existing documents become version 1 (documents.path is optional, so it is left out here;
+-- the view route falls back to storage_path)
+insert into public.document_versions (document_id, version, filename, storage_path, file_size, pages, uploaded_by, created_at)
+select id, current_version, filename, storage_path, file_size, pages, uploaded_by, created_at
+from public.documents
+on conflict (document_id, version) do nothing;
+
+-- version the chunk was extracted from; chat citations keep it so old answers link to the right file
+alter table public.chunks add column if not exists document_version integer;
@@ -0,0 +1,7 @@
+-- SHA-256 of the uploaded file (lib/contentHash.js). Uploads with a hash that is already in use
+-- are rejected with 409 unless forced; older rows are filled by POST /api/admin/maintenance/content-hashes.
+alter table public.documents add column if not exists content_hash text;
+alter table public.document_versions add column if not exists content_hash text;
+
+-- not unique: forced copies share a hash
+create index if not exists documents_content_hash_idx on public.documents (content_hash);
@@ -0,0 +1,9 @@
+-- Generic chunk locations for non-PDF materials (lib/ingestion): location_type is 'page' (PDF),
+-- 'slide' (PPTX) or 'section' (DOCX / HTML / Markdown / text). page_start / page_end stay filled for PDFs.
+alter table public.chunks add column if not exists location_type text;
+alter table public.chunks add column if not exists location_start integer;
+alter table public.chunks add column if not exists location_end integer;
+
+update public.chunks
+set location_type = 'page', location_start = page_start, location_end = page_end
+where location_type is null and page_start is not null;
@@ -0,0 +1,5 @@
+-- Free-form tags on documents; bulk ZIP import (POST /api/admin/documents/bulk) fills them from
+-- folder names. GET /api/admin/documents?tag=... filters on them.
+alter table public.documents add column if not exists tags text[] not null default '{}';
+
+create index if not exists documents_tags_idx on public.documents using gin (tags);
@@ -0,0 +1,7 @@
+-- Language a student wants answers in (routes/profile.js, lib/language). Null: answer in the language
+-- the question was asked in.
+alter table public.profiles add column if not exists preferred_language text;
+
+alter table public.profiles drop constraint if exists profiles_preferred_language_check;
+alter table public.profiles add constraint profiles_preferred_language_check
+  check (preferred_language is null or preferred_language in ('id', 'en', 'jv', 'su'));
@@ -0,0 +1,25 @@
+-- Per-user / per-role LLM quotas (lib/quotas.js, routes/quotas.js).
+-- quota_overrides: admin-set limits replacing the built-in role defaults (scope 'role', subject = role)
+-- or a role's limits for one user (scope 'user', subject = user id). limits holds any of
+-- daily_requests, daily_tokens, monthly_requests, monthly_tokens; null values mean unlimited.
+create table if not exists public.quota_overrides (
+  scope text not null check (scope in ('role', 'user')),
+  subject text not null,
+  limits jsonb not null default '{}'::jsonb,
+  updated_by uuid,
+  updated_at timestamptz not null default now(),
+  primary key (scope, subject)
+);
+
+-- usage_counters: requests and estimated tokens per subject (user id, or ip:<address> for anonymous
+-- chat) and period ('YYYY-MM-DD' day or 'YYYY-MM' month, in WIB by default).
+create table if not exists public.usage_counters (
+  subject text not null,
+  period text not null,
+  requests integer not null default 0,
+  tokens bigint not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (subject, period)
+);
+
+create index if not exists usage_counters_period_idx on public.usage_counters (period, tokens desc);
@@ -0,0 +1,40 @@
+-- Admin-managed, versioned prompt templates (lib/prompts, routes/prompts.js).
+-- A template of one kind (persona, answer_context, answer_no_context, translation) has numbered
+-- versions; current_version is the one chat uses. Assignments choose a template per course, per
+-- subject (courses.subject) or globally ('*'); kinds without one use the built-in prompts.
+create table if not exists public.prompt_templates (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null check (kind in ('persona', 'answer_context', 'answer_no_context', 'translation')),
+  name text not null,
+  description text,
+  current_version integer not null default 1,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.prompt_template_versions (
+  id uuid primary key default gen_random_uuid(),
+  template_id uuid not null references public.prompt_templates (id) on delete cascade,
+  version integer not null,
+  body text not null,
+  note text,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  unique (template_id, version)
+);
+
+create table if not exists public.prompt_assignments (
+  kind text not null,
+  scope text not null check (scope in ('course', 'subject', 'global')),
+  target text not null,
+  template_id uuid not null references public.prompt_templates (id) on delete cascade,
+  assigned_by uuid,
+  created_at timestamptz not null default now(),
+  primary key (kind, scope, target)
+);
+
+create index if not exists prompt_assignments_template_idx on public.prompt_assignments (template_id);
+
+-- subject of a course (lowercase, e.g. 'biologi'), for subject-wide prompt assignments
+alter table public.courses add column if not exists subject text;
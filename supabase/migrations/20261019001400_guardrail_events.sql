@@ -0,0 +1,25 @@
+-- Chat guardrail findings (lib/guardrails) and their admin review (routes/guardrails.js).
+-- stage: 'input' (question), 'context' (retrieved chunk) or 'output' (model reply).
+-- action: what was done, 'supported' / 'blocked' (question), 'redacted' / 'dropped' (chunk), 'replaced' (reply).
+-- source: the matching rule pattern, 'llm' (classifier) or 'prompt_fragment' (prompt leak).
+-- excerpt holds the checked text, truncated; metadata { match, question, document_ref } (document_ref:
+-- a chunk's document id that isn't a documents row, e.g. the keyword fallback's doc_0).
+create table if not exists public.guardrail_events (
+  id uuid primary key default gen_random_uuid(),
+  stage text not null check (stage in ('input', 'context', 'output')),
+  category text not null,
+  action text not null,
+  source text,
+  user_id uuid,
+  document_id uuid references public.documents (id) on delete set null,
+  chunk_index integer,
+  excerpt text,
+  metadata jsonb,
+  reviewed_at timestamptz,
+  reviewed_by uuid,
+  review_note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists guardrail_events_queue_idx on public.guardrail_events (reviewed_at, created_at desc);
+create index if not exists guardrail_events_stage_idx on public.guardrail_events (stage, category, created_at desc);
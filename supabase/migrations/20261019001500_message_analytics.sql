@@ -0,0 +1,36 @@
+-- Admin analytics (lib/analytics.js) reads messages through this view: the chat owner plus only the
+-- assistant metadata the aggregates use. The stored metadata.chunks carry the full chunk text, which
+-- the dashboard never needs. security_invoker keeps the row level security of messages / chats in force
+-- for API callers; the backend reads it with the service key.
+create or replace view public.message_analytics with (security_invoker = true) as
+select
+  m.id,
+  m.chat_id,
+  c.user_id as owner_id,
+  m.role,
+  m.created_at,
+  (m.metadata ->> 'out_of_context')::boolean as out_of_context,
+  (m.metadata ->> 'cache_hit')::boolean as cache_hit,
+  coalesce((
+    select jsonb_agg(jsonb_strip_nulls(jsonb_build_object(
+      'document_id', s.item -> 'document_id',
+      'document_title', s.item -> 'document_title',
+      'chunk_index', s.item -> 'chunk_index',
+      'page', s.item -> 'page',
+      'similarity', s.item -> 'similarity'
+    )) order by s.position)
+    from jsonb_array_elements(case when jsonb_typeof(m.metadata -> 'chunks') = 'array' then m.metadata -> 'chunks' else '[]'::jsonb end)
+      with ordinality as s(item, position)
+  ), '[]'::jsonb) as chunks,
+  coalesce((
+    select jsonb_agg(jsonb_strip_nulls(jsonb_build_object(
+      'document_id', s.item -> 'document_id',
+      'document_title', s.item -> 'document_title',
+      'chunk_index', s.item -> 'chunk_index',
+      'page', s.item -> 'page'
+    )) order by s.position)
+    from jsonb_array_elements(case when jsonb_typeof(m.metadata -> 'citations') = 'array' then m.metadata -> 'citations' else '[]'::jsonb end)
+      with ordinality as s(item, position)
+  ), '[]'::jsonb) as citations
+from public.messages m
+left join public.chats c on c.id = m.chat_id;
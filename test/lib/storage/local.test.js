@@ -0,0 +1,77 @@
+// test/lib/storage/local.test.js
+// Local disk driver (src/lib/storage/local.js): objects under a temp root, key checks and the signed
+// URLs routes/uploads.js verifies.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createLocalStorage } = require('../../../src/lib/storage/local');
+
+function tempStorage(t, options = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-local-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return { root, storage: createLocalStorage(Object.assign({ root, secret: 'rahasia' }, options)) };
+}
+
+test('put / get / remove', async t => {
+  const { root, storage } = tempStorage(t);
+
+  await storage.put('a.txt', Buffer.from('isi materi'));
+  assert.equal((await storage.get('a.txt')).toString(), 'isi materi');
+
+  await storage.put('stream.txt', Readable.from([Buffer.from('materi '), Buffer.from('di-stream')]));
+  assert.equal((await storage.get('stream.txt')).toString(), 'materi di-stream');
+
+  // remove ignores missing files
+  await storage.remove(['a.txt', 'does-not-exist.txt']);
+  assert.deepEqual(fs.readdirSync(root), ['stream.txt']);
+  await assert.rejects(storage.get('a.txt'), err => err.code === 'ENOENT');
+});
+
+test('a failed stream upload leaves no partial file', async t => {
+  const { root, storage } = tempStorage(t);
+  const failing = new Readable({
+    read() {
+      this.push('awal');
+      this.destroy(new Error('connection reset'));
+    }
+  });
+  await assert.rejects(storage.put('partial.txt', failing), /connection reset/);
+  assert.deepEqual(fs.readdirSync(root), []);
+});
+
+test('fileFor refuses keys outside the root', async t => {
+  const { root, storage } = tempStorage(t);
+  assert.equal(storage.fileFor('1760860800000-3f9a1c-Bab_1.pdf'), path.join(root, '1760860800000-3f9a1c-Bab_1.pdf'));
+  for (const key of ['', '.', '..', '../x.txt', '../../etc/passwd', 'sub/x.txt', '/etc/passwd', path.join(root, '..', 'x.txt')]) {
+    assert.throws(() => storage.fileFor(key), /Invalid storage key/, `key ${JSON.stringify(key)}`);
+  }
+  await assert.rejects(storage.put('../escape.txt', Buffer.from('x')), /Invalid storage key/);
+  assert.equal(fs.existsSync(path.join(root, '..', 'escape.txt')), false);
+  await assert.rejects(storage.signedUrl('../escape.txt', 60), /Invalid storage key/);
+});
+
+test('signed URLs are verified, expire and are never public', async t => {
+  let clock = Date.parse('2026-10-19T00:00:00Z');
+  const { storage } = tempStorage(t, { now: () => clock });
+  assert.equal(storage.publicUrl('a b.pdf'), null);
+
+  const url = new URL(await storage.signedUrl('a b.pdf', 600), 'http://localhost');
+  assert.equal(url.pathname, '/uploads/a%20b.pdf');
+  const query = Object.fromEntries(url.searchParams);
+  assert.equal(query.expires, String(clock / 1000 + 600));
+  assert.equal(storage.verifySignature('a b.pdf', query), null);
+
+  assert.equal(storage.verifySignature('other.pdf', query), 'Invalid signature');
+  assert.equal(storage.verifySignature('a b.pdf', Object.assign({}, query, { expires: String(Number(query.expires) + 1) })), 'Invalid signature');
+  assert.equal(storage.verifySignature('a b.pdf', {}), 'Missing signature');
+
+  // another secret (e.g. after a restart without STORAGE_SIGNING_SECRET) doesn't accept the link
+  const other = createLocalStorage({ root: os.tmpdir(), secret: 'lain', now: () => clock });
+  assert.equal(other.verifySignature('a b.pdf', query), 'Invalid signature');
+
+  clock += 601 * 1000;
+  assert.equal(storage.verifySignature('a b.pdf', query), 'Link expired');
+});